@@ -9,6 +9,21 @@ import ScraperService from './services/scraper-service.js';
 import OutageService from './services/outage-service.js';
 import GoogleAdsService from './services/google-ads-service.js';
 import MetaAdsService from './services/meta-ads-service.js';
+import QuarantineService from './services/quarantine-service.js';
+import SourceHealthService from './services/source-health-service.js';
+import PlannedWorkService, { SCHEDULE_STATUS } from './services/planned-work-service.js';
+import TimelineService from './services/timeline-service.js';
+import ApprovalService from './services/approval-service.js';
+import BudgetService from './services/budget-service.js';
+import CooldownService from './services/cooldown-service.js';
+import CampaignLaunchService, { describeCooldown } from './services/campaign-launch-service.js';
+import { getCauseCategories, getExcludedCauses } from './utils/cause-classifier.js';
+import { describeDiffEvent } from './utils/outage-diff.js';
+import { explainSeverity, getSeverityRank, loadSeverityRules } from './utils/severity-rules.js';
+import { decideCampaign, explainPolicy, getPolicyMode, loadPolicyRules, POLICY_ACTIONS } from './utils/campaign-policy.js';
+import { getTargetRadiusKm } from './utils/geometry.js';
+import { describeDuration, getCampaignEndTime, needsNewEndTime } from './utils/campaign-duration.js';
+import { createIdempotencyStore } from './utils/idempotency.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -17,10 +32,20 @@ const __dirname = path.dirname(__filename);
 //  Services initialiseren
 // ──────────────────────────────────────
 
-const scraperService = new ScraperService();
-const outageService = new OutageService();
+const quarantineService = new QuarantineService();
+const sourceHealthService = new SourceHealthService();
+const scraperService = new ScraperService({ quarantineService, healthService: sourceHealthService });
+const budgetService = new BudgetService();
+const outageService = new OutageService({ budgetService });
 const googleAdsService = new GoogleAdsService();
 const metaAdsService = new MetaAdsService();
+const plannedWorkService = new PlannedWorkService({ enrich: (outage) => outageService.enrichOutage(outage) });
+const timelineService = new TimelineService();
+const approvalService = new ApprovalService();
+const cooldownService = new CooldownService();
+
+// Campagnes van vóór het grootboek alsnog meetellen
+budgetService.importCampaigns(outageService.campaigns);
 
 // ──────────────────────────────────────
 //  Event log helper
@@ -28,8 +53,38 @@ const metaAdsService = new MetaAdsService();
 
 function addLogEntry(type, message, data = {}) {
     outageService.addEvent(type, message, data);
+
+    // Events over één storing ook op de tijdlijn van die storing (bij een incident: van elk fragment)
+    const outageIds = new Set([data.id || data.outageId, ...(data.outageIds || [])].filter(Boolean));
+    for (const outageId of outageIds) {
+        timelineService.record(outageId, type, message, data, { city: findOutage(outageId)?._city });
+    }
+}
+
+/**
+ * Zoek een storing op id: actief, in afwachting, opgelost of gepland.
+ */
+function findOutage(id) {
+    return outageService.activeOutages.get(id)
+        || outageService.pendingOutages.get(id)
+        || outageService.resolvedOutages.get(id)
+        || plannedWorkService.plannedOutages.get(id)
+        || null;
 }
 
+// Inhoudelijke wijzigingen aan actieve storingen (zie utils/outage-diff.js)
+const SIZE_CHANGES = { outage_expanded: 'uitgebreid', outage_contracted: 'kleiner geworden' };
+
+outageService.on('outage_changed', ({ outage, events }) => {
+    for (const event of events) {
+        const verb = SIZE_CHANGES[event.type] ? ` ${SIZE_CHANGES[event.type]}` : '';
+        addLogEntry(event.type, `Storing in ${outage._city || 'Onbekend'}${verb}: ${describeDiffEvent(event)}`, {
+            id: outage.id,
+            changes: event.changes,
+        });
+    }
+});
+
 // ──────────────────────────────────────
 //  Polling orchestratie
 // ──────────────────────────────────────
@@ -53,10 +108,10 @@ async function pollOutages() {
         addLogEntry('poll_start', `Poll #${pollCount} gestart`);
 
         // 1. Haal verse storingsdata op
-        const freshOutages = await scraperService.fetchOutages();
+        const fetched = await scraperService.fetchOutages();
 
         // null = fout bij ophalen — behoud huidige state
-        if (freshOutages === null) {
+        if (fetched === null) {
             logger.warn('⚠️  Storingsdata kon niet opgehaald worden — huidige state behouden');
             addLogEntry('poll_error', 'Data ophalen mislukt — state behouden');
             const duration = Date.now() - startTime;
@@ -64,20 +119,95 @@ async function pollOutages() {
             return { poll: pollCount, duration: `${duration}ms`, skipped: true, reason: 'fetch_failed' };
         }
 
-        addLogEntry('scrape_result', `${freshOutages.length} storingen opgehaald`);
+        const sourceNames = scraperService.lastFetch?.sources || [];
+        const byDso = scraperService.lastFetch?.byDso || {};
+        addLogEntry('scrape_result', `${fetched.length} storingen opgehaald via ${sourceNames.join(', ') || 'geen bron'}`, {
+            sources: sourceNames,
+            byDso,
+        });
+
+        // Paginabudget bereikt: de lijst is onvolledig, dus ontbreken betekent niet opgelost
+        const complete = scraperService.lastFetch?.complete !== false;
+        if (!complete) {
+            addLogEntry('poll_incomplete', `Onvolledige poll: paginabudget bereikt (${scraperService.lastFetch.truncatedSources.join(', ')}) — ontbrekende storingen niet als opgelost gemarkeerd`, {
+                sources: scraperService.lastFetch.truncatedSources,
+            });
+        }
+
+        // Geplande onderbrekingen volgen een eigen traject (PlannedWorkService)
+        const freshOutages = fetched.filter((o) => o.kind !== 'planned');
+        const planned = plannedWorkService.processPlanned(fetched.filter((o) => o.kind === 'planned'), { complete });
+        for (const outage of planned.added) {
+            addLogEntry('planned_outage', `Gepland onderhoud in ${outage._city || 'Onbekend'} op ${outage.period?.begin}`, {
+                id: outage.id,
+                begin: outage.period?.begin,
+                end: outage.period?.end || outage.period?.expectedEnd,
+            });
+        }
+        for (const outage of planned.changed) {
+            addLogEntry('planned_outage', `Gepland onderhoud in ${outage._city || 'Onbekend'} verschoven naar ${outage.period?.begin}`, {
+                id: outage.id,
+                begin: outage.period?.begin,
+            });
+            await reschedulePlannedCampaigns(outage);
+        }
+        for (const outage of planned.removed) {
+            addLogEntry('planned_outage', `Gepland onderhoud in ${outage._city || 'Onbekend'} niet meer aangekondigd` +
+                `${outage._scheduleCancelled ? ' — ingeplande campagne geannuleerd' : ''}`, { id: outage.id });
+        }
+
+        // Recent opgeloste storingen volgens de netbeheerder (null = niet beschikbaar)
+        const reportedResolved = await scraperService.fetchResolvedOutages();
 
         // 2. Verwerk en vergelijk met bekende staat
-        const { newOutages, resolvedOutages, updatedOutages } =
-            outageService.processOutages(freshOutages);
+        const { newOutages, resolvedOutages, updatedOutages, suspectedOutages, reappearedOutages, changes } =
+            outageService.processOutages(freshOutages, reportedResolved, { complete });
+
+        // Naburige storingen groeperen tot incidenten; campagnes horen bij het incident
+        const incidentUpdate = outageService.updateIncidents();
+        for (const { incident, absorbed } of incidentUpdate.merged) {
+            addLogEntry('incident_merged', `Incident in ${incident._city || 'Onbekend'} samengevoegd (${incident._incident.outageIds.length} storingen)`, {
+                id: incident.id,
+                outageIds: incident._incident.outageIds,
+                absorbed,
+            });
+            // Opgegane incidenten zouden met het overgebleven incident om hetzelfde publiek concurreren
+            for (const absorbedId of absorbed) {
+                await campaignLaunchService.pauseAll(absorbedId, `samengevoegd in incident ${incident.id}`);
+            }
+            expireApprovals((a) => absorbed.includes(a.incidentId), `samengevoegd in incident ${incident.id}`);
+        }
+
+        // Ontbrekende storingen eerst als "mogelijk opgelost" — campagnes blijven lopen
+        for (const outage of suspectedOutages) {
+            addLogEntry('outage_suspected', `Storing mogelijk opgelost in ${outage._city || 'Onbekend'}`, {
+                id: outage.id,
+                missedPolls: outage._missedPolls,
+            });
+        }
+        for (const outage of reappearedOutages) {
+            addLogEntry('outage_reappeared', `Storing in ${outage._city || 'Onbekend'} is weer zichtbaar`, { id: outage.id });
+        }
 
-        // 3. Voor elke NIEUWE storing → maak campagnes aan (alleen elektriciteit)
+        // 3. Voor elke NIEUWE storing → campagnebeleid (alleen elektriciteit)
+        const decidedIncidents = new Set();
         for (const outage of newOutages) {
             const isGas = outage.network?.type === 'gas';
-            addLogEntry('new_outage', `Nieuwe storing in ${outage._city}${isGas ? ' (gas)' : ''}`, {
+            const incident = outageService.getIncident(outage.id);
+            const incidentSize = incident?._incident.outageIds.length || 1;
+            // Eerste waarneming ligt vóór de bevestiging (debounce van pending storingen)
+            timelineService.record(outage.id, 'first_seen', `Storing voor het eerst gezien in ${outage._city || 'Onbekend'}`, {
+                sources: outage._sourceIds,
+            }, { timestamp: outage._firstSeen, city: outage._city });
+            addLogEntry('new_outage', `Nieuwe storing in ${outage._city}${isGas ? ' (gas)' : ''}` +
+                `${incidentSize > 1 ? ` — onderdeel van incident ${incident.id} (${incidentSize} storingen)` : ''}`, {
                 id: outage.id,
+                incidentId: incident?.id,
                 city: outage._city,
                 severity: outage._severity?.label,
+                cause: outage._cause?.category,
                 households: outage.impact?.households,
+                householdsEstimate: outage.impact?.estimateMethod,
                 networkType: outage.network?.type,
             });
 
@@ -88,49 +218,67 @@ async function pollOutages() {
                 continue;
             }
 
-            // Alleen logging van nieuwe storingen, campagnes zijn nu handmatig
             logger.info(
                 `🆕 Nieuwe storing gedetecteerd: ${outage.id} in ${outage._city} ` +
-                `(${outage._severity.label}, ${outage.impact?.households || 0} huishoudens)`
+                `(${outage._severity.label}, ${outage.impact?.households || 0} huishoudens, oorzaak: ${outage._cause?.label || 'Onbekend'})`
             );
+
+            // Campagnebeleid (CAMPAIGN_POLICY_MODE): één beslissing per incident per poll
+            if (incident && getPolicyMode() !== 'off' && !decidedIncidents.has(incident.id)) {
+                decidedIncidents.add(incident.id);
+                await applyCampaignPolicy(outage, incident);
+            }
+        }
+
+        // 3b. Lopende campagnes opschalen als de ernst van hun incident gestegen is
+        if (process.env.CAMPAIGN_ESCALATION !== 'false') {
+            for (const incident of incidentUpdate.incidents) {
+                if (hasActiveCampaign(incident.id)) {
+                    await escalateIncidentCampaigns(incident);
+                }
+            }
+        }
+
+        // 3c. Eindtijd van lopende campagnes volgt de verwachte eindtijd van hun incident
+        for (const incident of incidentUpdate.incidents) {
+            if (hasActiveCampaign(incident.id)) {
+                await rescheduleIncidentCampaigns(incident);
+            }
         }
 
         // 4. Opgeloste storingen → direct campagnes pauzeren
         for (const outage of resolvedOutages) {
-            addLogEntry('outage_resolved', `Storing opgelost in ${outage._city || 'Onbekend'}`, {
+            // 'dso' = bevestigd door de netbeheerder, 'missing' = te lang niet gezien in de feed
+            const confirmed = outage._resolutionSource === 'dso';
+            addLogEntry('outage_resolved', `Storing opgelost in ${outage._city || 'Onbekend'}${confirmed ? '' : ' (niet bevestigd door netbeheerder)'}`, {
                 id: outage.id,
+                resolutionSource: outage._resolutionSource,
+                resolvedAt: outage._resolvedAt,
             });
 
-            // Pauzeer actieve campagnes voor deze storing
-            const campaigns = outageService.getCampaignsForOutage(outage.id);
-            if (campaigns) {
-                if (campaigns.google?.status === 'active' && campaigns.google.campaignResourceName) {
-                    try {
-                        const success = await googleAdsService.pauseCampaign(campaigns.google.campaignResourceName);
-                        if (success) {
-                            outageService.markCampaignPaused(outage.id, 'google');
-                            addLogEntry('campaign_paused', `Google Ads campagne gepauzeerd (storing opgelost)`, { outageId: outage.id });
-                        }
-                    } catch (e) {
-                        logger.error(`Fout bij pauzeren Google campagne voor ${outage.id}: ${e.message}`);
-                    }
-                }
-                if (campaigns.meta?.status === 'active' && campaigns.meta.campaignId) {
-                    try {
-                        const success = await metaAdsService.pauseCampaign(campaigns.meta.campaignId);
-                        if (success) {
-                            outageService.markCampaignPaused(outage.id, 'meta');
-                            addLogEntry('campaign_paused', `Meta Ads campagne gepauzeerd (storing opgelost)`, { outageId: outage.id });
-                        }
-                    } catch (e) {
-                        logger.error(`Fout bij pauzeren Meta campagne voor ${outage.id}: ${e.message}`);
-                    }
-                }
+            // Pauzeer actieve campagnes, tenzij het incident met dit id nog andere actieve storingen heeft
+            if (!outageService.incidents.has(outage.id)) {
+                await campaignLaunchService.pauseAll(outage.id, `storing opgelost${confirmed ? '' : ', onbevestigd'}`);
             }
         }
 
-        // 5. Persisteer state naar disk
+        // Incidenten zonder actieve storingen → campagnes van het incident pauzeren
+        for (const incident of incidentUpdate.ended) {
+            await campaignLaunchService.pauseAll(incident.id, 'incident opgelost');
+        }
+
+        // Voorstellen waar niemand op gereageerd heeft vóór de oplossing verlopen
+        expireApprovals((a) => !outageService.incidents.has(a.incidentId), 'storing opgelost');
+
+        // 5. Ingeplande campagnes starten/stoppen
+        await runPlannedWork();
+
+        // 6. Persisteer state naar disk
         outageService.persistState();
+        plannedWorkService.persist();
+        timelineService.persist();
+        approvalService.persist();
+        budgetService.persist();
 
         const duration = Date.now() - startTime;
         lastPollTime = new Date().toISOString();
@@ -142,6 +290,13 @@ async function pollOutages() {
             newOutages: newOutages.length,
             resolvedOutages: resolvedOutages.length,
             updatedOutages: updatedOutages.length,
+            incidents: incidentUpdate.incidents.length,
+            pendingApprovals: approvalService.getStats().pending,
+            changeEvents: changes.reduce((sum, c) => sum + c.events.length, 0),
+            suspectedOutages: suspectedOutages.length,
+            plannedOutages: plannedWorkService.plannedOutages.size,
+            sources: sourceNames,
+            byDso,
         };
 
         logger.info(
@@ -160,6 +315,385 @@ async function pollOutages() {
     }
 }
 
+// ──────────────────────────────────────
+//  Gepland onderhoud: ingeplande campagnes
+// ──────────────────────────────────────
+
+let isRunningPlannedWork = false;
+
+/**
+ * Start ingeplande campagnes waarvan het startmoment bereikt is en stop
+ * lopende campagnes na het einde van het werk. Draait elke minuut en na elke poll.
+ */
+async function runPlannedWork() {
+    if (isRunningPlannedWork) return;
+    isRunningPlannedWork = true;
+
+    try {
+        for (const { schedule, outage } of plannedWorkService.getDueStarts()) {
+            await startScheduledCampaigns(schedule, outage);
+        }
+
+        for (const schedule of plannedWorkService.getDueStops()) {
+            await campaignLaunchService.pauseAll(schedule.outageId, 'gepland onderhoud voorbij');
+            plannedWorkService.markCompleted(schedule.outageId);
+            addLogEntry('planned_campaign_stopped', `Ingeplande campagne gestopt (onderhoud voorbij)`, { id: schedule.outageId });
+        }
+
+        plannedWorkService.cleanup();
+        plannedWorkService.persist();
+        outageService.persistState();
+        timelineService.persist();
+        budgetService.persist();
+    } finally {
+        isRunningPlannedWork = false;
+    }
+}
+
+async function startScheduledCampaigns(schedule, outage) {
+    // Onlangs al geadverteerd en AREA_COOLDOWN_MODE=block: niet starten, tenzij bij het inplannen genegeerd
+    const { cooldown, blocked } = campaignLaunchService.checkCooldown(outage, { ignoreCooldown: schedule.ignoreCooldown, via: 'gepland' });
+    if (blocked) {
+        plannedWorkService.markSkipped(outage.id, `afkoelperiode: ${describeCooldown(cooldown)}`);
+        return;
+    }
+
+    // Campagne loopt tot stopAt; de cron pauzeert hem daar ook expliciet
+    const started = {};
+
+    for (const platform of schedule.platforms) {
+        const adPlatform = AD_PLATFORMS.find(({ key }) => key === platform);
+        if (!adPlatform?.service.isEnabled()) continue;
+
+        const requestedBudget = schedule.customBudget || outage._severity?.[`${platform}Budget`] || 0;
+
+        try {
+            const { campaign, overBudget } = await campaignLaunchService.createWithinBudget(adPlatform, outage, requestedBudget, {
+                customBudget: schedule.customBudget,
+                customRadius: schedule.customRadius,
+                endTime: schedule.stopAt,
+            }, { expiresAt: schedule.stopAt, scheduled: true });
+            if (overBudget) {
+                addLogEntry('campaign_skipped', `${platform} overgeslagen (budget limiet/gepland) voor ${outage._city}`, { id: outage.id });
+                continue;
+            }
+            if (campaign) {
+                started[platform] = campaign;
+                addLogEntry('campaign_created', `${platform} campagne gestart voor gepland onderhoud in ${outage._city}`, {
+                    id: outage.id,
+                    simulated: campaign.simulated,
+                });
+            }
+        } catch (err) {
+            addLogEntry('campaign_error', `${platform} fout (gepland) voor ${outage._city}: ${err.message}`, { id: outage.id });
+        }
+    }
+
+    plannedWorkService.markStarted(outage.id, started);
+    addLogEntry('planned_campaign_started', `Ingeplande campagne gestart voor ${outage._city} (${Object.keys(started).join(', ') || 'geen platform'})`, {
+        id: outage.id,
+        stopAt: schedule.stopAt,
+    });
+}
+
+const AD_PLATFORMS = [
+    { key: 'google', name: 'Google Ads', service: googleAdsService },
+    { key: 'meta', name: 'Meta Ads', service: metaAdsService },
+];
+
+const campaignLaunchService = new CampaignLaunchService({
+    outageService,
+    budgetService,
+    cooldownService,
+    platforms: AD_PLATFORMS,
+    log: addLogEntry,
+});
+
+/**
+ * Schaal de lopende campagnes van een incident op als zijn ernst hoger is dan
+ * waarvoor ze zijn ingesteld: hoger dagbudget (binnen de daglimiet), grotere
+ * radius en verse teksten. Alleen verhogen; een hoger handmatig budget of een
+ * grotere radius blijft staan, net als teksten die het team zelf koos.
+ * @param {object} incident – samengestelde storing uit outageService.getIncident
+ */
+async function escalateIncidentCampaigns(incident) {
+    const campaigns = outageService.getCampaignsForOutage(incident.id);
+    const severity = incident._severity;
+    const levels = loadSeverityRules().levels;
+
+    for (const { key, name, service } of AD_PLATFORMS) {
+        const campaign = campaigns?.[key];
+        if (campaign?.status !== 'active' || !service.isEnabled()) continue;
+
+        // Campagnes van vóór de escalatie kennen hun niveau niet: vanaf nu meten
+        if (!campaign.severity) {
+            outageService.updateCampaign(incident.id, key, { severity: severity.level });
+            continue;
+        }
+        if (getSeverityRank(severity.level) <= getSeverityRank(campaign.severity)) continue;
+
+        const currentBudget = campaign.budget || 0;
+        const targetBudget = severity[`${key}Budget`] || 0;
+        const targetRadius = getTargetRadiusKm(incident, severity.radiusKm);
+
+        // Meer budget alleen voor zover de daglimiet het toelaat; het verschil eerst reserveren
+        let budget = null;
+        let reservation = null;
+        if (targetBudget > currentBudget) {
+            const allowed = Math.min(targetBudget, currentBudget + Math.max(0, budgetService.getRemaining(key)));
+            if (allowed > currentBudget) {
+                reservation = budgetService.reserve(key, allowed - currentBudget, { outageId: incident.id });
+                budget = reservation ? allowed : null;
+            }
+        }
+        const radiusKm = targetRadius > (campaign.radiusKm || 0) ? targetRadius : null;
+        const copy = campaign.customCopy ? null : service.buildAdCopy(incident);
+
+        const changes = [`${levels[campaign.severity]?.label || campaign.severity} → ${severity.label}`];
+        if (budget) changes.push(`€${currentBudget} → €${budget}/dag`);
+        if (targetBudget > currentBudget && budget !== targetBudget) changes.push(`budget begrensd door daglimiet (gevraagd €${targetBudget})`);
+        if (radiusKm) changes.push(`${campaign.radiusKm} → ${radiusKm} km`);
+        if (copy) changes.push('teksten ververst');
+        const logData = { id: incident.id, outageIds: incident._incident?.outageIds, platform: key };
+
+        try {
+            const updated = budget || radiusKm || copy
+                ? await service.updateCampaign(campaign, incident, { budget, radiusKm, copy })
+                : {};
+            if (reservation) {
+                budgetService.release(reservation.id);
+                budgetService.adjust(key, campaign.campaignId, budget);
+            }
+            outageService.updateCampaign(incident.id, key, { ...updated, severity: severity.level });
+            addLogEntry('campaign_escalated', `${name} campagne opgeschaald voor ${incident._city || 'Onbekend'}: ${changes.join(', ')}`, {
+                ...logData,
+                from: campaign.severity,
+                to: severity.level,
+                budget: budget || currentBudget,
+                radiusKm: radiusKm || campaign.radiusKm,
+            });
+        } catch (err) {
+            // Wat al wel live staat (bijv. het hogere budget) komt in grootboek en campagnedata;
+            // het niveau niet, zodat de volgende poll de rest opnieuw probeert
+            const applied = err.updated || {};
+            if (reservation) {
+                budgetService.release(reservation.id);
+                if (applied.budget) budgetService.adjust(key, campaign.campaignId, applied.budget);
+            }
+            if (Object.keys(applied).length > 0) outageService.updateCampaign(incident.id, key, applied);
+            const partial = applied.budget ? ` (budget wel verhoogd naar €${applied.budget}/dag)` : '';
+            addLogEntry('campaign_error', `${name} opschalen mislukt voor ${incident._city || 'Onbekend'}: ${err.message}${partial}`, { ...logData, applied });
+        }
+    }
+    budgetService.persist();
+}
+
+/**
+ * Zet de eindtijd van de lopende campagnes van een incident opnieuw als de
+ * verwachte eindtijd veranderd is. Handmatige looptijden en ingeplande
+ * campagnes blijven staan.
+ * @param {object} incident – samengestelde storing uit outageService.getIncident
+ */
+async function rescheduleIncidentCampaigns(incident) {
+    const campaigns = outageService.getCampaignsForOutage(incident.id);
+
+    for (const { key, name, service } of AD_PLATFORMS) {
+        const campaign = campaigns?.[key];
+        if (campaign?.status !== 'active' || !service.isEnabled() || campaign.scheduled) continue;
+
+        // Campagnes van vóór de looptijdregels kennen hun basis niet: vanaf nu volgen
+        if (!campaign.duration) {
+            outageService.updateCampaign(incident.id, key, {
+                duration: { rule: 'default', expectedEnd: getCampaignEndTime(incident).expectedEnd, bounded: null },
+            });
+            continue;
+        }
+        if (!needsNewEndTime(campaign, incident)) continue;
+
+        // Vanaf de start van deze campagne: min/max gelden voor de hele looptijd
+        const duration = getCampaignEndTime(incident, { start: campaign.createdAt });
+        const until = new Date(duration.endTime).toLocaleString('nl-NL', {
+            timeZone: 'Europe/Amsterdam', day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit',
+        });
+        const logData = { id: incident.id, outageIds: incident._incident?.outageIds, platform: key };
+        try {
+            await service.updateCampaign(campaign, incident, { endTime: duration.endTime });
+            budgetService.reschedule(key, campaign.campaignId, duration.endTime);
+            outageService.updateCampaign(incident.id, key, {
+                expiresAt: duration.endTime,
+                duration: { rule: duration.rule, expectedEnd: duration.expectedEnd, bounded: duration.bounded },
+            });
+            addLogEntry('campaign_rescheduled', `${name} campagne voor ${incident._city || 'Onbekend'} loopt nu tot ${until} (${describeDuration(duration)})`, {
+                ...logData,
+                from: campaign.expiresAt,
+                to: duration.endTime,
+                expectedEnd: duration.expectedEnd,
+            });
+        } catch (err) {
+            addLogEntry('campaign_error', `${name} eindtijd bijwerken mislukt voor ${incident._city || 'Onbekend'}: ${err.message}`, logData);
+        }
+    }
+    budgetService.persist();
+}
+
+/**
+ * Zet de eindtijd van lopende ingeplande campagnes op het nieuwe stopmoment
+ * als de netbeheerder het werk verschuift.
+ * @param {object} outage – geplande onderbreking uit plannedWorkService
+ */
+async function reschedulePlannedCampaigns(outage) {
+    const schedule = plannedWorkService.schedules.get(outage.id);
+    if (schedule?.status !== SCHEDULE_STATUS.RUNNING) return;
+    const campaigns = outageService.getCampaignsForOutage(outage.id);
+
+    for (const { key, name, service } of AD_PLATFORMS) {
+        const campaign = campaigns?.[key];
+        if (campaign?.status !== 'active' || !service.isEnabled() || campaign.expiresAt === schedule.stopAt) continue;
+
+        const until = new Date(schedule.stopAt).toLocaleString('nl-NL', {
+            timeZone: 'Europe/Amsterdam', day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit',
+        });
+        const logData = { id: outage.id, platform: key };
+        try {
+            await service.updateCampaign(campaign, outage, { endTime: schedule.stopAt });
+            budgetService.reschedule(key, campaign.campaignId, schedule.stopAt);
+            outageService.updateCampaign(outage.id, key, { expiresAt: schedule.stopAt });
+            addLogEntry('campaign_rescheduled', `${name} campagne voor gepland onderhoud in ${outage._city || 'Onbekend'} loopt nu tot ${until}`, {
+                ...logData,
+                from: campaign.expiresAt,
+                to: schedule.stopAt,
+            });
+        } catch (err) {
+            addLogEntry('campaign_error', `${name} eindtijd bijwerken mislukt voor gepland onderhoud in ${outage._city || 'Onbekend'}: ${err.message}`, logData);
+        }
+    }
+    budgetService.persist();
+}
+
+function hasActiveCampaign(incidentId) {
+    return Object.values(outageService.getCampaignsForOutage(incidentId) || {}).some((c) => c?.status === 'active');
+}
+
+/**
+ * Resterend dagbudget voor het campagnebeleid: het laagste van de actieve platforms.
+ */
+function getPolicyBudgetRemaining() {
+    const remaining = AD_PLATFORMS
+        .filter(({ service }) => service.isEnabled())
+        .map(({ key }) => budgetService.getRemaining(key));
+    return remaining.length > 0 ? Math.min(...remaining) : 0;
+}
+
+/**
+ * Pas het campagnebeleid toe op het incident van een nieuwe storing.
+ * In dry-run wordt alleen de beslissing gelogd.
+ */
+async function applyCampaignPolicy(outage, incident) {
+    const decision = decideCampaign(incident, {
+        budgetRemaining: getPolicyBudgetRemaining(),
+        hasActiveCampaign: hasActiveCampaign(incident.id),
+    });
+    outage._policy = decision;
+
+    const dryRun = decision.mode === 'dry-run';
+    const logData = { id: incident.id, outageIds: incident._incident.outageIds, ...decision };
+    const verdict = {
+        [POLICY_ACTIONS.LAUNCH]: dryRun ? 'zou campagnes starten' : 'campagnes starten',
+        [POLICY_ACTIONS.QUEUE]: dryRun ? 'zou campagne voorleggen' : 'campagne voorleggen',
+        [POLICY_ACTIONS.IGNORE]: dryRun ? 'zou niets doen' : 'geen campagne',
+    }[decision.action];
+    addLogEntry('campaign_policy', `Beleid${dryRun ? ' (dry-run)' : ''} voor ${incident._city || 'Onbekend'}: ${verdict} — ${decision.reason}`, logData);
+
+    if (dryRun) return;
+
+    if (decision.action === POLICY_ACTIONS.LAUNCH) {
+        await campaignLaunchService.launch(incident, {}, 'automatisch');
+    } else if (decision.action === POLICY_ACTIONS.QUEUE && !approvalService.getPendingForIncident(incident.id)) {
+        proposeIncidentCampaign(incident, { source: 'beleid', reason: decision.reason });
+    }
+}
+
+// ──────────────────────────────────────
+//  Campagnevoorstellen (goedkeuring)
+// ──────────────────────────────────────
+
+/**
+ * Bereken wat er zou starten: budgetten, radius, looptijd en teksten per actief platform.
+ */
+function buildCampaignProposal(incident) {
+    const platforms = AD_PLATFORMS.filter(({ service }) => service.isEnabled());
+    return {
+        platforms: platforms.map(({ key }) => key),
+        budgets: Object.fromEntries(platforms.map(({ key }) => [key, incident._severity?.[`${key}Budget`] || 0])),
+        radiusKm: getTargetRadiusKm(incident, incident._severity?.radiusKm),
+        durationHours: getCampaignEndTime(incident).durationHours,
+        copy: Object.fromEntries(platforms.map(({ key, service }) => [key, service.buildAdCopy(incident)])),
+    };
+}
+
+/**
+ * Leg een campagne voor een incident voor aan het team.
+ * @returns {object} het voorstel
+ */
+function proposeIncidentCampaign(incident, { source, reason }) {
+    const approval = approvalService.propose(incident, buildCampaignProposal(incident), { source, reason });
+    approvalService.persist();
+    addLogEntry('campaign_queued', `Campagnevoorstel voor ${approval.city} wacht op goedkeuring`, {
+        id: incident.id,
+        outageIds: approval.outageIds,
+        approvalId: approval.id,
+        source,
+    });
+    return approval;
+}
+
+function expireApprovals(shouldExpire, reason) {
+    for (const approval of approvalService.expire(shouldExpire, reason)) {
+        addLogEntry('approval_expired', `Campagnevoorstel voor ${approval.city} verlopen (${reason})`, {
+            id: approval.incidentId,
+            outageIds: approval.outageIds,
+            approvalId: approval.id,
+        });
+    }
+}
+
+/**
+ * HTTP-status bij een fout uit ApprovalService.
+ */
+function approvalErrorStatus(err) {
+    if (err.message.includes('niet gevonden')) return 404;
+    if (err.message.includes('al afgehandeld') || err.message.includes('al een voorstel')) return 409;
+    return 400;
+}
+
+// ──────────────────────────────────────
+//  Replay van een opgenomen feed
+// ──────────────────────────────────────
+
+/**
+ * Speel alle frames uit REPLAY_FILE af via pollOutages.
+ * REPLAY_SPEED: 1 = realtime, 60 = 60x versneld, 0 = zo snel mogelijk.
+ */
+async function runReplay(replaySource) {
+    const speed = parseFloat(process.env.REPLAY_SPEED || '1');
+    logger.info(`⏪ Replay gestart: ${replaySource.frames.length} frames (snelheid: ${speed || 'max'})`);
+    addLogEntry('replay_start', `Replay gestart (${replaySource.frames.length} frames)`, {
+        file: replaySource.file,
+        speed,
+    });
+
+    while (replaySource.hasMore()) {
+        const delay = replaySource.delayUntilNext(speed);
+        if (delay > 0) {
+            await new Promise((r) => setTimeout(r, delay));
+        }
+        await pollOutages();
+    }
+
+    logger.info('⏪ Replay voltooid');
+    addLogEntry('replay_complete', 'Replay voltooid', { polls: pollCount });
+}
+
 // ──────────────────────────────────────
 //  Dagelijkse cleanup: verlopen campagnes pauzeren
 // ──────────────────────────────────────
@@ -225,6 +759,7 @@ app.get('/api/status', (req, res) => {
         pollCount,
         lastPollTime,
         dataSourceMode: process.env.DATA_SOURCE_MODE || 'scrape',
+        dataSources: scraperService.getSourceInfo(),
         simulationMode: process.env.SIMULATION_MODE === 'true',
         services: {
             enabled: googleAdsService.isEnabled() || metaAdsService.isEnabled(),
@@ -232,18 +767,174 @@ app.get('/api/status', (req, res) => {
             meta: metaAdsService.isEnabled(),
         },
         stats,
+        planned: plannedWorkService.getStats(),
+        policy: { mode: getPolicyMode() },
+        approvals: approvalService.getStats(),
+        cooldown: cooldownService.getStats(),
+        validation: quarantineService.getStats(),
         timestamp: new Date().toISOString(),
     });
 });
 
-// Actieve en recent opgeloste storingen
+// Actieve en recent opgeloste storingen (optioneel gefilterd op oorzaak: ?cause=digging)
 app.get('/api/outages', (req, res) => {
+    const byCause = (outage) => !req.query.cause || outage._cause?.category === req.query.cause;
+    res.json({
+        active: outageService.getActiveOutages().filter(byCause).map(sanitizeOutage),
+        pending: outageService.getPendingOutages().filter(byCause).map(sanitizeOutage),
+        resolved: outageService.getResolvedOutages().filter(byCause).map(sanitizeOutage),
+        // Per incident of er onlangs al in het gebied geadverteerd is
+        incidents: outageService.getIncidents().map((incident) => ({
+            ...sanitizeOutage(incident),
+            _cooldown: cooldownService.check(incident),
+        })),
+        causes: getCauseCategories(),
+        excludedCauses: getExcludedCauses(),
+    });
+});
+
+// Volledige tijdlijn van één storing (ook na opruimen uit resolvedOutages)
+app.get('/api/outages/:id/history', (req, res) => {
+    const outage = findOutage(req.params.id);
+    const timeline = timelineService.getTimeline(req.params.id);
+    if (!outage && !timeline) {
+        return res.status(404).json({ error: 'Storing niet gevonden' });
+    }
     res.json({
-        active: outageService.getActiveOutages().map(sanitizeOutage),
-        resolved: outageService.getResolvedOutages().map(sanitizeOutage),
+        id: req.params.id,
+        city: outage?._city || timeline?.city || null,
+        outage: outage ? sanitizeOutage(outage) : null,
+        campaigns: outageService.getCampaignsForOutage(req.params.id),
+        timeline: timeline?.entries || [],
     });
 });
 
+// Welke ernstregel geldt voor een storing, en waarom (bij een incident ook voor het incident)
+app.get('/api/outages/:id/severity', (req, res) => {
+    const outage = findOutage(req.params.id) || outageService.getIncident(req.params.id);
+    if (!outage) {
+        return res.status(404).json({ error: 'Storing niet gevonden' });
+    }
+    const incident = outageService.getIncident(req.params.id);
+    res.json({
+        id: outage.id,
+        current: outage._severity || null,
+        ...explainSeverity(outage),
+        incident: incident && incident._incident.outageIds.length > 1
+            ? { id: incident.id, current: incident._severity, ...explainSeverity(incident) }
+            : null,
+    });
+});
+
+// Wat zou het campagnebeleid nu beslissen voor het incident van deze storing, en waarom
+app.get('/api/outages/:id/policy', (req, res) => {
+    const incident = outageService.getIncident(req.params.id);
+    if (!incident) {
+        return res.status(404).json({ error: 'Storing niet gevonden of al opgelost' });
+    }
+    const outage = outageService.activeOutages.get(req.params.id);
+    res.json({
+        id: incident.id,
+        outageIds: incident._incident.outageIds,
+        lastDecision: outage?._policy || null,
+        ...explainPolicy(incident, {
+            budgetRemaining: getPolicyBudgetRemaining(),
+            hasActiveCampaign: hasActiveCampaign(incident.id),
+        }),
+    });
+});
+
+// Afkoelperiode voor het gebied van een storing: waar is onlangs al geadverteerd
+app.get('/api/outages/:id/cooldown', (req, res) => {
+    const incident = outageService.getIncident(req.params.id);
+    if (!incident) {
+        return res.status(404).json({ error: 'Storing niet gevonden of al opgelost' });
+    }
+    res.json({ incidentId: incident.id, ...cooldownService.check(incident) });
+});
+
+// Register van geadverteerde gebieden (?all=true: ook buiten de afkoelperiode)
+app.get('/api/cooldowns', (req, res) => {
+    res.json({
+        ...cooldownService.getStats(),
+        areas: cooldownService.list({ activeOnly: req.query.all !== 'true' }),
+    });
+});
+
+// Campagnebeleid: modus en regels
+app.get('/api/policy', (req, res) => {
+    res.json({ mode: getPolicyMode(), ...loadPolicyRules() });
+});
+
+// Actieve ernstregels (SEVERITY_RULES_FILE of standaard)
+app.get('/api/severity/rules', (req, res) => {
+    res.json(loadSeverityRules());
+});
+
+// Gepland onderhoud met eventuele ingeplande campagne
+app.get('/api/planned', (req, res) => {
+    res.json({
+        ...plannedWorkService.getStats(),
+        planned: plannedWorkService.getUpcoming().map(sanitizeOutage),
+    });
+});
+
+// Campagne inplannen voor gepland onderhoud
+app.post('/api/planned/:id/schedule', async (req, res) => {
+    const { platforms, leadHours, trailHours, customBudget, customRadius, force, ignoreCooldown } = req.body || {};
+    const planned = plannedWorkService.plannedOutages.get(req.params.id);
+    if (planned?._campaignEligible === false && !force) {
+        return res.status(409).json({
+            error: `Geen campagnes voor oorzaak "${planned._cause?.label}"`,
+            cause: planned._cause,
+        });
+    }
+
+    let schedule;
+    try {
+        schedule = plannedWorkService.schedule(req.params.id, {
+            platforms,
+            leadHours: leadHours === undefined ? undefined : Number(leadHours),
+            trailHours: trailHours === undefined ? undefined : Number(trailHours),
+            customBudget,
+            customRadius,
+            ignoreCooldown: Boolean(ignoreCooldown),
+        });
+    } catch (err) {
+        const status = err.message.includes('niet gevonden') ? 404 : 400;
+        return res.status(status).json({ error: err.message });
+    }
+
+    const outage = plannedWorkService.plannedOutages.get(req.params.id);
+    addLogEntry('planned_campaign_scheduled', `Campagne ingepland voor gepland onderhoud in ${outage._city || 'Onbekend'}`, {
+        id: req.params.id,
+        startAt: schedule.startAt,
+        stopAt: schedule.stopAt,
+        platforms: schedule.platforms,
+    });
+
+    // Startmoment al bereikt (korte aanlooptijd)? Dan direct starten
+    await runPlannedWork();
+    res.json({ schedule: plannedWorkService.schedules.get(req.params.id) });
+});
+
+app.delete('/api/planned/:id/schedule', (req, res) => {
+    try {
+        const schedule = plannedWorkService.cancel(req.params.id);
+        plannedWorkService.persist();
+        addLogEntry('planned_campaign_cancelled', `Ingeplande campagne geannuleerd`, { id: req.params.id });
+        res.json({ schedule });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Dagbudget per platform (kalenderdag in Nederland): vandaag en per dag (?days=, max 31)
+app.get('/api/budget', (req, res) => {
+    const days = Math.min(Math.max(parseInt(req.query.days || '7', 10) || 7, 1), 31);
+    res.json(budgetService.getBreakdown({ days }));
+});
+
 // Alle campagnes
 app.get('/api/campaigns', (req, res) => {
     res.json({
@@ -251,6 +942,32 @@ app.get('/api/campaigns', (req, res) => {
     });
 });
 
+// Afgekeurde records (schema-validatie)
+app.get('/api/quarantine', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit || '100', 10), 500);
+    res.json({
+        ...quarantineService.getStats(),
+        entries: quarantineService.getEntries({ limit, source: req.query.source }),
+    });
+});
+
+app.delete('/api/quarantine', (req, res) => {
+    const removed = quarantineService.clear();
+    quarantineService.persist();
+    addLogEntry('quarantine_cleared', `Quarantaine geleegd (${removed} records)`);
+    res.json({ removed });
+});
+
+// Circuit breaker van een bron handmatig sluiten
+app.post('/api/sources/:name/reset', (req, res) => {
+    if (!sourceHealthService.reset(req.params.name)) {
+        return res.status(404).json({ error: `Onbekende bron: ${req.params.name}` });
+    }
+    sourceHealthService.persist();
+    addLogEntry('source_reset', `Circuit breaker van ${req.params.name} handmatig gesloten`);
+    res.json({ source: req.params.name, breaker: 'closed' });
+});
+
 // Event log
 app.get('/api/log', (req, res) => {
     const limit = Math.min(parseInt(req.query.limit || '50', 10), 200);
@@ -260,80 +977,221 @@ app.get('/api/log', (req, res) => {
     });
 });
 
+// Antwoorden van /api/campaigns/create per Idempotency-Key (utils/idempotency.js)
+const campaignRequests = createIdempotencyStore();
+
 /**
- * Handle manual campaign creation
+ * Handmatige campagne-aanmaak. Met een Idempotency-Key header (of idempotencyKey
+ * in de body) geeft een herhaald verzoek het eerste antwoord terug in plaats van
+ * opnieuw campagnes te maken; een verzoek dat nog loopt wordt afgewacht.
+ * Mislukte verzoeken (5xx) worden niet bewaard en mogen opnieuw geprobeerd worden.
  */
 app.post('/api/campaigns/create', async (req, res) => {
-    const { outageId, customBudget, customRadius, customDuration, platforms } = req.body;
+    const { idempotencyKey: bodyKey, ...body } = req.body || {};
+    const key = req.get('Idempotency-Key') || bodyKey;
+    if (!key) {
+        const { status, body: response } = await createManualCampaigns(body);
+        return res.status(status).json(response);
+    }
+
+    try {
+        const { status, body: response, replayed } = await campaignRequests.run(key, body, () => createManualCampaigns(body));
+        if (replayed) res.set('Idempotent-Replayed', 'true');
+        res.status(status).json(response);
+    } catch (err) {
+        logger.error(`Handmatige campagne-aanmaak mislukt: ${err.message}`);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * Start campagnes voor POST /api/campaigns/create.
+ * Loopt er al een campagne, dan komt die terug (status 200, existing); met
+ * replace wordt die eerst gepauzeerd en komt er een nieuwe voor in de plaats. Een afkoelperiode die de
+ * aanmaak tegenhoudt geeft 409 met cooldown; ignoreCooldown start toch.
+ * @param {object} body – outageId, customBudget, customRadius, customDuration, platforms, force, replace, ignoreCooldown
+ * @returns {Promise<{ status: number, body: object }>}
+ */
+async function createManualCampaigns({ outageId, customBudget, customRadius, customDuration, platforms, force, replace, ignoreCooldown }) {
     if (!outageId) {
-        return res.status(400).json({ error: 'outageId is verplicht' });
+        return { status: 400, body: { error: 'outageId is verplicht' } };
     }
 
-    const outage = outageService.activeOutages.get(outageId);
+    // Campagnes gelden voor het hele incident (outageId mag een storing of een incident zijn)
+    const outage = outageService.getIncident(outageId);
     if (!outage) {
-        return res.status(404).json({ error: 'Storing niet gevonden of al opgelost' });
+        return { status: 404, body: { error: 'Storing niet gevonden of al opgelost' } };
     }
+    const incidentId = outage.id;
+    const outageIds = outage._incident.outageIds;
 
-    const results = { google: null, meta: null };
-    const errors = [];
+    // Uitgesloten oorzaak (CAMPAIGN_EXCLUDED_CAUSES): alleen met force
+    if (outage._campaignEligible === false && !force) {
+        return {
+            status: 409,
+            body: { error: `Geen campagnes voor oorzaak "${outage._cause?.label}"`, cause: outage._cause },
+        };
+    }
 
-    addLogEntry('manual_campaign_trigger', `Handmatige campagne activatie gestart voor ${outage._city}`, { id: outageId });
+    addLogEntry('manual_campaign_trigger', `Handmatige campagne activatie gestart voor ${outage._city}${replace ? ' (vervangen)' : ''}`, { id: incidentId, outageIds });
 
-    // Google Ads
-    if (googleAdsService.isEnabled() && (!platforms || platforms.includes('google'))) {
-        const requestedBudget = customBudget || outage._severity?.googleBudget || 0;
-        if (outageService.canCreateNewCampaign('google', requestedBudget)) {
-            try {
-                const googleCampaign = await googleAdsService.createCampaign(outage, {
-                    customBudget: customBudget,
-                    customRadius: customRadius,
-                    customDuration: customDuration
-                });
-                if (googleCampaign) {
-                    outageService.registerCampaign(outageId, 'google', googleCampaign);
-                    results.google = googleCampaign;
-                    addLogEntry('campaign_created', `Google Ads campagne handmatig aangemaakt voor ${outage._city}`, { id: outageId, simulated: googleCampaign.simulated });
-                }
-            } catch (err) {
-                errors.push(`Google Ads: ${err.message}`);
-                addLogEntry('campaign_error', `Google Ads fout (handmatig) voor ${outage._city}: ${err.message}`);
-            }
-        } else {
-            errors.push('Google Ads: Dagelijks budget limiet bereikt');
-            addLogEntry('campaign_skipped', `Google Ads overgeslagen (budget limiet/handmatig) voor ${outage._city}`, { id: outageId });
+    const { results, existing, busy, errors, cooldown } = await campaignLaunchService.launch(outage, {
+        customBudget,
+        customRadius,
+        customDuration,
+        platforms,
+        replace: Boolean(replace),
+        ignoreCooldown: Boolean(ignoreCooldown),
+    });
+
+    if (!results.google && !results.meta) {
+        if (cooldown.blocked && !ignoreCooldown) {
+            return { status: 409, body: { error: 'Gebied is onlangs al geadverteerd', details: errors, cooldown } };
+        }
+        if (busy.length > 0) {
+            return { status: 409, body: { error: 'Er wordt al een campagne aangemaakt voor dit incident', details: errors } };
+        }
+        if (!replace && (existing.google || existing.meta)) {
+            return {
+                status: 200,
+                body: { message: 'Campagne loopt al voor dit incident', incidentId, outageIds, results, existing, details: errors },
+            };
+        }
+        if (errors.length > 0) {
+            return { status: 500, body: { error: 'Campagne aanmaak mislukt', details: errors } };
         }
     }
 
-    // Meta Ads
-    if (metaAdsService.isEnabled() && (!platforms || platforms.includes('meta'))) {
-        const requestedBudget = customBudget || outage._severity?.metaBudget || 0;
-        if (outageService.canCreateNewCampaign('meta', requestedBudget)) {
-            try {
-                const metaCampaign = await metaAdsService.createCampaign(outage, {
-                    customBudget: customBudget,
-                    customRadius: customRadius,
-                    customDuration: customDuration
-                });
-                if (metaCampaign) {
-                    outageService.registerCampaign(outageId, 'meta', metaCampaign);
-                    results.meta = metaCampaign;
-                    addLogEntry('campaign_created', `Meta Ads campagne handmatig aangemaakt voor ${outage._city}`, { id: outageId, simulated: metaCampaign.simulated });
-                }
-            } catch (err) {
-                errors.push(`Meta Ads: ${err.message}`);
-                addLogEntry('campaign_error', `Meta Ads fout (handmatig) voor ${outage._city}: ${err.message}`);
-            }
-        } else {
-            errors.push('Meta Ads: Dagelijks budget limiet bereikt');
-            addLogEntry('campaign_skipped', `Meta Ads overgeslagen (budget limiet/handmatig) voor ${outage._city}`, { id: outageId });
-        }
+    // Een openstaand voorstel is achterhaald zodra er handmatig gestart is
+    expireApprovals((a) => a.incidentId === incidentId, 'handmatig gestart');
+    approvalService.persist();
+
+    return {
+        status: 200,
+        body: { message: 'Campagne(s) succesvol aangemaakt', incidentId, outageIds, results, existing, details: errors, cooldown },
+    };
+}
+
+// Campagnevoorstellen (optioneel gefilterd op status: ?status=pending)
+app.get('/api/approvals', (req, res) => {
+    res.json({
+        ...approvalService.getStats(),
+        approvals: approvalService.list({ status: req.query.status }),
+    });
+});
+
+app.get('/api/approvals/:id', (req, res) => {
+    const approval = approvalService.get(req.params.id);
+    if (!approval) {
+        return res.status(404).json({ error: 'Voorstel niet gevonden' });
+    }
+    res.json({ approval });
+});
+
+// Handmatig een voorstel laten opstellen voor een storing of incident
+app.post('/api/approvals', (req, res) => {
+    const { outageId, force } = req.body || {};
+    if (!outageId) {
+        return res.status(400).json({ error: 'outageId is verplicht' });
+    }
+    const incident = outageService.getIncident(outageId);
+    if (!incident) {
+        return res.status(404).json({ error: 'Storing niet gevonden of al opgelost' });
+    }
+    if (incident._campaignEligible === false && !force) {
+        return res.status(409).json({
+            error: `Geen campagnes voor oorzaak "${incident._cause?.label}"`,
+            cause: incident._cause,
+        });
+    }
+
+    try {
+        const approval = proposeIncidentCampaign(incident, { source: 'handmatig', reason: req.body.reason || '' });
+        res.status(201).json({ approval });
+    } catch (err) {
+        res.status(approvalErrorStatus(err)).json({ error: err.message });
+    }
+});
+
+// Voorstel aanpassen: platforms, budgets, radiusKm, durationHours, copy
+app.patch('/api/approvals/:id', (req, res) => {
+    const { by, ...changes } = req.body || {};
+    try {
+        const approval = approvalService.update(req.params.id, changes, by || null);
+        approvalService.persist();
+        res.json({ approval });
+    } catch (err) {
+        res.status(approvalErrorStatus(err)).json({ error: err.message });
+    }
+});
+
+// Goedkeuren (met optionele laatste aanpassingen) en de campagnes starten
+app.post('/api/approvals/:id/approve', async (req, res) => {
+    const { by, note, ignoreCooldown, ...changes } = req.body || {};
+    const approval = approvalService.get(req.params.id);
+    const incident = approval && outageService.getIncident(approval.incidentId);
+    if (approval?.status === 'pending' && !incident) {
+        expireApprovals((a) => a.id === approval.id, 'storing opgelost');
+        approvalService.persist();
+        return res.status(409).json({ error: 'Storing is al opgelost — voorstel verlopen', approval });
+    }
+
+    try {
+        approvalService.update(req.params.id, changes, by || null);
+        approvalService.approve(req.params.id, by || null, note);
+    } catch (err) {
+        return res.status(approvalErrorStatus(err)).json({ error: err.message });
     }
 
+    const { platforms, budgets, radiusKm, durationHours, copy } = approval.proposal;
+    // Alleen teksten die een teamlid aanpaste blijven vast staan bij escalatie;
+    // voor de andere platforms bouwt de service ze bij het starten opnieuw op
+    const edited = (field) => approval.edits.some((edit) => edit.fields.includes(field));
+    const { results, errors, cooldown } = await campaignLaunchService.launch(incident, {
+        platforms,
+        budgets,
+        customRadius: radiusKm,
+        // Een aangepaste looptijd geldt vast; anders volgt de eindtijd de verwachte eindtijd
+        customDuration: edited('durationHours') ? durationHours : undefined,
+        copy: Object.fromEntries(Object.entries(copy || {}).filter(([platform]) => edited(`copy.${platform}`))),
+        ignoreCooldown: Boolean(ignoreCooldown),
+    }, 'na goedkeuring');
+
+    const logData = { id: incident.id, outageIds: approval.outageIds, approvalId: approval.id, by: by || null };
     if (!results.google && !results.meta && errors.length > 0) {
-        return res.status(500).json({ error: 'Campagne aanmaak mislukt', details: errors });
+        // Niets gestart: voorstel blijft open zodat het opnieuw geprobeerd kan worden
+        approvalService.revert(approval.id, errors);
+        approvalService.persist();
+        if (cooldown.blocked && !ignoreCooldown) {
+            return res.status(409).json({ error: 'Gebied is onlangs al geadverteerd', details: errors, cooldown, approval });
+        }
+        return res.status(500).json({ error: 'Campagne aanmaak mislukt', details: errors, approval });
     }
 
-    res.json({ message: 'Campagne(s) succesvol aangemaakt', results });
+    approvalService.recordResult(approval.id, {
+        campaigns: Object.fromEntries(Object.entries(results).filter(([, c]) => c).map(([key, c]) => [key, c.campaignId])),
+        errors,
+    });
+    approvalService.persist();
+    addLogEntry('approval_approved', `Campagnevoorstel voor ${approval.city} goedgekeurd${by ? ` door ${by}` : ''}`, logData);
+    res.json({ message: 'Voorstel goedgekeurd, campagne(s) gestart', approval, results, errors, cooldown });
+});
+
+app.post('/api/approvals/:id/reject', (req, res) => {
+    const { by, note } = req.body || {};
+    try {
+        const approval = approvalService.reject(req.params.id, by || null, note);
+        approvalService.persist();
+        addLogEntry('approval_rejected', `Campagnevoorstel voor ${approval.city} afgewezen${by ? ` door ${by}` : ''}${note ? `: ${note}` : ''}`, {
+            id: approval.incidentId,
+            outageIds: approval.outageIds,
+            approvalId: approval.id,
+            by: by || null,
+        });
+        res.json({ approval });
+    } catch (err) {
+        res.status(approvalErrorStatus(err)).json({ error: err.message });
+    }
 });
 
 // Handmatige poll trigger
@@ -369,6 +1227,8 @@ app.listen(PORT, () => {
     logger.info(`  📡 API: http://localhost:${PORT}`);
     logger.info(`  ⏱️  Poll-interval: elke ${POLL_INTERVAL_MINUTES} minuten`);
     logger.info(`  📊 Data-bron: ${process.env.DATA_SOURCE_MODE || 'scrape'}`);
+    if (scraperService.recording) logger.info('  ⏺️  Opnamemodus: ruwe payloads worden opgeslagen');
+    if (process.env.REPLAY_FILE) logger.info(`  ⏪ Replay: ${process.env.REPLAY_FILE}`);
     logger.info(`  🔍 Google Ads: ${googleAdsService.isEnabled() ? '✅ actief' : '❌ niet geconfigureerd'}`);
     logger.info(`  📘 Meta Ads: ${metaAdsService.isEnabled() ? '✅ actief' : '❌ niet geconfigureerd'}`);
     logger.info('═══════════════════════════════════════════════════');
@@ -379,16 +1239,29 @@ app.listen(PORT, () => {
         dataSourceMode: process.env.DATA_SOURCE_MODE || 'scrape',
     });
 
-    // Eerste poll na 5 seconden
-    setTimeout(() => {
-        pollOutages().catch((err) => logger.error(`Eerste poll mislukt: ${err.message}`));
-    }, 5000);
+    const replaySource = scraperService.getReplaySource();
+    if (replaySource) {
+        // Replay: polls volgen de tijdstippen uit de opname i.p.v. het cron-interval
+        setTimeout(() => {
+            runReplay(replaySource).catch((err) => logger.error(`Replay mislukt: ${err.message}`));
+        }, 5000);
+    } else {
+        // Eerste poll na 5 seconden
+        setTimeout(() => {
+            pollOutages().catch((err) => logger.error(`Eerste poll mislukt: ${err.message}`));
+        }, 5000);
+
+        // Periodieke polling via cron
+        // Converteer interval naar cron-expressie (elke N minuten)
+        const cronExpression = `*/${POLL_INTERVAL_MINUTES} * * * *`;
+        cron.schedule(cronExpression, () => {
+            pollOutages().catch((err) => logger.error(`Geplande poll mislukt: ${err.message}`));
+        });
+    }
 
-    // Periodieke polling via cron
-    // Converteer interval naar cron-expressie (elke N minuten)
-    const cronExpression = `*/${POLL_INTERVAL_MINUTES} * * * *`;
-    cron.schedule(cronExpression, () => {
-        pollOutages().catch((err) => logger.error(`Geplande poll mislukt: ${err.message}`));
+    // Ingeplande campagnes voor gepland onderhoud: elke minuut controleren
+    cron.schedule('* * * * *', () => {
+        runPlannedWork().catch((err) => logger.error(`Gepland onderhoud verwerken mislukt: ${err.message}`));
     });
 
     // Dagelijkse cleanup om 03:00 's nachts
@@ -0,0 +1,281 @@
+#!/usr/bin/env node
+
+/**
+ * Mock-server — Lokale stand-in voor energieonderbrekingen.nl
+ *
+ * Implementeert de endpoints die de bron-adapters gebruiken:
+ *   GET  /api/disruptions      → publieke API (limit/offset, dso[], network[], resolved)
+ *   POST /oauth/token          → Auth0 client credentials
+ *   GET  /api/v2/disruptions   → API v2 (Bearer token vereist)
+ *   GET  /onderbrekingen       → HTML-pagina die de publieke API via fetch aanroept (voor Playwright)
+ *
+ * De data komt uit een scenario-bestand (src/mock/scenarios/*.json) met één of meer stappen.
+ * Besturing tijdens een test:
+ *   GET  /__mock/state         → huidige stap en scenario
+ *   POST /__mock/next          → naar de volgende stap
+ *   POST /__mock/reset         → terug naar stap 1
+ *   POST /__mock/scenario      → ander scenario laden ({ "name": "growth-and-resolve" })
+ *
+ * Gebruik:
+ *   npm run mock:outages
+ *   OUTAGE_BASE_URL=http://localhost:4010 OUTAGE_API_CLIENT_ID=mock-client OUTAGE_API_CLIENT_SECRET=mock-secret npm start
+ */
+
+import 'dotenv/config';
+import crypto from 'crypto';
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import logger from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const scenariosDir = path.join(__dirname, 'scenarios');
+
+const DEFAULT_AUTH = {
+    clientId: 'mock-client',
+    clientSecret: 'mock-secret',
+    expiresIn: 36000,
+};
+
+/**
+ * Vervang relatieve tijden ("now", "now+48h", "now-30m") door ISO timestamps,
+ * zodat scenario's met gepland onderhoud altijd in de toekomst liggen.
+ * @param {any} value
+ * @param {number} now – referentietijd in ms
+ * @returns {any}
+ */
+function resolveRelativeTimes(value, now) {
+    if (typeof value === 'string') {
+        const match = value.match(/^now(?:([+-])(\d+(?:\.\d+)?)([mhd]))?$/);
+        if (!match) return value;
+        const unitMs = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[match[3]] || 0;
+        const offset = match[1] ? Number(match[2]) * unitMs * (match[1] === '-' ? -1 : 1) : 0;
+        return new Date(now + offset).toISOString();
+    }
+    if (Array.isArray(value)) return value.map((v) => resolveRelativeTimes(v, now));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, resolveRelativeTimes(v, now)]));
+    }
+    return value;
+}
+
+/**
+ * Laad een scenario op naam (uit scenarios/) of als pad naar een JSON-bestand.
+ * Relatieve tijden ("now+48h") worden opgelost ten opzichte van het laadmoment.
+ * @param {string} nameOrPath
+ * @returns {object}
+ */
+export function loadScenario(nameOrPath) {
+    const filePath = nameOrPath.endsWith('.json')
+        ? path.resolve(nameOrPath)
+        : path.join(scenariosDir, `${nameOrPath}.json`);
+    const scenario = resolveRelativeTimes(JSON.parse(fs.readFileSync(filePath, 'utf-8')), Date.now());
+
+    if (!Array.isArray(scenario.steps) || scenario.steps.length === 0) {
+        throw new Error(`Scenario ${filePath} bevat geen steps`);
+    }
+    return { name: path.basename(filePath, '.json'), ...scenario };
+}
+
+/**
+ * Is een storing opgelost? Expliciet via `resolved` of via een eindtijd in het verleden.
+ */
+function isResolved(disruption) {
+    if (typeof disruption.resolved === 'boolean') return disruption.resolved;
+    const end = disruption.period?.end;
+    return Boolean(end) && new Date(end).getTime() <= Date.now();
+}
+
+/**
+ * Filter storingen op de query-parameters van de publieke API.
+ */
+function filterDisruptions(disruptions, query) {
+    const dsos = [].concat(query['dso[]'] || query.dso || []).map((d) => d.toLowerCase());
+    const networks = [].concat(query['network[]'] || query.network || []).map((n) => n.toLowerCase());
+    const resolved = query.resolved;
+
+    return disruptions.filter((d) => {
+        const organisation = (d.source?.organisation || '').toLowerCase();
+        const networkType = (d.network?.type || 'electricity').toLowerCase();
+        if (dsos.length > 0 && !dsos.includes(organisation)) return false;
+        if (networks.length > 0 && !networks.includes(networkType)) return false;
+        if (resolved === 'no' && isResolved(d)) return false;
+        if (resolved === 'yes' && !isResolved(d)) return false;
+        return true;
+    });
+}
+
+/**
+ * Pas limit/offset toe.
+ */
+function paginate(items, query) {
+    const limit = Math.max(1, parseInt(query.limit || '100', 10));
+    const offset = Math.max(0, parseInt(query.offset || '0', 10));
+    return items.slice(offset, offset + limit);
+}
+
+/**
+ * Maak de Express-app van de mock-server.
+ * @param {object} initialScenario – geladen scenario (zie loadScenario)
+ * @returns {import('express').Express}
+ */
+export function createMockServer(initialScenario) {
+    const state = {
+        scenario: initialScenario,
+        stepIndex: 0,
+        tokens: new Map(),
+        requests: 0,
+    };
+
+    const currentStep = () => state.scenario.steps[state.stepIndex];
+    const auth = () => ({ ...DEFAULT_AUTH, ...(state.scenario.auth || {}) });
+
+    // Een stap kan per endpoint een fout simuleren: { "errors": { "public-api": 503 } }
+    const failWith = (res, endpoint) => {
+        const status = currentStep().errors?.[endpoint];
+        if (!status) return false;
+        res.status(status).json({ error: `Gesimuleerde fout (${endpoint})` });
+        return true;
+    };
+
+    const app = express();
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: false }));
+    app.use((req, res, next) => {
+        state.requests++;
+        logger.debug(`Mock: ${req.method} ${req.originalUrl}`);
+        next();
+    });
+
+    // ── Publieke API ─────────────────────
+    app.get('/api/disruptions', (req, res) => {
+        if (failWith(res, 'public-api')) return;
+
+        const filtered = filterDisruptions(currentStep().disruptions || [], req.query);
+        let page = paginate(filtered, req.query);
+
+        // Simuleer een onvolledige pagina (bijv. maxPageItems: 3)
+        const maxPageItems = currentStep().maxPageItems;
+        if (maxPageItems !== undefined) page = page.slice(0, maxPageItems);
+
+        res.set('X-Total-Count', String(filtered.length));
+        res.json(page);
+    });
+
+    // ── Auth0 token endpoint ─────────────
+    app.post('/oauth/token', (req, res) => {
+        if (failWith(res, 'token')) return;
+
+        const { client_id: clientId, client_secret: clientSecret, grant_type: grantType } = req.body || {};
+        const { clientId: expectedId, clientSecret: expectedSecret, expiresIn } = auth();
+
+        if (grantType !== 'client_credentials' || clientId !== expectedId || clientSecret !== expectedSecret) {
+            return res.status(401).json({ error: 'access_denied', error_description: 'Unauthorized' });
+        }
+
+        const token = crypto.randomBytes(24).toString('hex');
+        state.tokens.set(token, Date.now() + expiresIn * 1000);
+        res.json({ access_token: token, token_type: 'Bearer', expires_in: expiresIn });
+    });
+
+    // ── API v2 (met Bearer token) ────────
+    app.get('/api/v2/disruptions', (req, res) => {
+        const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+        const expiresAt = state.tokens.get(token);
+        if (!expiresAt || expiresAt < Date.now()) {
+            return res.status(401).json({ error: 'invalid_token' });
+        }
+        if (failWith(res, 'auth0-api')) return;
+
+        const filtered = filterDisruptions(currentStep().disruptions || [], req.query);
+        res.set('X-Total-Count', String(filtered.length));
+        res.json({ disruptions: paginate(filtered, { limit: 1000, ...req.query }) });
+    });
+
+    // ── Website (voor Playwright) ────────
+    app.get('/onderbrekingen', (req, res) => {
+        if (failWith(res, 'site')) return;
+
+        res.type('html').send(`<!DOCTYPE html>
+<html lang="nl">
+<head><meta charset="UTF-8"><title>Onderbrekingen (mock)</title></head>
+<body>
+    <main id="list"></main>
+    <script>
+        fetch('/api/disruptions?limit=100&offset=0&resolved=no')
+            .then((r) => r.json())
+            .then((items) => {
+                document.getElementById('list').innerHTML = items.map((d) => {
+                    const props = (d.location && d.location.features && d.location.features.properties) || {};
+                    return '<article class="disruption-ListItem">Storing in ' + (props.city || '') + ' ' +
+                        (props.postalCode || '').split(';').join(' ') + ' ' +
+                        ((d._private_ && d._private_.Affected) || '') + ' huishoudens</article>';
+                }).join('');
+            });
+    </script>
+</body>
+</html>`);
+    });
+
+    // ── Besturing ────────────────────────
+    app.get('/__mock/state', (req, res) => {
+        res.json({
+            scenario: state.scenario.name,
+            description: state.scenario.description || '',
+            step: state.stepIndex + 1,
+            steps: state.scenario.steps.length,
+            label: currentStep().label || '',
+            disruptions: (currentStep().disruptions || []).length,
+            requests: state.requests,
+        });
+    });
+
+    app.post('/__mock/next', (req, res) => {
+        state.stepIndex = Math.min(state.stepIndex + 1, state.scenario.steps.length - 1);
+        logger.info(`Mock: stap ${state.stepIndex + 1}/${state.scenario.steps.length} — ${currentStep().label || ''}`);
+        res.json({ step: state.stepIndex + 1, label: currentStep().label || '' });
+    });
+
+    app.post('/__mock/reset', (req, res) => {
+        state.stepIndex = 0;
+        state.tokens.clear();
+        res.json({ step: 1 });
+    });
+
+    app.post('/__mock/scenario', (req, res) => {
+        try {
+            state.scenario = loadScenario(req.body?.name || '');
+            state.stepIndex = 0;
+            logger.info(`Mock: scenario ${state.scenario.name} geladen`);
+            res.json({ scenario: state.scenario.name, steps: state.scenario.steps.length });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    return app;
+}
+
+// ──────────────────────────────────────
+//  Standalone starten
+// ──────────────────────────────────────
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+    const port = parseInt(process.env.MOCK_PORT || '4010', 10);
+    const scenario = loadScenario(process.env.MOCK_SCENARIO || 'basic');
+    const app = createMockServer(scenario);
+
+    // Optioneel automatisch door de stappen lopen
+    const stepIntervalMs = parseInt(process.env.MOCK_STEP_INTERVAL_MS || '0', 10);
+
+    app.listen(port, () => {
+        logger.info(`🧪 Mock energieonderbrekingen.nl op http://localhost:${port} — scenario: ${scenario.name} (${scenario.steps.length} stappen)`);
+        if (stepIntervalMs > 0) {
+            setInterval(() => {
+                fetch(`http://localhost:${port}/__mock/next`, { method: 'POST' }).catch(() => {});
+            }, stepIntervalMs);
+        }
+    });
+}
@@ -3,6 +3,13 @@ const API_BASE = '';  // same origin
 const REFRESH_INTERVAL = 900000; // 15 minutes
 const NOTIFICATION_THRESHOLD = 500; // Households
 let notifiedOutages = new Set(); // Track notified IDs in memory
+let causeFilter = ''; // Cause category shown in the outages panel ('' = all)
+
+const POLICY_LABELS = {
+    launch: '🤖 Auto-start',
+    queue: '🤖 Voorleggen',
+    ignore: '🤖 Negeren',
+};
 
 // ── Fetch helpers ────────────────────────
 async function fetchJSON(endpoint) {
@@ -43,7 +50,8 @@ function formatDateTime(isoString) {
 function getLogBadgeClass(type) {
     if (type.includes('poll')) return 'poll';
     if (type.includes('outage') || type.includes('scrape') || type.includes('campaign_skipped')) return 'outage';
-    if (type.includes('campaign')) return 'campaign';
+    if (type.endsWith('_changed') || type.startsWith('incident')) return 'outage';
+    if (type.includes('campaign') || type.startsWith('approval')) return 'campaign';
     if (type.includes('error')) return 'error';
     return 'system';
 }
@@ -53,15 +61,44 @@ function getLogBadgeLabel(type) {
         'poll_start': 'Poll',
         'poll_complete': 'Poll',
         'poll_error': 'Fout',
+        'poll_incomplete': 'Onvolledig',
         'scrape_result': 'Scrape',
+        'first_seen': 'Gezien',
         'new_outage': 'Storing',
         'outage_resolved': 'Opgelost',
+        'outage_suspected': 'Mogelijk opgelost',
+        'outage_reappeared': 'Storing',
+        'outage_expanded': 'Uitgebreid',
+        'outage_contracted': 'Kleiner',
+        'eta_changed': 'Eindtijd',
+        'severity_changed': 'Ernst',
+        'status_changed': 'Status',
+        'cause_changed': 'Oorzaak',
         'campaign_created': 'Campagne',
         'campaign_paused': 'Campagne',
+        'campaign_escalated': 'Opgeschaald',
+        'campaign_rescheduled': 'Eindtijd',
+        'campaign_cooldown': 'Afkoelperiode',
         'campaign_skipped': 'Skip',
         'campaign_error': 'Fout',
+        'incident_merged': 'Incident',
+        'manual_campaign_trigger': 'Campagne',
+        'campaign_policy': 'Beleid',
+        'campaign_queued': 'Voorstel',
+        'approval_approved': 'Goedgekeurd',
+        'approval_rejected': 'Afgewezen',
+        'approval_expired': 'Verlopen',
         'system_start': 'Systeem',
         'manual_poll': 'Poll',
+        'replay_start': 'Replay',
+        'replay_complete': 'Replay',
+        'quarantine_cleared': 'Systeem',
+        'source_reset': 'Systeem',
+        'planned_outage': 'Gepland',
+        'planned_campaign_scheduled': 'Gepland',
+        'planned_campaign_started': 'Campagne',
+        'planned_campaign_stopped': 'Campagne',
+        'planned_campaign_cancelled': 'Gepland',
         'error': 'Fout',
     };
     return map[type] || type;
@@ -75,6 +112,15 @@ async function requestNotificationPermission() {
     }
 }
 
+// Range from the impact estimator: "~40", "25–99", "> 5.000" or an exact count
+function formatHouseholdRange(impact) {
+    const fmt = (n) => n.toLocaleString('nl-NL');
+    const { households, householdsMin: min, householdsMax: max, estimateMethod } = impact;
+    if (min !== undefined && max === null) return `> ${fmt(min - 1)}`;
+    if (min !== undefined && max !== undefined && min !== max) return `${fmt(min)}–${fmt(max)}`;
+    return estimateMethod === 'source-count' ? fmt(households) : `~${fmt(households)}`;
+}
+
 function sendOutageNotification(outage) {
     if (!("Notification" in window) || Notification.permission !== "granted") return;
 
@@ -82,7 +128,7 @@ function sendOutageNotification(outage) {
     const households = outage.impact?.households || 0;
 
     new Notification("🚨 Grote Storing Gedetecteerd!", {
-        body: `Stroomstoring in ${city} treft ${households} huishoudens. Bekijk het dashboard voor actie.`,
+        body: `Stroomstoring in ${city} treft naar schatting ${households} huishoudens. Bekijk het dashboard voor actie.`,
         icon: '/favicon.ico' // Or any relevant icon
     });
 }
@@ -110,8 +156,10 @@ async function updateStatus() {
 
     const mode = data.dataSourceMode || 'scrape';
     document.getElementById('statMode').textContent = mode.toUpperCase();
-    document.getElementById('statModeSub').textContent =
-        mode === 'api' ? 'Via API' : mode === 'scrape' ? 'Via browser scraping' : 'API + fallback';
+    const lastSources = data.dataSources?.lastFetch?.sources || [];
+    document.getElementById('statModeSub').textContent = lastSources.length > 0
+        ? `Laatste bron: ${lastSources.join(', ')}`
+        : mode === 'api' ? 'Via API' : mode === 'scrape' ? 'Via browser scraping' : 'API + fallback';
 
     // Services
     const gSvc = document.getElementById('svcGoogle');
@@ -127,6 +175,18 @@ async function updateStatus() {
         mSvc.textContent = data.services.meta ? 'Actief' : 'Niet geconfigureerd';
     }
 
+    renderSourceHealth(data.dataSources?.health || []);
+
+    const qSvc = document.getElementById('svcQuarantine');
+    if (qSvc && data.validation) {
+        const last = data.validation.lastPoll;
+        qSvc.className = `service-status ${data.validation.quarantined > 0 ? 'inactive' : 'active'}`;
+        qSvc.textContent = last
+            ? `${last.accepted} ok · ${last.rejected} afgekeurd`
+            : `${data.validation.quarantined} records`;
+        qSvc.title = `Totaal: ${data.validation.accepted} geaccepteerd, ${data.validation.rejected} afgekeurd`;
+    }
+
     // Simulation Banner
     const banner = document.getElementById('simulation-banner');
     if (banner) {
@@ -134,16 +194,80 @@ async function updateStatus() {
     }
 }
 
+// One row per data source with its circuit breaker state
+function renderSourceHealth(health) {
+    const container = document.getElementById('svcSources');
+    if (!container) return;
+
+    const breakerLabels = { closed: 'Gezond', open: 'Circuit open', half_open: 'Probe' };
+    container.innerHTML = health.map((h) => {
+        const rate = h.successRate !== null ? `${Math.round(h.successRate * 100)}%` : '–';
+        const latency = h.avgLatencyMs !== null ? `${h.avgLatencyMs}ms` : '–';
+        const statusClass = h.breaker === 'closed' ? 'active' : (h.breaker === 'open' ? 'error' : 'inactive');
+        const title = [
+            h.lastGoodDataAt ? `Laatste data: ${formatTime(h.lastGoodDataAt)}` : 'Nog geen data',
+            h.lastPayload ? `Payload: ${h.lastPayload.items} records (${Math.round(h.lastPayload.bytes / 1024)} KB)` : '',
+            h.lastPagination ? `Pagina's: ${h.lastPagination.pages}${h.lastPagination.truncated ? ' (budget bereikt, onvolledig)' : ''}` : '',
+            h.retryAt ? `Volgende probe: ${formatTime(h.retryAt)}` : '',
+            h.lastError ? `Laatste fout: ${h.lastError}` : '',
+        ].filter(Boolean).join('\n');
+        return `
+            <div class="service-item" title="${escapeHtml(title)}">
+                <div class="service-name">🔌 ${escapeHtml(h.name)}</div>
+                <div class="service-status ${statusClass}">${breakerLabels[h.breaker] || h.breaker} · ${rate} · ${latency}</div>
+            </div>`;
+    }).join('');
+}
+
+function renderCauseFilter(causes, excluded) {
+    const select = document.getElementById('causeFilter');
+    if (!select || select.options.length > 1) return;
+    for (const c of causes) {
+        const option = document.createElement('option');
+        option.value = c.category;
+        option.textContent = excluded.includes(c.category) ? `${c.label} (geen campagnes)` : c.label;
+        select.appendChild(option);
+    }
+    select.value = causeFilter;
+}
+
+function setCauseFilter(value) {
+    causeFilter = value;
+    updateOutages();
+}
+
 async function updateOutages() {
-    const data = await fetchJSON('/api/outages');
+    const data = await fetchJSON(`/api/outages${causeFilter ? `?cause=${encodeURIComponent(causeFilter)}` : ''}`);
     if (!data) return;
 
+    renderCauseFilter(data.causes || [], data.excludedCauses || []);
+
     const container = document.getElementById('outagesList');
     const countEl = document.getElementById('outageCount');
     const active = data.active || [];
+    const pending = data.pending || [];
     const resolved = data.resolved || [];
+    const suspectedCount = active.filter((o) => o._lifecycle === 'suspected_resolved').length;
 
-    countEl.textContent = `${active.length} actief · ${resolved.length} opgelost`;
+    // Fragments of one incident share a single card, with the combined impact and severity
+    const incidents = new Map((data.incidents || []).map((i) => [i.id, i]));
+    const cards = [];
+    const seenIncidents = new Set();
+    for (const o of active) {
+        const incident = incidents.get(o._incidentId);
+        if (!incident || incident._incident.outageIds.length < 2) {
+            cards.push({ o, fragments: [] });
+        } else if (!seenIncidents.has(incident.id)) {
+            seenIncidents.add(incident.id);
+            cards.push({ o: incident, fragments: active.filter((f) => f._incidentId === incident.id) });
+        }
+    }
+
+    countEl.textContent = `${active.length} actief` +
+        (cards.length < active.length ? ` in ${cards.length} incidenten` : '') +
+        (suspectedCount > 0 ? ` (${suspectedCount} mogelijk opgelost)` : '') +
+        (pending.length > 0 ? ` · ${pending.length} onbevestigd` : '') +
+        ` · ${resolved.length} opgelost`;
 
     if (active.length === 0 && resolved.length === 0) {
         container.innerHTML = `
@@ -155,7 +279,7 @@ async function updateOutages() {
     }
 
     let html = '';
-    for (const o of active) {
+    for (const { o, fragments } of cards) {
         const sev = o._severity?.label || 'onbekend';
         const streetRaw = o.location?.features?.properties?.street || '';
         const street = streetRaw.replace(/;/g, ', ');
@@ -172,11 +296,20 @@ async function updateOutages() {
         if (o._affectedLabel) {
             householdLabel = `${escapeHtml(o._affectedLabel)} huishoudens`;
         } else if (o.impact?.households) {
-            const prefix = o.impact.max ? '< ' : (o.impact.min ? '> ' : '');
-            householdLabel = `${prefix}${o.impact.households} huishoudens`;
+            householdLabel = `${formatHouseholdRange(o.impact)} huishoudens`;
         }
 
         const isHighImpact = (o.impact?.households || 0) >= NOTIFICATION_THRESHOLD;
+        // Latest policy decision for the card (an incident takes it from its newest fragment)
+        const policy = (fragments.length > 0 ? fragments : [o])
+            .map((f) => f._policy)
+            .filter(Boolean)
+            .sort((a, b) => new Date(b.decidedAt) - new Date(a.decidedAt))[0];
+        // Area advertised recently (cooldown is checked per incident)
+        const cooldown = incidents.get(o._incidentId || o.id)?._cooldown;
+        const isSuspected = fragments.length > 0
+            ? fragments.every((f) => f._lifecycle === 'suspected_resolved')
+            : o._lifecycle === 'suspected_resolved';
 
         // Notify if new and high impact
         if (isHighImpact && !notifiedOutages.has(o.id)) {
@@ -185,13 +318,18 @@ async function updateOutages() {
         }
 
         html += `
-        <div class="outage-item ${isHighImpact ? 'high-impact' : ''}" onclick="toggleOutageDetail(this)">
+        <div class="outage-item ${isHighImpact ? 'high-impact' : ''} ${isSuspected ? 'suspected' : ''}" data-outage-id="${o.id}" onclick="toggleOutageDetail(this)">
             <div class="outage-main">
-                <div class="outage-severity ${sev.toLowerCase()}"></div>
+                <div class="outage-severity ${o._severity?.level || sev.toLowerCase()}"></div>
                 <div class="outage-details">
                     <div class="outage-city">${escapeHtml(o._city || o.id)}</div>
                     <div class="outage-meta">
                         <span>${typeIcon} ${typeLabel} · ${sev}</span>
+                        ${fragments.length > 0 ? `<span class="incident-tag" title="Meerdere meldingen van dezelfde netfout">🧩 ${fragments.length} meldingen</span>` : ''}
+                        ${isSuspected ? `<span title="${o._missedPolls} poll(s) niet gezien">❔ Mogelijk opgelost</span>` : ''}
+                        ${cooldown?.matches?.length ? `<span class="cooldown-tag ${cooldown.blocked ? 'blocked' : ''}" title="${escapeHtml(cooldown.matches.map((a) => `${a.postcode}: ${new Date(a.lastAdvertisedAt).toLocaleDateString('nl-NL')} (${a.city})`).join('\n'))}">🔁 Onlangs geadverteerd</span>` : ''}
+                        ${policy ? `<span class="policy-tag ${policy.action}" title="${escapeHtml(policy.reason)}">${POLICY_LABELS[policy.action] || policy.action}${policy.mode === 'dry-run' ? ' (dry-run)' : ''}</span>` : ''}
+                        ${o._cause ? `<span class="cause-tag ${o._campaignEligible === false ? 'excluded' : ''}" title="${o._campaignEligible === false ? 'Geen campagnes voor deze oorzaak' : ''}">🔎 ${escapeHtml(o._cause.label)}</span>` : ''}
                         ${householdLabel ? `<span>🏠 ${householdLabel}</span>` : ''}
                         ${pcSummary ? `<span>📍 ${escapeHtml(pcSummary)}</span>` : ''}
                     </div>
@@ -222,7 +360,7 @@ async function updateOutages() {
                         </div>
                         <div class="option-field">
                             <label>Duur (dagen)</label>
-                            <input type="number" id="duration-${o.id}" value="3" min="1" max="14">
+                            <input type="number" id="duration-${o.id}" placeholder="auto" min="1" max="14" title="Leeg: tot de verwachte eindtijd plus nazorg${o._campaignEndTime ? ` (${formatDateTime(o._campaignEndTime)})` : ''}">
                         </div>
                     </div>
                     <div class="platforms-selection">
@@ -234,6 +372,18 @@ async function updateOutages() {
                         </label>
                     </div>
                 </div>
+                ${fragments.length > 0 ? `
+                    <div class="detail-row">
+                        <span class="detail-label">🧩 Meldingen in dit incident</span>
+                        <div class="detail-value">${fragments.map((f) => `
+                            <div class="incident-fragment">
+                                ${escapeHtml(f._city || f.id)} · ${escapeHtml(f._severity?.label || '')}
+                                ${f.impact?.households ? ` · ${formatHouseholdRange(f.impact)} huishoudens` : ''}
+                                ${f._postcode ? ` · ${escapeHtml(f._postcode.split(';').filter(Boolean).join(', '))}` : ''}
+                                ${f._lifecycle === 'suspected_resolved' ? ' · ❔' : ''}
+                            </div>`).join('')}
+                        </div>
+                    </div>` : ''}
                 ${street ? `
                     <div class="detail-row">
                         <span class="detail-label">📍 Getroffen straten</span>
@@ -249,6 +399,26 @@ async function updateOutages() {
                         <span class="detail-label">📝 Bericht</span>
                         <div class="detail-value">${escapeHtml(msg)}</div>
                     </div>` : ''}
+                ${o.cause ? `
+                    <div class="detail-row">
+                        <span class="detail-label">🔎 Oorzaak (netbeheerder)</span>
+                        <div class="detail-value">${escapeHtml(o.cause)}</div>
+                    </div>` : ''}
+                ${o._geo ? `
+                    <div class="detail-row">
+                        <span class="detail-label">🗺️ Gebied</span>
+                        <div class="detail-value">${o._geo.centroid.lat.toFixed(4)}, ${o._geo.centroid.lng.toFixed(4)} · straal ${o._geo.radiusKm} km${o._geo.areaKm2 > 0 ? ` · ${o._geo.areaKm2} km²` : ''}</div>
+                    </div>` : ''}
+                ${o._severity?.rule ? `
+                    <div class="detail-row">
+                        <span class="detail-label">📐 Ernstregel</span>
+                        <div class="detail-value">${escapeHtml(o._severity.rule)} · Google €${o._severity.googleBudget}/dag · Meta €${o._severity.metaBudget}/dag · ${o._severity.radiusKm} km</div>
+                    </div>` : ''}
+                ${o._sourceAdapter ? `
+                    <div class="detail-row">
+                        <span class="detail-label">🔌 Bron</span>
+                        <div class="detail-value">${escapeHtml(o._sourceAdapter)}</div>
+                    </div>` : ''}
                 <div class="detail-row">
                     <span class="detail-label">⏰ Begonnen</span>
                     <div class="detail-value">${formatDateTime(o.period?.begin)}</div>
@@ -258,6 +428,7 @@ async function updateOutages() {
                         <span class="detail-label">🕒 Verwachte eindtijd</span>
                         <div class="detail-value">${formatDateTime(o.period.expectedEnd)}</div>
                     </div>` : ''}
+                ${renderTimelineRow(o.id)}
             </div>
         </div>`;
     }
@@ -266,11 +437,19 @@ async function updateOutages() {
         <div style="font-size:0.75rem;color:var(--text-dim);margin-bottom:8px">Recent opgelost</div>`;
         for (const o of resolved.slice(0, 5)) {
             html += `
-            <div class="outage-item" style="opacity:0.6">
-                <div class="outage-severity" style="background:var(--accent-green)"></div>
-                <div class="outage-details">
-                    <div class="outage-city">${escapeHtml(o._city || o.id)}</div>
-                    <div class="outage-meta"><span>✅ Opgelost</span></div>
+            <div class="outage-item resolved" data-outage-id="${o.id}" onclick="toggleOutageDetail(this)">
+                <div class="outage-main">
+                    <div class="outage-severity" style="background:var(--accent-green)"></div>
+                    <div class="outage-details">
+                        <div class="outage-city">${escapeHtml(o._city || o.id)}</div>
+                        <div class="outage-meta">
+                            <span>✅ Opgelost${o._resolvedAt ? ` ${formatTime(o._resolvedAt)}` : ''}</span>
+                            <span>${o._resolutionSource === 'dso' ? 'Bevestigd door netbeheerder' : 'Niet meer gezien'}</span>
+                        </div>
+                    </div>
+                </div>
+                <div class="outage-details-extra">
+                    ${renderTimelineRow(o.id)}
                 </div>
             </div>`;
         }
@@ -279,10 +458,14 @@ async function updateOutages() {
     container.innerHTML = html;
 }
 
+// Idempotency key per outage while a create request is unanswered, so a retry
+// or a second click cannot start a second campaign
+const campaignRequestKeys = {};
+
 /**
  * Trigger manual campaign creation
  */
-async function createManualCampaign(outageId) {
+async function createManualCampaign(outageId, force = false, replace = false, ignoreCooldown = false) {
     const budgetInput = document.getElementById(`budget-${outageId}`);
     const radiusInput = document.getElementById(`radius-${outageId}`);
     const durationInput = document.getElementById(`duration-${outageId}`);
@@ -303,28 +486,60 @@ async function createManualCampaign(outageId) {
         return;
     }
 
-    if (!confirm('Weet je zeker dat je handmatig een campagne wilt starten met deze instellingen?')) {
+    if (!force && !replace && !ignoreCooldown && !confirm('Weet je zeker dat je handmatig een campagne wilt starten met deze instellingen?')) {
         return;
     }
 
+    const requestKey = `${outageId}:${force}:${replace}:${ignoreCooldown}`;
+    campaignRequestKeys[requestKey] ||= `${Date.now().toString(36)}${Math.random().toString(36).slice(2)}`;
+
     try {
         const res = await fetch('/api/campaigns/create', {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: {
+                'Content-Type': 'application/json',
+                'Idempotency-Key': campaignRequestKeys[requestKey],
+            },
             body: JSON.stringify({
                 outageId,
                 customBudget,
                 customRadius,
                 customDuration,
-                platforms
+                platforms,
+                force,
+                replace,
+                ignoreCooldown
             }),
         });
 
         const data = await res.json();
+        delete campaignRequestKeys[requestKey];
+        if (res.status === 409 && data.cause) {
+            // Excluded cause: let the user override explicitly
+            if (confirm(`${data.error}. Toch een campagne starten?`)) {
+                return createManualCampaign(outageId, true, replace, ignoreCooldown);
+            }
+            return;
+        }
+        if (res.status === 409 && data.cooldown) {
+            // Cooldown blocks the area: override only on explicit request
+            if (confirm(`${data.error}.\n${(data.details || []).join('\n')}\nToch een campagne starten?`)) {
+                return createManualCampaign(outageId, force, replace, true);
+            }
+            return;
+        }
+        const running = data.existing && Object.keys(data.existing).filter((p) => data.existing[p]);
+        if (res.ok && !replace && running?.length > 0 && !Object.values(data.results || {}).some(Boolean)) {
+            // Already running: only replace on explicit request (pauses the old campaign first)
+            if (confirm(`Er loopt al een campagne voor deze storing (${running.join(', ')}). Vervangen? De lopende campagne wordt eerst gepauzeerd.`)) {
+                return createManualCampaign(outageId, force, true, ignoreCooldown);
+            }
+            return;
+        }
         if (!res.ok) {
             alert(`Fout: ${data.error || 'Onbekende fout'}\n${data.details ? data.details.join('\n') : ''}`);
         } else {
-            alert(data.message || 'Campagne succesvol gestart!');
+            alert((data.message || 'Campagne succesvol gestart!') + describeCooldownWarning(data.cooldown));
             refreshAll();
         }
     } catch (err) {
@@ -333,6 +548,396 @@ async function createManualCampaign(outageId) {
     }
 }
 
+/**
+ * Warning line for a campaign started in an area that was advertised recently
+ */
+function describeCooldownWarning(cooldown) {
+    if (!cooldown?.matches?.length) return '';
+    const areas = cooldown.matches.slice(0, 3).map((a) => `${a.postcode} (${new Date(a.lastAdvertisedAt).toLocaleDateString('nl-NL')})`);
+    return `\nLet op: onlangs al geadverteerd in ${areas.join(', ')}.`;
+}
+
+// ── Approvals ────────────────────────────
+const APPROVAL_LABELS = {
+    pending: '⏳ Wacht',
+    approved: '✅ Goedgekeurd',
+    rejected: '✖️ Afgewezen',
+    expired: '⌛ Verlopen',
+};
+
+// Name recorded with approvals and rejections, asked once per browser
+function getReviewerName() {
+    let name = localStorage.getItem('reviewerName');
+    if (!name) {
+        name = (prompt('Je naam (wordt vastgelegd bij goedkeuren/afwijzen):') || '').trim();
+        if (name) localStorage.setItem('reviewerName', name);
+    }
+    return name || null;
+}
+
+async function updateApprovals() {
+    const data = await fetchJSON('/api/approvals');
+    if (!data) return;
+
+    const container = document.getElementById('approvalsList');
+    const countEl = document.getElementById('approvalCount');
+    const approvals = data.approvals || [];
+    const pending = approvals.filter((a) => a.status === 'pending');
+    const decided = approvals.filter((a) => a.status !== 'pending').slice(0, 5);
+
+    countEl.textContent = `${pending.length} open`;
+
+    // Don't throw away edits that are being typed
+    const focused = document.activeElement;
+    if (container.contains(focused) && focused.tagName !== 'BUTTON') return;
+
+    if (approvals.length === 0) {
+        container.innerHTML = `
+        <div class="empty-state">
+            <div class="icon">📝</div>
+            <p>Geen campagnevoorstellen</p>
+        </div>`;
+        return;
+    }
+
+    let html = '';
+    for (const a of pending) {
+        const p = a.proposal;
+        const google = p.copy?.google;
+        const meta = p.copy?.meta;
+
+        html += `
+        <div class="outage-item approval" onclick="toggleOutageDetail(this)">
+            <div class="outage-main">
+                <div class="outage-severity ${a.severity?.level || ''}"></div>
+                <div class="outage-details">
+                    <div class="outage-city">${escapeHtml(a.city)}</div>
+                    <div class="outage-meta">
+                        <span>${escapeHtml(a.severity?.label || '')}</span>
+                        ${a.households ? `<span>🏠 ${a.households.toLocaleString('nl-NL')} huishoudens</span>` : ''}
+                        ${Object.entries(p.budgets || {}).map(([key, budget]) => `<span>💰 ${key} €${budget}/dag</span>`).join('')}
+                        <span>📍 ${p.radiusKm} km · ${p.durationHours} uur</span>
+                        <span title="${escapeHtml(a.reason || '')}">${a.source === 'beleid' ? '🤖' : '👤'} ${formatTime(a.createdAt)}</span>
+                        ${a.lastError ? `<span class="approval-error" title="${escapeHtml(a.lastError)}">⚠️ Starten mislukt</span>` : ''}
+                    </div>
+                </div>
+                <div class="outage-expand-btn">
+                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="6 9 12 15 18 9"></polyline></svg>
+                </div>
+            </div>
+            <div class="outage-details-extra" onclick="event.stopPropagation()">
+                <div class="manual-action">
+                    <button class="btn btn-action" onclick="approveApproval('${a.id}')">✅ Goedkeuren</button>
+                    <button class="btn" onclick="saveApproval('${a.id}')">💾 Opslaan</button>
+                    <button class="btn" onclick="rejectApproval('${a.id}')">✖️ Afwijzen</button>
+                </div>
+                <div class="campaign-options">
+                    <div class="options-grid">
+                        ${google ? `
+                        <div class="option-field">
+                            <label>Google (€/dag)</label>
+                            <input type="number" id="apr-google-budget-${a.id}" value="${p.budgets?.google ?? ''}" min="1" max="500">
+                        </div>` : ''}
+                        ${meta ? `
+                        <div class="option-field">
+                            <label>Meta (€/dag)</label>
+                            <input type="number" id="apr-meta-budget-${a.id}" value="${p.budgets?.meta ?? ''}" min="1" max="500">
+                        </div>` : ''}
+                        <div class="option-field">
+                            <label>Radius (km)</label>
+                            <input type="number" id="apr-radius-${a.id}" value="${p.radiusKm}" min="1" max="80">
+                        </div>
+                        <div class="option-field">
+                            <label>Duur (uren)</label>
+                            <input type="number" id="apr-duration-${a.id}" value="${p.durationHours}" min="1" max="336">
+                        </div>
+                    </div>
+                    <div class="platforms-selection">
+                        ${google ? `
+                        <label class="platform-checkbox">
+                            <input type="checkbox" id="apr-plat-google-${a.id}" ${p.platforms.includes('google') ? 'checked' : ''}> Google Ads
+                        </label>` : ''}
+                        ${meta ? `
+                        <label class="platform-checkbox">
+                            <input type="checkbox" id="apr-plat-meta-${a.id}" ${p.platforms.includes('meta') ? 'checked' : ''}> Meta Ads
+                        </label>` : ''}
+                    </div>
+                    ${google ? `
+                    <div class="option-field">
+                        <label>Google koppen (één per regel, max. 30 tekens)</label>
+                        <textarea id="apr-google-headlines-${a.id}" rows="6">${escapeHtml(google.headlines.join('\n'))}</textarea>
+                    </div>
+                    <div class="option-field">
+                        <label>Google beschrijvingen (één per regel, max. 90 tekens)</label>
+                        <textarea id="apr-google-descriptions-${a.id}" rows="4">${escapeHtml(google.descriptions.join('\n'))}</textarea>
+                    </div>` : ''}
+                    ${meta ? `
+                    <div class="option-field">
+                        <label>Meta titel</label>
+                        <input type="text" id="apr-meta-title-${a.id}" value="${escapeHtml(meta.title)}">
+                    </div>
+                    <div class="option-field">
+                        <label>Meta tekst</label>
+                        <textarea id="apr-meta-message-${a.id}" rows="8">${escapeHtml(meta.message)}</textarea>
+                    </div>
+                    <div class="option-field">
+                        <label>Meta beschrijving</label>
+                        <input type="text" id="apr-meta-description-${a.id}" value="${escapeHtml(meta.description)}">
+                    </div>` : ''}
+                </div>
+                ${a.edits?.length > 0 ? `
+                    <div class="detail-row">
+                        <span class="detail-label">✏️ Aangepast</span>
+                        <div class="detail-value">${a.edits.map((e) => `${formatDateTime(e.at)}${e.by ? ` door ${escapeHtml(e.by)}` : ''}: ${escapeHtml(e.fields.join(', '))}`).join('<br>')}</div>
+                    </div>` : ''}
+                ${a.lastError ? `
+                    <div class="detail-row">
+                        <span class="detail-label">⚠️ Laatste fout</span>
+                        <div class="detail-value">${escapeHtml(a.lastError)}</div>
+                    </div>` : ''}
+            </div>
+        </div>`;
+    }
+
+    if (decided.length > 0) {
+        html += `<div style="margin-top:12px;padding-top:8px;border-top:1px solid rgba(255,255,255,0.06)">
+        <div style="font-size:0.75rem;color:var(--text-dim);margin-bottom:8px">Recent afgehandeld</div>`;
+        for (const a of decided) {
+            html += `
+            <div class="campaign-item">
+                <div class="campaign-top">
+                    <div class="campaign-name">${escapeHtml(a.city)}</div>
+                    <div class="approval-status ${a.status}">${APPROVAL_LABELS[a.status] || a.status}</div>
+                </div>
+                <div class="campaign-info">
+                    <span>${formatDateTime(a.decidedAt)}</span>
+                    ${a.decidedBy ? `<span>👤 ${escapeHtml(a.decidedBy)}</span>` : ''}
+                    ${a.note ? `<span>${escapeHtml(a.note)}</span>` : ''}
+                </div>
+            </div>`;
+        }
+        html += '</div>';
+    }
+    container.innerHTML = html;
+}
+
+// Collect the edit fields of a proposal card (only what is shown)
+function readApprovalEdits(id) {
+    const value = (name) => document.getElementById(`apr-${name}-${id}`)?.value;
+    const lines = (name) => (value(name) || '').split('\n').map((l) => l.trim()).filter(Boolean);
+    const edits = { budgets: {}, copy: {}, platforms: [] };
+
+    for (const platform of ['google', 'meta']) {
+        const checkbox = document.getElementById(`apr-plat-${platform}-${id}`);
+        if (!checkbox) continue;
+        if (checkbox.checked) edits.platforms.push(platform);
+        edits.budgets[platform] = parseFloat(value(`${platform}-budget`));
+    }
+    edits.radiusKm = parseFloat(value('radius'));
+    edits.durationHours = parseFloat(value('duration'));
+
+    if (document.getElementById(`apr-google-headlines-${id}`)) {
+        edits.copy.google = { headlines: lines('google-headlines'), descriptions: lines('google-descriptions') };
+    }
+    if (document.getElementById(`apr-meta-title-${id}`)) {
+        edits.copy.meta = { title: value('meta-title'), message: value('meta-message'), description: value('meta-description') };
+    }
+    return edits;
+}
+
+async function sendApprovalRequest(method, url, body) {
+    try {
+        const res = await fetch(url, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+        });
+        const data = await res.json();
+        if (!res.ok) {
+            // A cooldown block is returned to the caller, which offers an override
+            if (data.cooldown) return data;
+            alert(`Fout: ${data.error || 'Onbekende fout'}${data.details ? `\n${data.details.join('\n')}` : ''}`);
+            return null;
+        }
+        return data;
+    } catch (err) {
+        console.error(`${method} ${url} failed:`, err);
+        alert('Er is een fout opgetreden bij het verwerken van het voorstel.');
+        return null;
+    } finally {
+        // Blur first so the focus guard in updateApprovals doesn't skip the re-render
+        document.activeElement?.blur();
+        refreshAll();
+    }
+}
+
+async function saveApproval(id) {
+    await sendApprovalRequest('PATCH', `/api/approvals/${encodeURIComponent(id)}`, {
+        ...readApprovalEdits(id),
+        by: getReviewerName(),
+    });
+}
+
+async function approveApproval(id) {
+    const edits = readApprovalEdits(id);
+    if (edits.platforms.length === 0) {
+        alert('Selecteer minimaal één platform (Google of Meta).');
+        return;
+    }
+    if (!confirm('Voorstel goedkeuren en de campagne(s) starten?')) return;
+
+    const url = `/api/approvals/${encodeURIComponent(id)}/approve`;
+    const body = { ...edits, by: getReviewerName() };
+    let data = await sendApprovalRequest('POST', url, body);
+    if (data?.error && data.cooldown) {
+        if (!confirm(`${data.error}.\n${(data.details || []).join('\n')}\nToch goedkeuren en starten?`)) return;
+        data = await sendApprovalRequest('POST', url, { ...body, ignoreCooldown: true });
+        if (data?.error) return;
+    }
+    if (data) alert(data.message + (data.errors?.length ? `\n${data.errors.join('\n')}` : '') + describeCooldownWarning(data.cooldown));
+}
+
+async function rejectApproval(id) {
+    const note = prompt('Reden van afwijzen (optioneel):');
+    if (note === null) return;
+    await sendApprovalRequest('POST', `/api/approvals/${encodeURIComponent(id)}/reject`, {
+        by: getReviewerName(),
+        note,
+    });
+}
+
+// ── Planned work ─────────────────────────
+const SCHEDULE_LABELS = {
+    scheduled: '⏳ Ingepland',
+    running: '🟢 Loopt',
+    completed: '✔️ Afgerond',
+    cancelled: '✖️ Geannuleerd',
+};
+
+async function updatePlanned() {
+    const data = await fetchJSON('/api/planned');
+    if (!data) return;
+
+    const container = document.getElementById('plannedList');
+    const countEl = document.getElementById('plannedCount');
+    const planned = data.planned || [];
+
+    countEl.textContent = `${planned.length} gepland` + (data.scheduled > 0 ? ` · ${data.scheduled} ingepland` : '');
+
+    if (planned.length === 0) {
+        container.innerHTML = `
+        <div class="empty-state">
+            <div class="icon">🗓️</div>
+            <p>Geen gepland onderhoud aangekondigd</p>
+        </div>`;
+        return;
+    }
+
+    let html = '';
+    for (const o of planned) {
+        const s = o._schedule;
+        const isOpen = !s || s.status === 'cancelled' || s.status === 'completed';
+        const end = o.period?.end || o.period?.expectedEnd;
+        const householdLabel = o.impact?.households ? `${formatHouseholdRange(o.impact)} huishoudens` : '';
+        const pcList = (o._postcode || '').split(';').filter(Boolean);
+        const pcSummary = pcList.length > 1 ? `${pcList[0]} + ${pcList.length - 1}` : (pcList[0] || '');
+
+        html += `
+        <div class="outage-item planned" onclick="toggleOutageDetail(this)">
+            <div class="outage-main">
+                <div class="outage-severity planned"></div>
+                <div class="outage-details">
+                    <div class="outage-city">${escapeHtml(o._city || o.id)}</div>
+                    <div class="outage-meta">
+                        <span>🔧 ${formatDateTime(o.period?.begin)}${end ? ` – ${formatDateTime(end)}` : ''}</span>
+                        ${householdLabel ? `<span>🏠 ${householdLabel}</span>` : ''}
+                        ${pcSummary ? `<span>📍 ${escapeHtml(pcSummary)}</span>` : ''}
+                        ${s ? `<span title="${s.cancelReason ? escapeHtml(s.cancelReason) : ''}">${SCHEDULE_LABELS[s.status] || s.status}</span>` : ''}
+                    </div>
+                </div>
+                <div class="outage-expand-btn">
+                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="6 9 12 15 18 9"></polyline></svg>
+                </div>
+            </div>
+            <div class="outage-details-extra">
+                ${isOpen ? `
+                <div class="manual-action" onclick="event.stopPropagation()">
+                    <button class="btn btn-action" onclick="schedulePlannedCampaign('${o.id}')">
+                        🗓️ Campagne inplannen
+                    </button>
+                    <div class="option-field">
+                        <label>Uren vooraf</label>
+                        <input type="number" id="lead-${o.id}" value="24" min="0" max="168">
+                    </div>
+                </div>` : ''}
+                ${s?.status === 'scheduled' ? `
+                <div class="manual-action" onclick="event.stopPropagation()">
+                    <button class="btn" onclick="cancelPlannedCampaign('${o.id}')">
+                        ✖️ Inplanning annuleren
+                    </button>
+                </div>` : ''}
+                ${s && s.status !== 'cancelled' ? `
+                    <div class="detail-row">
+                        <span class="detail-label">📣 Campagne</span>
+                        <div class="detail-value">${formatDateTime(s.startAt)} – ${formatDateTime(s.stopAt)} (${escapeHtml(s.platforms.join(', '))})</div>
+                    </div>` : ''}
+                ${o.message ? `
+                    <div class="detail-row">
+                        <span class="detail-label">📝 Bericht</span>
+                        <div class="detail-value">${escapeHtml(o.message)}</div>
+                    </div>` : ''}
+                ${o.source?.organisation ? `
+                    <div class="detail-row">
+                        <span class="detail-label">🏢 Netbeheerder</span>
+                        <div class="detail-value">${escapeHtml(o.source.organisation)}</div>
+                    </div>` : ''}
+            </div>
+        </div>`;
+    }
+    container.innerHTML = html;
+}
+
+async function schedulePlannedCampaign(outageId, force = false) {
+    const leadInput = document.getElementById(`lead-${outageId}`);
+    const leadHours = leadInput ? parseFloat(leadInput.value) : undefined;
+
+    try {
+        const res = await fetch(`/api/planned/${encodeURIComponent(outageId)}/schedule`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ leadHours, force }),
+        });
+        const data = await res.json();
+        if (res.status === 409 && data.cause) {
+            if (confirm(`${data.error}. Toch inplannen?`)) {
+                return schedulePlannedCampaign(outageId, true);
+            }
+            return;
+        }
+        if (!res.ok) {
+            alert(`Fout: ${data.error || 'Onbekende fout'}`);
+        } else {
+            refreshAll();
+        }
+    } catch (err) {
+        console.error('Scheduling planned campaign failed:', err);
+        alert('Er is een fout opgetreden bij het inplannen van de campagne.');
+    }
+}
+
+async function cancelPlannedCampaign(outageId) {
+    if (!confirm('Ingeplande campagne annuleren?')) return;
+
+    try {
+        const res = await fetch(`/api/planned/${encodeURIComponent(outageId)}/schedule`, { method: 'DELETE' });
+        const data = await res.json();
+        if (!res.ok) alert(`Fout: ${data.error || 'Onbekende fout'}`);
+        refreshAll();
+    } catch (err) {
+        console.error('Cancelling planned campaign failed:', err);
+    }
+}
+
 async function updateCampaigns() {
     const data = await fetchJSON('/api/campaigns');
     if (!data) return;
@@ -373,6 +978,48 @@ async function updateCampaigns() {
     container.innerHTML = html;
 }
 
+// ── Budget ───────────────────────────────
+const BUDGET_PLATFORM_LABELS = { google: 'Google', meta: 'Meta' };
+
+async function updateBudget() {
+    const data = await fetchJSON('/api/budget');
+    if (!data) return;
+
+    const container = document.getElementById('budgetSummary');
+    const pct = (value, limit) => (limit > 0 ? Math.min((value / limit) * 100, 100) : 0);
+
+    // Today per platform: committed + reserved against the daily limit
+    let html = '';
+    for (const [platform, b] of Object.entries(data.platforms)) {
+        html += `
+        <div class="budget-row" title="${b.entries.length} campagne(s) vandaag">
+            <span class="budget-label">${BUDGET_PLATFORM_LABELS[platform] || platform}</span>
+            <div class="budget-bar">
+                <div class="budget-bar-fill ${platform}" style="width:${pct(b.committed, b.limit)}%"></div>
+                <div class="budget-bar-fill reserved" style="width:${pct(b.reserved, b.limit)}%"></div>
+            </div>
+            <span class="budget-value">€${b.committed + b.reserved} / €${b.limit}</span>
+        </div>`;
+    }
+
+    // Committed per day, scaled to the highest limit
+    const maxLimit = Math.max(...Object.values(data.platforms).map((b) => b.limit), 1);
+    html += '<div class="budget-days">';
+    for (const d of data.days) {
+        const label = d.day.slice(8) + '-' + d.day.slice(5, 7);
+        html += `
+        <div class="budget-day ${d.day === data.today ? 'today' : ''} ${d.day > data.today ? 'ahead' : ''}" title="${d.day}: Google €${d.google}, Meta €${d.meta}">
+            <div class="budget-day-bars">
+                <div class="budget-day-bar google" style="height:${pct(d.google, maxLimit)}%"></div>
+                <div class="budget-day-bar meta" style="height:${pct(d.meta, maxLimit)}%"></div>
+            </div>
+            <span>${label}</span>
+        </div>`;
+    }
+    html += '</div>';
+    container.innerHTML = html;
+}
+
 async function updateLog() {
     const data = await fetchJSON('/api/log?limit=50');
     if (!data) return;
@@ -417,6 +1064,46 @@ function escapeHtml(str) {
 
 function toggleOutageDetail(el) {
     el.classList.toggle('expanded');
+    // Load the timeline lazily, and again on every expand so it stays current
+    if (el.classList.contains('expanded') && el.dataset.outageId) {
+        loadOutageTimeline(el.dataset.outageId);
+    }
+}
+
+// ── Outage timeline ──────────────────────
+function renderTimelineRow(outageId) {
+    return `
+                <div class="detail-row">
+                    <span class="detail-label">🕘 Tijdlijn</span>
+                    <div class="outage-timeline" id="timeline-${outageId}">
+                        <div class="timeline-empty">Laden...</div>
+                    </div>
+                </div>`;
+}
+
+async function loadOutageTimeline(outageId) {
+    const container = document.getElementById(`timeline-${outageId}`);
+    if (!container) return;
+
+    const data = await fetchJSON(`/api/outages/${encodeURIComponent(outageId)}/history`);
+    if (!data) {
+        container.innerHTML = '<div class="timeline-empty">Tijdlijn niet beschikbaar</div>';
+        return;
+    }
+
+    const entries = data.timeline || [];
+    if (entries.length === 0) {
+        container.innerHTML = '<div class="timeline-empty">Nog geen events</div>';
+        return;
+    }
+
+    // Newest first, like the event log
+    container.innerHTML = entries.slice().reverse().map((e) => `
+        <div class="timeline-item">
+            <span class="log-time">${formatDateTime(e.timestamp)}</span>
+            <span class="log-badge ${getLogBadgeClass(e.type)}">${getLogBadgeLabel(e.type)}</span>
+            <span class="log-message">${escapeHtml(e.message)}</span>
+        </div>`).join('');
 }
 
 function toggleOptions(outageId) {
@@ -448,7 +1135,10 @@ async function refreshAll() {
     await Promise.all([
         updateStatus(),
         updateOutages(),
+        updateApprovals(),
+        updatePlanned(),
         updateCampaigns(),
+        updateBudget(),
         updateLog(),
     ]);
 }
@@ -0,0 +1,318 @@
+import logger from '../utils/logger.js';
+import { save, load } from '../utils/persistence.js';
+
+/**
+ * ApprovalService — Campagnevoorstellen die op goedkeuring wachten
+ *
+ * Tussen volledig automatisch (campagnebeleid 'launch') en de handmatige
+ * "Start Campagne"-knop: een voorstel bevat de berekende budgetten, radius,
+ * looptijd en advertentieteksten voor een incident. Een teamlid keurt het goed
+ * (eventueel na aanpassen) of wijst het af. Voorstellen die nog open staan als
+ * het incident opgelost is, verlopen.
+ *
+ * Statussen: pending → approved | rejected | expired.
+ * Per incident staat hooguit één voorstel open.
+ */
+
+export const APPROVAL_STATUS = {
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    REJECTED: 'rejected',
+    EXPIRED: 'expired',
+};
+
+// Afgehandelde voorstellen die bewaard blijven (nieuwste eerst)
+const MAX_DECIDED = 200;
+
+// Limieten van een Google Responsive Search Ad
+const GOOGLE_HEADLINE_MAX = 30;
+const GOOGLE_DESCRIPTION_MAX = 90;
+
+class ApprovalService {
+    constructor() {
+        // Map<approvalId, approval>
+        this.approvals = new Map();
+
+        this._loadState();
+    }
+
+    _loadState() {
+        for (const approval of load('approvals', [])) {
+            this.approvals.set(approval.id, approval);
+        }
+    }
+
+    /**
+     * Sla alle voorstellen op naar disk.
+     */
+    persist() {
+        this._trim();
+        save('approvals', Array.from(this.approvals.values()));
+    }
+
+    /**
+     * Leg een campagnevoorstel voor een incident voor.
+     * @param {object} incident – samengestelde storing uit outageService.getIncident
+     * @param {object} proposal – { platforms, budgets: { google, meta }, radiusKm, durationHours, copy: { google, meta } }
+     * @param {object} [options]
+     * @param {string} [options.source] – 'beleid' of 'handmatig'
+     * @param {string} [options.reason] – waarom het voorstel er is (bijv. de beleidsregel)
+     * @returns {object} het nieuwe voorstel
+     */
+    propose(incident, proposal, { source = 'handmatig', reason = '' } = {}) {
+        if (this.getPendingForIncident(incident.id)) {
+            throw new Error('Er staat al een voorstel open voor dit incident');
+        }
+
+        const now = new Date().toISOString();
+        const approval = {
+            id: `apr_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            incidentId: incident.id,
+            outageIds: incident._incident?.outageIds || [incident.id],
+            city: incident._city || 'Onbekend',
+            severity: { level: incident._severity?.level, label: incident._severity?.label },
+            households: incident.impact?.households || 0,
+            status: APPROVAL_STATUS.PENDING,
+            source,
+            reason,
+            proposal,
+            edits: [],
+            createdAt: now,
+            updatedAt: now,
+        };
+
+        this.approvals.set(approval.id, approval);
+        logger.info(`📝 Campagnevoorstel ${approval.id} voor ${approval.city} (${source}${reason ? `: ${reason}` : ''})`);
+        return approval;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {object|null}
+     */
+    get(id) {
+        return this.approvals.get(id) || null;
+    }
+
+    /**
+     * Voorstellen, nieuwste eerst.
+     * @param {object} [filter]
+     * @param {string} [filter.status]
+     * @returns {object[]}
+     */
+    list({ status } = {}) {
+        return Array.from(this.approvals.values())
+            .filter((a) => !status || a.status === status)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    /**
+     * Het openstaande voorstel van een incident.
+     * @param {string} incidentId
+     * @returns {object|null}
+     */
+    getPendingForIncident(incidentId) {
+        return this.list({ status: APPROVAL_STATUS.PENDING }).find((a) => a.incidentId === incidentId) || null;
+    }
+
+    /**
+     * Pas een openstaand voorstel aan. Alleen meegegeven velden veranderen;
+     * copy wordt per platform samengevoegd. In edits komen alleen velden
+     * waarvan de waarde echt anders is geworden; teksten per platform
+     * ('copy.google', 'copy.meta'), zodat escalatie weet welke vast staan.
+     * @param {string} id
+     * @param {object} changes – platforms, budgets, radiusKm, durationHours, copy
+     * @param {string} [by] – naam van het teamlid
+     * @returns {object} het voorstel
+     */
+    update(id, changes = {}, by = null) {
+        const approval = this._getPending(id);
+        const proposal = approval.proposal;
+        const paths = this._validateChanges(changes)
+            .flatMap((field) => (field === 'copy' ? Object.keys(changes.copy).map((platform) => `copy.${platform}`) : [field]));
+        const snapshot = (path) => JSON.stringify(path.split('.').reduce((value, key) => value?.[key], proposal));
+        const previous = Object.fromEntries(paths.map((path) => [path, snapshot(path)]));
+
+        if (changes.platforms !== undefined) proposal.platforms = [...changes.platforms];
+        if (changes.budgets !== undefined) proposal.budgets = { ...proposal.budgets, ...changes.budgets };
+        if (changes.radiusKm !== undefined) proposal.radiusKm = changes.radiusKm;
+        if (changes.durationHours !== undefined) proposal.durationHours = changes.durationHours;
+        if (changes.copy !== undefined) {
+            for (const [platform, copy] of Object.entries(changes.copy)) {
+                proposal.copy[platform] = { ...proposal.copy[platform], ...copy };
+            }
+        }
+
+        const fields = paths.filter((path) => snapshot(path) !== previous[path]);
+        if (fields.length === 0) return approval;
+        approval.updatedAt = new Date().toISOString();
+        approval.edits.push({ at: approval.updatedAt, by, fields });
+        return approval;
+    }
+
+    /**
+     * Keur een openstaand voorstel goed. Het starten van de campagnes gebeurt
+     * door de aanroeper; met revert() gaat het voorstel terug naar pending als
+     * er niets gestart kon worden.
+     * @param {string} id
+     * @param {string} [by]
+     * @param {string} [note]
+     * @returns {object} het voorstel
+     */
+    approve(id, by = null, note = '') {
+        return this._decide(id, APPROVAL_STATUS.APPROVED, by, note);
+    }
+
+    /**
+     * Wijs een openstaand voorstel af.
+     */
+    reject(id, by = null, note = '') {
+        return this._decide(id, APPROVAL_STATUS.REJECTED, by, note);
+    }
+
+    /**
+     * Zet een goedgekeurd voorstel terug op pending (campagnes starten mislukt).
+     * @param {string} id
+     * @param {string[]} errors
+     */
+    revert(id, errors = []) {
+        const approval = this.approvals.get(id);
+        if (!approval || approval.status !== APPROVAL_STATUS.APPROVED) return;
+        approval.status = APPROVAL_STATUS.PENDING;
+        approval.lastError = errors.join('; ') || 'geen campagne gestart';
+        approval.updatedAt = new Date().toISOString();
+        delete approval.decidedAt;
+        delete approval.decidedBy;
+    }
+
+    /**
+     * Leg het resultaat van een goedkeuring vast.
+     * @param {string} id
+     * @param {{ campaigns: object, errors: string[] }} result
+     */
+    recordResult(id, result) {
+        const approval = this.approvals.get(id);
+        if (!approval) return;
+        approval.result = result;
+        delete approval.lastError;
+    }
+
+    /**
+     * Laat openstaande voorstellen verlopen.
+     * @param {(approval: object) => boolean} shouldExpire
+     * @param {string} reason
+     * @returns {object[]} verlopen voorstellen
+     */
+    expire(shouldExpire, reason) {
+        const expired = [];
+        for (const approval of this.approvals.values()) {
+            if (approval.status !== APPROVAL_STATUS.PENDING || !shouldExpire(approval)) continue;
+            approval.status = APPROVAL_STATUS.EXPIRED;
+            approval.note = reason;
+            approval.decidedAt = new Date().toISOString();
+            approval.updatedAt = approval.decidedAt;
+            expired.push(approval);
+        }
+        if (expired.length > 0) {
+            logger.info(`⌛ ${expired.length} campagnevoorstel(len) verlopen (${reason})`);
+        }
+        return expired;
+    }
+
+    getStats() {
+        const stats = { pending: 0, approved: 0, rejected: 0, expired: 0 };
+        for (const approval of this.approvals.values()) {
+            stats[approval.status] = (stats[approval.status] || 0) + 1;
+        }
+        return stats;
+    }
+
+    _getPending(id) {
+        const approval = this.approvals.get(id);
+        if (!approval) {
+            throw new Error('Voorstel niet gevonden');
+        }
+        if (approval.status !== APPROVAL_STATUS.PENDING) {
+            throw new Error(`Voorstel is al afgehandeld (${approval.status})`);
+        }
+        return approval;
+    }
+
+    _decide(id, status, by, note) {
+        const approval = this._getPending(id);
+        approval.status = status;
+        approval.decidedAt = new Date().toISOString();
+        approval.decidedBy = by;
+        approval.note = note || '';
+        approval.updatedAt = approval.decidedAt;
+        logger.info(`📝 Campagnevoorstel ${id} voor ${approval.city}: ${status}${by ? ` door ${by}` : ''}`);
+        return approval;
+    }
+
+    /**
+     * Controleer aanpassingen; gooit een Error bij de eerste fout.
+     * @returns {string[]} de aangepaste velden
+     */
+    _validateChanges(changes) {
+        const positive = (value) => Number.isFinite(value) && value > 0;
+        const fields = [];
+
+        if (changes.platforms !== undefined) {
+            if (!Array.isArray(changes.platforms) || changes.platforms.length === 0
+                || changes.platforms.some((p) => !['google', 'meta'].includes(p))) {
+                throw new Error('platforms: kies google en/of meta');
+            }
+            fields.push('platforms');
+        }
+        if (changes.budgets !== undefined) {
+            const entries = Object.entries(changes.budgets || {});
+            if (entries.length === 0 || entries.some(([p, budget]) => !['google', 'meta'].includes(p) || !positive(budget))) {
+                throw new Error('budgets: verwacht { google, meta } met bedragen > 0');
+            }
+            fields.push('budgets');
+        }
+        if (changes.radiusKm !== undefined) {
+            if (!positive(changes.radiusKm)) throw new Error('radiusKm moet groter dan 0 zijn');
+            fields.push('radiusKm');
+        }
+        if (changes.durationHours !== undefined) {
+            if (!positive(changes.durationHours)) throw new Error('durationHours moet groter dan 0 zijn');
+            fields.push('durationHours');
+        }
+        if (changes.copy !== undefined) {
+            if (!changes.copy || Object.keys(changes.copy).some((p) => !['google', 'meta'].includes(p))) {
+                throw new Error('copy: verwacht { google, meta }');
+            }
+            const google = changes.copy?.google;
+            const meta = changes.copy?.meta;
+            const texts = (list) => Array.isArray(list) && list.length > 0 && list.every((t) => typeof t === 'string' && t.trim());
+            if (google?.headlines !== undefined
+                && (!texts(google.headlines) || google.headlines.some((t) => t.length > GOOGLE_HEADLINE_MAX))) {
+                throw new Error(`copy.google.headlines: niet leeg en elk hooguit ${GOOGLE_HEADLINE_MAX} tekens`);
+            }
+            if (google?.descriptions !== undefined
+                && (!texts(google.descriptions) || google.descriptions.some((t) => t.length > GOOGLE_DESCRIPTION_MAX))) {
+                throw new Error(`copy.google.descriptions: niet leeg en elk hooguit ${GOOGLE_DESCRIPTION_MAX} tekens`);
+            }
+            for (const key of ['title', 'message', 'description']) {
+                if (meta?.[key] !== undefined && (typeof meta[key] !== 'string' || !meta[key].trim())) {
+                    throw new Error(`copy.meta.${key} mag niet leeg zijn`);
+                }
+            }
+            fields.push('copy');
+        }
+        return fields;
+    }
+
+    /**
+     * Houd alle openstaande en de laatste MAX_DECIDED afgehandelde voorstellen.
+     */
+    _trim() {
+        const decided = this.list().filter((a) => a.status !== APPROVAL_STATUS.PENDING);
+        for (const approval of decided.slice(MAX_DECIDED)) {
+            this.approvals.delete(approval.id);
+        }
+    }
+}
+
+export default ApprovalService;
@@ -0,0 +1,342 @@
+import logger from '../utils/logger.js';
+import { save, load } from '../utils/persistence.js';
+
+/**
+ * BudgetService — Grootboek van dagbudgetten per platform
+ *
+ * Elke campagne legt zijn dagbudget vast voor elke kalenderdag (Europe/Amsterdam)
+ * waarop hij kan uitgeven: van de startdag tot en met de dag waarop hij gepauzeerd
+ * wordt, of tot zijn einddatum. Een campagne die vandaag gepauzeerd is telt vandaag
+ * dus nog mee; hij heeft vandaag al kunnen uitgeven.
+ *
+ * Vóór de aanroep naar een platform wordt het budget gereserveerd, zodat twee
+ * gelijktijdige aanmaakacties samen niet boven TOTAL_MAX_DAILY_BUDGET_* uitkomen.
+ * Lukt de aanmaak, dan wordt de reservering een vastlegging (commit); mislukt hij,
+ * dan komt het budget weer vrij (release). Reserveringen die nooit afgerond zijn
+ * (bijv. door een herstart) vervallen na RESERVATION_TTL_MINUTES.
+ *
+ * Posten: reserved → committed, of reserved → released.
+ */
+
+export const BUDGET_TIMEZONE = 'Europe/Amsterdam';
+export const BUDGET_PLATFORMS = ['google', 'meta'];
+
+const RESERVATION_TTL_MINUTES = 15;
+// Posten blijven zoveel dagen na hun laatste dag bewaard (voor /api/budget?days=)
+const HISTORY_DAYS = 31;
+
+/**
+ * Kalenderdag in Nederland als 'YYYY-MM-DD'.
+ * @param {Date|string|number} date
+ * @returns {string}
+ */
+function toDay(date) {
+    return new Intl.DateTimeFormat('en-CA', {
+        timeZone: BUDGET_TIMEZONE, year: 'numeric', month: '2-digit', day: '2-digit',
+    }).format(new Date(date));
+}
+
+/**
+ * Dag verschuiven; rekent op de datum zelf, dus los van zomer- en wintertijd.
+ */
+function addDays(day, days) {
+    const date = new Date(`${day}T12:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+class BudgetService {
+    constructor() {
+        this.limits = {
+            google: parseFloat(process.env.TOTAL_MAX_DAILY_BUDGET_GOOGLE || '500'),
+            meta: parseFloat(process.env.TOTAL_MAX_DAILY_BUDGET_META || '500'),
+        };
+
+        // Map<entryId, entry>
+        this.entries = new Map();
+
+        this._loadState();
+    }
+
+    _loadState() {
+        for (const entry of load('budget_ledger', [])) {
+            this.entries.set(entry.id, entry);
+        }
+    }
+
+    /**
+     * Sla het grootboek op naar disk (na het opruimen van oude posten).
+     */
+    persist() {
+        this.cleanup();
+        save('budget_ledger', Array.from(this.entries.values()));
+    }
+
+    /**
+     * Neem bestaande campagnes op in een nog leeg grootboek (eenmalig, na een update).
+     * Van gepauzeerde campagnes is de pauzedag onbekend; die tellen alleen op hun startdag.
+     * @param {Map<string, { google: object|null, meta: object|null }>} campaigns – outageService.campaigns
+     * @returns {number} aantal opgenomen campagnes
+     */
+    importCampaigns(campaigns) {
+        if (this.entries.size > 0) return 0;
+
+        let imported = 0;
+        for (const [outageId, platforms] of campaigns) {
+            for (const platform of BUDGET_PLATFORMS) {
+                const campaign = platforms[platform];
+                if (!campaign?.createdAt) continue;
+                const startDay = toDay(campaign.createdAt);
+                this._add({
+                    platform,
+                    outageId,
+                    campaignId: campaign.campaignId || null,
+                    amount: campaign.budget || 0,
+                    status: 'committed',
+                    startDay,
+                    endDay: campaign.status === 'active' && campaign.expiresAt ? toDay(campaign.expiresAt) : startDay,
+                    stoppedAt: campaign.status === 'active' ? null : campaign.createdAt,
+                });
+                imported++;
+            }
+        }
+        if (imported > 0) {
+            logger.info(`💶 Budget-grootboek gevuld met ${imported} bestaande campagnes`);
+        }
+        return imported;
+    }
+
+    // ──────────────────────────
+    //  Reserveren en vastleggen
+    // ──────────────────────────
+
+    /**
+     * Reserveer een dagbudget voor een campagne die nog aangemaakt moet worden.
+     * @param {'google'|'meta'} platform
+     * @param {number} amount – dagbudget in €
+     * @param {object} [context]
+     * @param {string} [context.outageId]
+     * @returns {object|null} de reservering, of null als het dagbudget van vandaag niet toereikt
+     */
+    reserve(platform, amount, { outageId = null } = {}) {
+        const remaining = this.getRemaining(platform);
+        if (amount > remaining) {
+            logger.warn(`💰 Budget limiet bereikt voor ${platform}: in gebruik €${this.limits[platform] - remaining}, gevraagd €${amount}, limiet €${this.limits[platform]}`);
+            return null;
+        }
+
+        const today = toDay(Date.now());
+        return this._add({
+            platform,
+            outageId,
+            campaignId: null,
+            amount,
+            status: 'reserved',
+            startDay: today,
+            endDay: today,
+            stoppedAt: null,
+        });
+    }
+
+    /**
+     * Zet een reservering om in een vastlegging voor de looptijd van de campagne.
+     * @param {string} reservationId
+     * @param {object} campaign
+     * @param {string} [campaign.campaignId]
+     * @param {number} [campaign.budget] – werkelijk dagbudget (standaard het gereserveerde bedrag)
+     * @param {string} [campaign.expiresAt] – laatste moment waarop de campagne kan uitgeven
+     */
+    commit(reservationId, { campaignId, budget, expiresAt } = {}) {
+        const entry = this.entries.get(reservationId);
+        if (!entry || entry.status !== 'reserved') return;
+        entry.status = 'committed';
+        entry.campaignId = campaignId || null;
+        if (Number.isFinite(budget)) entry.amount = budget;
+        if (expiresAt) entry.endDay = toDay(expiresAt);
+        entry.updatedAt = new Date().toISOString();
+    }
+
+    /**
+     * Geef een reservering vrij (aanmaak mislukt of overgeslagen).
+     * @param {string} reservationId
+     */
+    release(reservationId) {
+        const entry = this.entries.get(reservationId);
+        if (!entry || entry.status !== 'reserved') return;
+        entry.status = 'released';
+        entry.updatedAt = new Date().toISOString();
+    }
+
+    /**
+     * Nieuw dagbudget voor een lopende campagne (escalatie), vanaf vandaag.
+     * Eerdere dagen houden het oude bedrag; vandaag telt het nieuwe bedrag.
+     * Controleer het verschil eerst met reserve().
+     * @param {'google'|'meta'} platform
+     * @param {string} campaignId
+     * @param {number} amount – nieuw dagbudget in €
+     */
+    adjust(platform, campaignId, amount) {
+        const today = toDay(Date.now());
+        const entry = Array.from(this.entries.values()).find((e) =>
+            e.platform === platform && e.campaignId === campaignId && e.status === 'committed'
+            && !e.stoppedAt && e.startDay <= today && e.endDay >= today);
+        if (!entry) return;
+
+        if (entry.startDay === today) {
+            entry.amount = amount;
+            entry.updatedAt = new Date().toISOString();
+            return;
+        }
+        const { endDay } = entry;
+        entry.endDay = addDays(today, -1);
+        entry.updatedAt = new Date().toISOString();
+        this._add({ ...entry, id: undefined, amount, startDay: today, endDay });
+    }
+
+    /**
+     * Nieuwe eindtijd voor een lopende campagne (verwachte eindtijd gewijzigd).
+     * De post loopt dan tot en met de nieuwe laatste dag, maar nooit korter dan vandaag.
+     * @param {'google'|'meta'} platform
+     * @param {string} campaignId
+     * @param {string} expiresAt – nieuwe eindtijd (ISO)
+     */
+    reschedule(platform, campaignId, expiresAt) {
+        const today = toDay(Date.now());
+        const entry = Array.from(this.entries.values()).find((e) =>
+            e.platform === platform && e.campaignId === campaignId && e.status === 'committed'
+            && !e.stoppedAt && e.startDay <= today && e.endDay >= today);
+        if (!entry) return;
+
+        const endDay = toDay(expiresAt);
+        entry.endDay = endDay < today ? today : endDay;
+        entry.updatedAt = new Date().toISOString();
+    }
+
+    /**
+     * Een campagne is gepauzeerd: vanaf morgen telt hij niet meer mee.
+     * @param {'google'|'meta'} platform
+     * @param {string} campaignId
+     */
+    stop(platform, campaignId) {
+        const now = new Date();
+        const today = toDay(now);
+        for (const entry of this.entries.values()) {
+            if (entry.platform !== platform || entry.campaignId !== campaignId || entry.status !== 'committed' || entry.stoppedAt) continue;
+            entry.stoppedAt = now.toISOString();
+            if (entry.endDay > today) entry.endDay = today;
+            entry.updatedAt = entry.stoppedAt;
+        }
+    }
+
+    // ──────────────────────────
+    //  Opvragen
+    // ──────────────────────────
+
+    /**
+     * Vastgelegd en gereserveerd budget van een platform op een dag.
+     * @param {'google'|'meta'} platform
+     * @param {string} [day] – 'YYYY-MM-DD', standaard vandaag
+     * @returns {{ committed: number, reserved: number }}
+     */
+    getUsage(platform, day = toDay(Date.now())) {
+        let committed = 0;
+        let reserved = 0;
+        for (const entry of this.entries.values()) {
+            if (entry.platform !== platform || day < entry.startDay || day > entry.endDay) continue;
+            if (entry.status === 'committed') committed += entry.amount;
+            if (entry.status === 'reserved' && !this._isStale(entry)) reserved += entry.amount;
+        }
+        return { committed, reserved };
+    }
+
+    /**
+     * Resterend dagbudget van vandaag: limiet minus vastgelegd en gereserveerd.
+     * @param {'google'|'meta'} platform
+     * @returns {number} € (kan negatief zijn)
+     */
+    getRemaining(platform) {
+        const { committed, reserved } = this.getUsage(platform);
+        return (this.limits[platform] ?? 0) - committed - reserved;
+    }
+
+    /**
+     * Overzicht voor /api/budget: vandaag per platform met de posten, en per dag
+     * de vastgelegde bedragen over de afgelopen dagen en de komende dagen van lopende campagnes.
+     * @param {object} [options]
+     * @param {number} [options.days] – aantal dagen terug (inclusief vandaag)
+     * @param {number} [options.ahead] – aantal dagen vooruit
+     */
+    getBreakdown({ days = 7, ahead = 3 } = {}) {
+        const today = toDay(Date.now());
+        const platforms = {};
+        for (const platform of BUDGET_PLATFORMS) {
+            const usage = this.getUsage(platform, today);
+            platforms[platform] = {
+                limit: this.limits[platform],
+                ...usage,
+                remaining: this.limits[platform] - usage.committed - usage.reserved,
+                entries: this._entriesOn(platform, today),
+            };
+        }
+
+        const series = [];
+        for (let offset = -(days - 1); offset <= ahead; offset++) {
+            const day = addDays(today, offset);
+            series.push({
+                day,
+                ...Object.fromEntries(BUDGET_PLATFORMS.map((platform) => [platform, this.getUsage(platform, day).committed])),
+            });
+        }
+
+        return { timezone: BUDGET_TIMEZONE, today, platforms, days: series };
+    }
+
+    /**
+     * Verwijder vervallen reserveringen en posten ouder dan HISTORY_DAYS.
+     */
+    cleanup() {
+        const cutoff = addDays(toDay(Date.now()), -HISTORY_DAYS);
+        let removed = 0;
+        for (const [id, entry] of this.entries) {
+            if (entry.status === 'reserved' && this._isStale(entry)) {
+                entry.status = 'released';
+                entry.updatedAt = new Date().toISOString();
+                logger.warn(`💶 Reservering ${id} (${entry.platform}, €${entry.amount}) nooit afgerond — vrijgegeven`);
+            }
+            if (entry.endDay < cutoff || (entry.status === 'released' && entry.endDay < toDay(Date.now()))) {
+                this.entries.delete(id);
+                removed++;
+            }
+        }
+        if (removed > 0) {
+            logger.debug(`BudgetService: ${removed} oude posten verwijderd`);
+        }
+    }
+
+    _add(fields) {
+        const now = new Date().toISOString();
+        const entry = {
+            ...fields,
+            id: `bud_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            createdAt: now,
+            updatedAt: now,
+        };
+        this.entries.set(entry.id, entry);
+        return entry;
+    }
+
+    _entriesOn(platform, day) {
+        return Array.from(this.entries.values())
+            .filter((e) => e.platform === platform && e.status !== 'released' && day >= e.startDay && day <= e.endDay)
+            .filter((e) => e.status !== 'reserved' || !this._isStale(e))
+            .map(({ id, outageId, campaignId, amount, status, startDay, endDay, stoppedAt }) => ({
+                id, outageId, campaignId, amount, status, startDay, endDay, stoppedAt,
+            }));
+    }
+
+    _isStale(entry) {
+        return Date.now() - new Date(entry.createdAt).getTime() > RESERVATION_TTL_MINUTES * 60 * 1000;
+    }
+}
+
+export default BudgetService;
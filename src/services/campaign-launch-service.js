@@ -0,0 +1,237 @@
+import logger from '../utils/logger.js';
+import { getCampaignEndTime } from '../utils/campaign-duration.js';
+
+/**
+ * CampaignLaunchService — Campagnes starten en pauzeren per incident en platform
+ *
+ * Elke aanmaak gaat langs het grootboek (BudgetService): eerst reserveren, bij
+ * succes vastleggen bij het registreren in OutageService, anders vrijgeven. Het
+ * gebied wordt vastgelegd voor de afkoelperiode (CooldownService). Per incident
+ * en platform loopt hooguit één aanmaakactie tegelijk.
+ *
+ * Vervangen (replace) pauzeert eerst de lopende campagne en maakt pas daarna een
+ * nieuwe aan. Lukt het pauzeren niet, dan blijft de lopende campagne staan en
+ * komt er geen nieuwe bij: een betaalde campagne mag nooit onbeheerd doorlopen.
+ */
+
+/**
+ * Korte omschrijving van een afkoelperiode voor het event log en foutmeldingen.
+ * @param {object} cooldown – uitkomst van cooldownService.check
+ * @returns {string}
+ */
+export function describeCooldown(cooldown) {
+    const [latest] = cooldown.matches;
+    const days = Math.floor((Date.now() - new Date(latest.lastAdvertisedAt).getTime()) / (24 * 60 * 60 * 1000));
+    const postcodes = cooldown.matches.slice(0, 3).map((area) => area.postcode).join(', ')
+        + (cooldown.matches.length > 3 ? ` +${cooldown.matches.length - 3}` : '');
+    const ago = days === 0 ? 'vandaag' : `${days} ${days === 1 ? 'dag' : 'dagen'} geleden`;
+    return `${postcodes} ${ago} al geadverteerd (${latest.city}), afkoelperiode ${cooldown.windowDays} dagen`;
+}
+
+class CampaignLaunchService {
+    /**
+     * @param {object} options
+     * @param {object} options.outageService
+     * @param {object} options.budgetService
+     * @param {object} options.cooldownService
+     * @param {{ key: string, name: string, service: object }[]} options.platforms – advertentieplatforms
+     * @param {(type: string, message: string, data?: object) => void} [options.log] – event log
+     */
+    constructor({ outageService, budgetService, cooldownService, platforms, log = () => {} }) {
+        this.outageService = outageService;
+        this.budgetService = budgetService;
+        this.cooldownService = cooldownService;
+        this.platforms = platforms;
+        this.log = log;
+
+        // Aanmaakacties die nu lopen ('incidentId:platform'). Een tweede verzoek voor
+        // hetzelfde incident en platform wacht niet, maar wordt overgeslagen.
+        this.locks = new Set();
+    }
+
+    /**
+     * Maak één campagne aan binnen het dagbudget: eerst reserveren, bij succes
+     * vastleggen bij het registreren, anders de reservering vrijgeven.
+     * @param {{ key: string, service: object }} adPlatform – item uit platforms
+     * @param {object} outage – storing of incident waarvoor de campagne loopt
+     * @param {number} budget – dagbudget dat het platform krijgt
+     * @param {object} options – opties voor service.createCampaign
+     * @param {object} [registerOverrides] – extra velden voor outageService.registerCampaign
+     * @returns {Promise<{ campaign: object|null, overBudget: boolean }>}
+     */
+    async createWithinBudget({ key, service }, outage, budget, options, registerOverrides = {}) {
+        const reservation = this.budgetService.reserve(key, budget, { outageId: outage.id });
+        if (!reservation) return { campaign: null, overBudget: true };
+
+        try {
+            const campaign = await service.createCampaign(outage, options);
+            if (!campaign) {
+                this.budgetService.release(reservation.id);
+                return { campaign: null, overBudget: false };
+            }
+            this.outageService.registerCampaign(outage.id, key, campaign, { ...registerOverrides, reservationId: reservation.id });
+            this.cooldownService.record(outage, { platform: key, campaignId: campaign.campaignId });
+            return { campaign, overBudget: false };
+        } catch (err) {
+            this.budgetService.release(reservation.id);
+            throw err;
+        } finally {
+            this.budgetService.persist();
+            this.cooldownService.persist();
+        }
+    }
+
+    /**
+     * Start campagnes voor een incident (handmatig of door het campagnebeleid).
+     * Platforms waar al een campagne loopt, waarvoor al een aanmaakactie bezig is of
+     * waarvoor het dagbudget op is worden overgeslagen. Met replace wordt de lopende
+     * campagne eerst gepauzeerd; lukt dat niet, dan blijft hij staan en start er
+     * voor dat platform niets. Is er onlangs al geadverteerd in het gebied
+     * (AREA_COOLDOWN_*), dan volgt een waarschuwing of start er niets.
+     * @param {object} incident – samengestelde storing uit outageService.getIncident
+     * @param {object} [options] – customBudget, customRadius, customDuration, platforms,
+     *   budgets ({ google, meta }, gaat voor customBudget), copy ({ google, meta }, zie buildAdCopy),
+     *   replace (lopende campagnes vervangen) en ignoreCooldown (toch starten in een afkoelperiode)
+     * @param {string} [via] – 'handmatig', 'automatisch' of 'na goedkeuring' (voor het event log)
+     * @returns {Promise<{ results: object, existing: object, busy: string[], errors: string[], cooldown: object }>}
+     *   existing: lopende campagnes die bleven staan; busy: platforms met een lopende aanmaakactie;
+     *   cooldown: uitkomst van cooldownService.check
+     */
+    async launch(incident, { customBudget, customRadius, customDuration, platforms, budgets, copy, replace = false, ignoreCooldown = false } = {}, via = 'handmatig') {
+        const logData = { id: incident.id, outageIds: incident._incident?.outageIds };
+        const results = { google: null, meta: null };
+        const existing = { google: null, meta: null };
+        const busy = [];
+        const errors = [];
+        // Eén eindtijd voor alle platforms (utils/campaign-duration.js)
+        const duration = getCampaignEndTime(incident, { customDuration });
+
+        const { cooldown, blocked } = this.checkCooldown(incident, { ignoreCooldown, via });
+        if (blocked) {
+            errors.push(`Afkoelperiode: ${describeCooldown(cooldown)}`);
+            return { results, existing, busy, errors, cooldown };
+        }
+
+        for (const adPlatform of this.platforms) {
+            const { key, name, service } = adPlatform;
+            if (!service.isEnabled() || (platforms && !platforms.includes(key))) continue;
+
+            const lockKey = `${incident.id}:${key}`;
+            if (this.locks.has(lockKey)) {
+                busy.push(key);
+                errors.push(`${name}: Campagne wordt al aangemaakt voor dit incident`);
+                this.log('campaign_skipped', `${name} overgeslagen (aanmaak loopt al) voor ${incident._city}`, logData);
+                continue;
+            }
+
+            const platformBudget = budgets?.[key] || customBudget;
+            const requestedBudget = platformBudget || incident._severity?.[`${key}Budget`] || 0;
+            const current = this.outageService.getCampaignsForOutage(incident.id)?.[key];
+            if (current?.status === 'active' && !replace) {
+                existing[key] = current;
+                errors.push(`${name}: Campagne loopt al voor dit incident`);
+                this.log('campaign_skipped', `${name} overgeslagen (loopt al voor incident) voor ${incident._city}`, logData);
+                continue;
+            }
+
+            this.locks.add(lockKey);
+            try {
+                // Vervangen: eerst de lopende campagne pauzeren, anders loopt hij onbeheerd door
+                if (current?.status === 'active' && !await this.pause(incident.id, key, 'vervangen')) {
+                    existing[key] = current;
+                    errors.push(`${name}: Lopende campagne kon niet gepauzeerd worden, niet vervangen`);
+                    this.log('campaign_error', `${name} niet vervangen voor ${incident._city}: pauzeren van de lopende campagne mislukt`, logData);
+                    continue;
+                }
+
+                const { campaign, overBudget } = await this.createWithinBudget(adPlatform, incident, requestedBudget, {
+                    customBudget: platformBudget,
+                    customRadius,
+                    endTime: duration.endTime,
+                    copy: copy?.[key],
+                }, { duration, customCopy: Boolean(copy?.[key]) });
+                if (overBudget) {
+                    errors.push(`${name}: Dagelijks budget limiet bereikt`);
+                    this.log('campaign_skipped', `${name} overgeslagen (budget limiet/${via}) voor ${incident._city}`, logData);
+                    continue;
+                }
+                if (campaign) {
+                    results[key] = campaign;
+                    this.log('campaign_created', `${name} campagne ${via} aangemaakt voor ${incident._city}`, { ...logData, simulated: campaign.simulated });
+                }
+            } catch (err) {
+                errors.push(`${name}: ${err.message}`);
+                this.log('campaign_error', `${name} fout (${via}) voor ${incident._city}: ${err.message}`, logData);
+            } finally {
+                this.locks.delete(lockKey);
+            }
+        }
+
+        return { results, existing, busy, errors, cooldown };
+    }
+
+    /**
+     * Controleer de afkoelperiode vóór het starten van campagnes. Een treffer komt
+     * als campaign_cooldown in het event log, ook als hij genegeerd wordt.
+     * @param {object} outage – incident of geplande onderbreking
+     * @param {object} options
+     * @param {boolean} [options.ignoreCooldown] – toch starten bij AREA_COOLDOWN_MODE=block
+     * @param {string} options.via – voor het event log
+     * @returns {{ cooldown: object, blocked: boolean }} blocked: er mag niets starten
+     */
+    checkCooldown(outage, { ignoreCooldown = false, via }) {
+        const cooldown = this.cooldownService.check(outage);
+        if (cooldown.matches.length === 0) return { cooldown, blocked: false };
+
+        const summary = describeCooldown(cooldown);
+        const blocked = cooldown.blocked && !ignoreCooldown;
+        this.log('campaign_cooldown', blocked
+            ? `Geen campagne (${via}) voor ${outage._city}: ${summary}`
+            : `${cooldown.blocked ? 'Afkoelperiode genegeerd' : 'Let op'} (${via}) voor ${outage._city}: ${summary}`, {
+            id: outage.id,
+            outageIds: outage._incident?.outageIds,
+            postcodes: cooldown.matches.map((area) => area.postcode),
+            lastAdvertisedAt: cooldown.lastAdvertisedAt,
+        });
+        return { cooldown, blocked };
+    }
+
+    /**
+     * Pauzeer de actieve campagnes van een storing of gepland onderhoud.
+     * @param {string} outageId
+     * @param {string} reason – voor het event log
+     */
+    async pauseAll(outageId, reason) {
+        for (const { key } of this.platforms) {
+            await this.pause(outageId, key, reason);
+        }
+    }
+
+    /**
+     * Pauzeer de actieve campagne van één platform.
+     * @param {string} outageId
+     * @param {'google'|'meta'} platform
+     * @param {string} reason – voor het event log
+     * @returns {Promise<boolean>} true als de campagne gepauzeerd is
+     */
+    async pause(outageId, platform, reason) {
+        const campaign = this.outageService.getCampaignsForOutage(outageId)?.[platform];
+        if (campaign?.status !== 'active') return false;
+        const { name, service } = this.platforms.find(({ key }) => key === platform);
+        const reference = platform === 'google' ? campaign.campaignResourceName : campaign.campaignId;
+        if (!reference) return false;
+
+        try {
+            if (await service.pauseCampaign(reference)) {
+                this.outageService.markCampaignPaused(outageId, platform);
+                this.log('campaign_paused', `${name} campagne gepauzeerd (${reason})`, { outageId });
+                return true;
+            }
+        } catch (e) {
+            logger.error(`Fout bij pauzeren ${name} campagne voor ${outageId}: ${e.message}`);
+        }
+        return false;
+    }
+}
+
+export default CampaignLaunchService;
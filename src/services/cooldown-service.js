@@ -0,0 +1,172 @@
+import logger from '../utils/logger.js';
+import { save, load } from '../utils/persistence.js';
+import { parsePostcodes } from '../utils/postcode-utils.js';
+
+/**
+ * CooldownService — Waar en wanneer er al geadverteerd is
+ *
+ * Straten met terugkerende storingen zouden anders elke keer een nieuwe campagne
+ * krijgen, voor een publiek dat onze advertenties vorige week al zag. Per postcode
+ * (PC6 én het bijbehorende PC4) wordt bijgehouden wanneer er voor het laatst een
+ * campagne startte. Een nieuwe campagne binnen AREA_COOLDOWN_DAYS in hetzelfde
+ * gebied geeft een waarschuwing of wordt tegengehouden.
+ *
+ * AREA_COOLDOWN_MODE:  off (niet controleren), warn (alleen waarschuwen, standaard) of block
+ * AREA_COOLDOWN_LEVEL: pc4 (hele wijk, standaard) of pc6 (zelfde straatdeel)
+ */
+
+export const COOLDOWN_MODES = ['off', 'warn', 'block'];
+export const COOLDOWN_LEVELS = ['pc4', 'pc6'];
+
+// Gebieden blijven minstens zoveel dagen bewaard, ook bij een kortere afkoelperiode
+const HISTORY_DAYS = 31;
+
+/**
+ * Normaliseer een postcode naar PC6 ('1234AB') of PC4 ('1234').
+ * @param {string} postcode
+ * @returns {string|null}
+ */
+function normalizePostcode(postcode) {
+    const match = String(postcode || '').toUpperCase().replace(/\s/g, '').match(/^(\d{4})([A-Z]{2})?$/);
+    return match ? `${match[1]}${match[2] || ''}` : null;
+}
+
+class CooldownService {
+    constructor() {
+        const mode = (process.env.AREA_COOLDOWN_MODE || 'warn').toLowerCase();
+        const level = (process.env.AREA_COOLDOWN_LEVEL || 'pc4').toLowerCase();
+        this.mode = COOLDOWN_MODES.includes(mode) ? mode : 'warn';
+        this.level = COOLDOWN_LEVELS.includes(level) ? level : 'pc4';
+        this.windowDays = parseFloat(process.env.AREA_COOLDOWN_DAYS || '7');
+
+        // Map<postcode, { postcode, lastAdvertisedAt, outageId, city, platforms, campaigns }>
+        this.areas = new Map();
+
+        this._loadState();
+    }
+
+    _loadState() {
+        for (const area of load('ad_cooldowns', [])) {
+            this.areas.set(area.postcode, area);
+        }
+    }
+
+    /**
+     * Sla het register op naar disk (na het opruimen van oude gebieden).
+     */
+    persist() {
+        this.cleanup();
+        save('ad_cooldowns', Array.from(this.areas.values()));
+    }
+
+    /**
+     * Leg vast dat er in het gebied van een storing of incident geadverteerd wordt.
+     * @param {object} outage – verrijkte storing of incident (met _postcode)
+     * @param {object} campaign
+     * @param {'google'|'meta'} campaign.platform
+     * @param {string} [campaign.campaignId]
+     */
+    record(outage, { platform, campaignId = null }) {
+        const now = new Date().toISOString();
+        for (const postcode of this._keysOf(outage)) {
+            const area = this.areas.get(postcode);
+            const sameOutage = area?.outageId === outage.id;
+            this.areas.set(postcode, {
+                postcode,
+                lastAdvertisedAt: now,
+                outageId: outage.id,
+                city: outage._city || 'Onbekend',
+                platforms: [...new Set([...(sameOutage ? area.platforms : []), platform])],
+                campaigns: (area?.campaigns || 0) + 1,
+                lastCampaignId: campaignId,
+            });
+        }
+    }
+
+    /**
+     * Controleer of er binnen de afkoelperiode al geadverteerd is in het gebied.
+     * Campagnes van hetzelfde incident tellen niet mee (vervangen of opschalen).
+     * @param {object} outage – verrijkte storing of incident
+     * @param {object} [options]
+     * @param {Date} [options.now]
+     * @returns {{ mode: string, level: string, windowDays: number, blocked: boolean,
+     *   lastAdvertisedAt: string|null, matches: object[] }}
+     */
+    check(outage, { now = new Date() } = {}) {
+        const result = {
+            mode: this.mode,
+            level: this.level,
+            windowDays: this.windowDays,
+            blocked: false,
+            lastAdvertisedAt: null,
+            matches: [],
+        };
+        if (this.mode === 'off') return result;
+
+        const since = now.getTime() - this.windowDays * 24 * 60 * 60 * 1000;
+        const keys = new Set(this._keysOf(outage).filter((pc) => pc.length === (this.level === 'pc6' ? 6 : 4)));
+        result.matches = [...keys]
+            .map((postcode) => this.areas.get(postcode))
+            .filter((area) => area && area.outageId !== outage.id && new Date(area.lastAdvertisedAt).getTime() >= since)
+            .sort((a, b) => new Date(b.lastAdvertisedAt) - new Date(a.lastAdvertisedAt));
+
+        result.lastAdvertisedAt = result.matches[0]?.lastAdvertisedAt || null;
+        result.blocked = this.mode === 'block' && result.matches.length > 0;
+        return result;
+    }
+
+    /**
+     * Geregistreerde gebieden, laatst geadverteerd eerst.
+     * @param {object} [filter]
+     * @param {boolean} [filter.activeOnly] – alleen gebieden binnen de afkoelperiode
+     * @returns {object[]}
+     */
+    list({ activeOnly = false } = {}) {
+        const since = Date.now() - this.windowDays * 24 * 60 * 60 * 1000;
+        return Array.from(this.areas.values())
+            .filter((area) => !activeOnly || new Date(area.lastAdvertisedAt).getTime() >= since)
+            .sort((a, b) => new Date(b.lastAdvertisedAt) - new Date(a.lastAdvertisedAt));
+    }
+
+    /**
+     * Verwijder gebieden waar langer dan de afkoelperiode (minstens HISTORY_DAYS) niet geadverteerd is.
+     */
+    cleanup() {
+        const cutoff = Date.now() - Math.max(this.windowDays, HISTORY_DAYS) * 24 * 60 * 60 * 1000;
+        let removed = 0;
+        for (const [postcode, area] of this.areas) {
+            if (new Date(area.lastAdvertisedAt).getTime() < cutoff) {
+                this.areas.delete(postcode);
+                removed++;
+            }
+        }
+        if (removed > 0) {
+            logger.debug(`CooldownService: ${removed} oude gebieden verwijderd`);
+        }
+    }
+
+    getStats() {
+        return {
+            mode: this.mode,
+            level: this.level,
+            windowDays: this.windowDays,
+            areas: this.list({ activeOnly: true }).filter((area) => area.postcode.length === (this.level === 'pc6' ? 6 : 4)).length,
+        };
+    }
+
+    /**
+     * PC6- en PC4-sleutels van de postcodes van een storing.
+     */
+    _keysOf(outage) {
+        const keys = new Set();
+        for (const raw of parsePostcodes(outage?._postcode)) {
+            const postcode = normalizePostcode(raw);
+            if (!postcode) continue;
+            keys.add(postcode);
+            keys.add(postcode.slice(0, 4));
+        }
+        return [...keys];
+    }
+}
+
+export default CooldownService;
@@ -1,5 +1,7 @@
 import logger from '../utils/logger.js';
 import { getCityFromOutage, getProvinceFromOutage, parsePostcodes } from '../utils/postcode-utils.js';
+import { getOutageCenter, getTargetRadiusKm } from '../utils/geometry.js';
+import { getCampaignEndTime } from '../utils/campaign-duration.js';
 
 /**
  * GoogleAdsService — Automatische Google Ads campagne-aanmaak bij stroomstoringen.
@@ -67,7 +69,8 @@ class GoogleAdsService {
     /**
      * Maak een volledige Google Ads campagne aan voor een storing.
      * @param {object} outage – verrijkte storingsdata
-     * @param {object} [options] – optionele overrides (budget, radius)
+     * @param {object} [options] – optionele overrides (budget, radius, duration, copy uit buildAdCopy)
+     *   en endTime (ISO; standaard via utils/campaign-duration.js)
      * @returns {object|null} Campagnedata of null bij fout
      */
     async createCampaign(outage, options = {}) {
@@ -83,12 +86,14 @@ class GoogleAdsService {
         const city = getCityFromOutage(outage);
         const province = getProvinceFromOutage(outage);
 
-        // Gebruik overrides indien aanwezig
+        // Gebruik overrides indien aanwezig; zonder override dekt de radius het hele storingsgebied
         const budget = options.customBudget || outage._severity.googleBudget;
-        const radiusKm = options.customRadius || outage._severity.radiusKm;
-        const durationHours = options.customDuration || 72;
+        const radiusKm = options.customRadius || getTargetRadiusKm(outage, outage._severity.radiusKm);
+        const endTime = options.endTime || getCampaignEndTime(outage, { customDuration: options.customDuration }).endTime;
+        const copy = options.copy || this.buildAdCopy(outage);
 
-        const campaignName = `Storing ${city} - ${new Date().toISOString().split('T')[0]} - ${outage._severity.label}`;
+        const isPlanned = outage.kind === 'planned';
+        const campaignName = `${isPlanned ? 'Gepland' : 'Storing'} ${city} - ${new Date().toISOString().split('T')[0]} - ${outage._severity.label}`;
 
         try {
             // 1. Maak CampaignBudget aan
@@ -105,7 +110,7 @@ class GoogleAdsService {
             logger.info(`Google Ads: Budget aangemaakt — €${budget}/dag`);
 
             // 2. Maak Campaign aan
-            const endDate = new Date(Date.now() + durationHours * 60 * 60 * 1000);
+            const endDate = new Date(endTime);
             const startDate = new Date();
 
             const campaignResult = await this.customer.campaigns.create([
@@ -130,28 +135,7 @@ class GoogleAdsService {
             logger.info(`Google Ads: Campaign aangemaakt — ${campaignName} (ID: ${campaignId})`);
 
             // 3. Geo-targeting (proximity rondom de storing)
-            const coords = outage.location?.features?.geometry?.coordinates || [0, 0];
-            if (coords[0] !== 0 && coords[1] !== 0) {
-                await this.customer.campaignCriteria.create([
-                    {
-                        campaign: campaignResourceName,
-                        proximity: {
-                            geo_point: {
-                                latitude_in_micro_degrees: Math.round(coords[0] * 1_000_000),
-                                longitude_in_micro_degrees: Math.round(coords[1] * 1_000_000),
-                            },
-                            radius: radiusKm,
-                            radius_units: 'KILOMETERS',
-                            address: {
-                                city_name: city,
-                                province_name: province || '',
-                                country_code: 'NL',
-                            },
-                        },
-                    },
-                ]);
-                logger.info(`Google Ads: Geo-targeting ingesteld — ${radiusKm}km rond ${city}`);
-            }
+            const proximityResourceName = await this._createProximity(campaignResourceName, outage, radiusKm);
 
             // 4. Maak Ad Group aan
             const adGroupResult = await this.customer.adGroups.create([
@@ -180,39 +164,13 @@ class GoogleAdsService {
             logger.info(`Google Ads: ${keywords.length} keywords toegevoegd`);
 
             // 6. Maak Responsive Search Ad
-            await this.customer.ads.create([
+            const adResult = await this.customer.ads.create([
                 {
                     ad_group: adGroupResourceName,
                     ad: {
                         responsive_search_ad: {
-                            headlines: [
-                                { text: 'Stroomstoring? Nooit Meer!' },
-                                { text: 'Thuisbatterij Vanaf €3.999' },
-                                { text: 'Gratis Adviesgesprek' },
-                                { text: `Stroomstoring in ${city.substring(0, 20)}` },
-                                { text: 'Bescherm Je Gezin' },
-                                { text: '10 Jaar Garantie' },
-                                { text: 'Directe Noodstroom' },
-                                { text: 'Offgridcentrum.nl' },
-                                { text: 'Werkt Met Zonnepanelen' },
-                                { text: 'Binnen 2 Weken Geïnstalleerd' },
-                                { text: 'Professioneel Advies' },
-                                { text: 'Nooit Meer Zonder Stroom' },
-                            ],
-                            descriptions: [
-                                {
-                                    text: 'Bescherm je gezin tegen stroomstoringen met een thuisbatterij van Offgridcentrum. Vraag gratis advies aan!',
-                                },
-                                {
-                                    text: 'Automatische overschakeling bij stroomuitval. Werkt met zonnepanelen. 10 jaar garantie. Bestel nu!',
-                                },
-                                {
-                                    text: 'Stroomstoringen worden steeds vaker. Investeer in een thuisbatterij en wees voorbereid. Offgridcentrum helpt.',
-                                },
-                                {
-                                    text: 'Van stroomstoring naar energieonafhankelijkheid. Onze thuisbatterijen bieden zekerheid wanneer het net uitvalt.',
-                                },
-                            ],
+                            headlines: copy.headlines.map((text) => ({ text })),
+                            descriptions: copy.descriptions.map((text) => ({ text })),
                             path1: 'thuisbatterij',
                             path2: 'noodstroom',
                         },
@@ -229,6 +187,8 @@ class GoogleAdsService {
                 campaignResourceName,
                 budgetResourceName,
                 adGroupResourceName,
+                proximityResourceName,
+                adResourceName: adResult.results[0].resource_name,
                 budget: budget,
                 radiusKm: radiusKm,
                 city,
@@ -253,11 +213,15 @@ class GoogleAdsService {
     async _createSimulatedCampaign(outage, options = {}) {
         const city = getCityFromOutage(outage);
         const budget = options.customBudget || outage._severity.googleBudget;
-        const radiusKm = options.customRadius || outage._severity.radiusKm;
+        const radiusKm = options.customRadius || getTargetRadiusKm(outage, outage._severity.radiusKm);
+        const center = getOutageCenter(outage);
         const campaignId = `SIM_${Math.floor(Math.random() * 1000000)}`;
-        const campaignName = `[SIMULATIE] Storing ${city} - ${new Date().toISOString().split('T')[0]}`;
+        const campaignName = `[SIMULATIE] ${outage.kind === 'planned' ? 'Gepland' : 'Storing'} ${city} - ${new Date().toISOString().split('T')[0]}`;
 
-        logger.info(`🧪 GESTIMULEERD: Google Ads campaign — ${campaignName} (€${budget}, ${radiusKm}km)`);
+        logger.info(
+            `🧪 GESTIMULEERD: Google Ads campaign — ${campaignName} (€${budget}, ${radiusKm}km` +
+            `${center ? ` rond ${center.lat}, ${center.lng}` : ', geen coördinaten'})`
+        );
 
         return {
             campaignId,
@@ -265,6 +229,8 @@ class GoogleAdsService {
             campaignResourceName: `customers/123/campaigns/${campaignId}`,
             budgetResourceName: `customers/123/campaignBudgets/${campaignId}`,
             adGroupResourceName: `customers/123/adGroups/${campaignId}`,
+            proximityResourceName: center ? `customers/123/campaignCriteria/${campaignId}~1` : null,
+            adResourceName: `customers/123/ads/${campaignId}`,
             budget: budget,
             radiusKm: radiusKm,
             city,
@@ -273,6 +239,135 @@ class GoogleAdsService {
         };
     }
 
+    /**
+     * Pas een lopende campagne aan (escalatie of nieuwe verwachte eindtijd): dagbudget,
+     * proximity, advertentieteksten en einddatum. Alleen meegegeven onderdelen worden gewijzigd.
+     * @param {object} campaign – geregistreerde campagnedata (uit createCampaign)
+     * @param {object} outage – verrijkte storing of incident (voor middelpunt en teksten)
+     * @param {object} changes
+     * @param {number} [changes.budget] – nieuw dagbudget in €
+     * @param {number} [changes.radiusKm] – nieuwe radius
+     * @param {object} [changes.copy] – nieuwe teksten (zie buildAdCopy)
+     * @param {string} [changes.endTime] – nieuwe eindtijd (ISO); Google kent alleen een einddatum
+     * @returns {Promise<object>} bijgewerkte velden voor de campagnedata
+     * @throws {Error} als het platform een wijziging weigert; err.updated bevat de velden die al zijn doorgevoerd
+     */
+    async updateCampaign(campaign, outage, { budget, radiusKm, copy, endTime } = {}) {
+        if (!this.enabled) throw new Error('Google Ads niet geconfigureerd');
+
+        if (this.simulationMode) {
+            logger.info(
+                `🧪 GESTIMULEERD: Google Ads campagne bijgewerkt — ${campaign.campaignName}` +
+                `${budget ? ` (€${budget}/dag)` : ''}${radiusKm ? ` (${radiusKm}km)` : ''}${copy ? ' (nieuwe teksten)' : ''}` +
+                `${endTime ? ` (tot ${this._formatDate(new Date(endTime))})` : ''}`
+            );
+            return { ...(budget && { budget }), ...(radiusKm && { radiusKm }) };
+        }
+
+        // Stappen worden na elkaar doorgevoerd; mislukt er een, dan staat in err.updated
+        // wat al wel live is (bijv. het nieuwe budget)
+        const updated = {};
+        try {
+            if (budget) {
+                await this.customer.campaignBudgets.update([
+                    { resource_name: campaign.budgetResourceName, amount_micros: budget * 1_000_000 },
+                ]);
+                updated.budget = budget;
+                logger.info(`Google Ads: Budget bijgewerkt — €${budget}/dag (${campaign.campaignName})`);
+            }
+
+            if (radiusKm) {
+                // Een proximity-criterium is niet aan te passen: oude verwijderen, nieuwe aanmaken
+                const existing = campaign.proximityResourceName
+                    ? [campaign.proximityResourceName]
+                    : await this._findProximities(campaign.campaignResourceName);
+                if (existing.length > 0) {
+                    await this.customer.campaignCriteria.remove(existing);
+                    // Niet meer verwijzen naar het verwijderde criterium, ook als het aanmaken mislukt
+                    updated.proximityResourceName = null;
+                }
+                updated.proximityResourceName = await this._createProximity(campaign.campaignResourceName, outage, radiusKm);
+                updated.radiusKm = radiusKm;
+            }
+
+            if (copy && campaign.adResourceName) {
+                await this.customer.ads.update([
+                    {
+                        resource_name: campaign.adResourceName,
+                        responsive_search_ad: {
+                            headlines: copy.headlines.map((text) => ({ text })),
+                            descriptions: copy.descriptions.map((text) => ({ text })),
+                        },
+                    },
+                ]);
+                logger.info(`Google Ads: Advertentieteksten bijgewerkt (${campaign.campaignName})`);
+            } else if (copy) {
+                logger.warn(`Google Ads: geen advertentie bekend voor ${campaign.campaignName} — teksten niet bijgewerkt`);
+            }
+
+            if (endTime) {
+                const endDate = this._formatDate(new Date(endTime));
+                await this.customer.campaigns.update([
+                    { resource_name: campaign.campaignResourceName, end_date: endDate },
+                ]);
+                logger.info(`Google Ads: Einddatum bijgewerkt — ${endDate} (${campaign.campaignName})`);
+            }
+        } catch (err) {
+            err.updated = updated;
+            throw err;
+        }
+
+        return updated;
+    }
+
+    /**
+     * Maak het proximity-criterium rond de storing aan.
+     * @returns {Promise<string|null>} resource name, of null zonder coördinaten
+     */
+    async _createProximity(campaignResourceName, outage, radiusKm) {
+        const city = getCityFromOutage(outage);
+        const center = getOutageCenter(outage);
+        if (!center) {
+            logger.warn(`Google Ads: geen coördinaten voor storing in ${city} — campagne zonder proximity-targeting`);
+            return null;
+        }
+
+        const result = await this.customer.campaignCriteria.create([
+            {
+                campaign: campaignResourceName,
+                proximity: {
+                    geo_point: {
+                        latitude_in_micro_degrees: Math.round(center.lat * 1_000_000),
+                        longitude_in_micro_degrees: Math.round(center.lng * 1_000_000),
+                    },
+                    radius: radiusKm,
+                    radius_units: 'KILOMETERS',
+                    address: {
+                        city_name: city,
+                        province_name: getProvinceFromOutage(outage) || '',
+                        country_code: 'NL',
+                    },
+                },
+            },
+        ]);
+        logger.info(`Google Ads: Geo-targeting ingesteld — ${radiusKm}km rond ${city} (${center.lat}, ${center.lng})`);
+        return result.results[0].resource_name;
+    }
+
+    /**
+     * Proximity-criteria van een campagne (voor campagnes van vóór proximityResourceName).
+     * @returns {Promise<string[]>}
+     */
+    async _findProximities(campaignResourceName) {
+        const rows = await this.customer.query(`
+            SELECT campaign_criterion.resource_name
+            FROM campaign_criterion
+            WHERE campaign.resource_name = '${campaignResourceName}'
+              AND campaign_criterion.type = 'PROXIMITY'
+        `);
+        return rows.map((row) => row.campaign_criterion.resource_name);
+    }
+
     /**
      * Pauzeer een Google Ads campagne.
      */
@@ -299,6 +394,45 @@ class GoogleAdsService {
         }
     }
 
+    /**
+     * Advertentieteksten voor de Responsive Search Ad van een storing.
+     * Google staat koppen tot 30 en beschrijvingen tot 90 tekens toe.
+     * Met een bekend aantal huishoudens komt daar een kop voor bij, zodat
+     * escalatie het nieuwe aantal in de advertentie zet.
+     * @param {object} outage – verrijkte storingsdata
+     * @returns {{ headlines: string[], descriptions: string[] }}
+     */
+    buildAdCopy(outage) {
+        const city = getCityFromOutage(outage);
+        const households = outage.impact?.households || 0;
+        const householdHeadline = `${households.toLocaleString('nl-NL')} Huishoudens Getroffen`;
+        return {
+            headlines: [
+                'Stroomstoring? Nooit Meer!',
+                'Thuisbatterij Vanaf €3.999',
+                'Gratis Adviesgesprek',
+                outage.kind === 'planned'
+                    ? `Onderbreking in ${city.substring(0, 18)}`
+                    : `Stroomstoring in ${city.substring(0, 20)}`,
+                ...(households > 0 && householdHeadline.length <= 30 ? [householdHeadline] : []),
+                'Bescherm Je Gezin',
+                '10 Jaar Garantie',
+                'Directe Noodstroom',
+                'Offgridcentrum.nl',
+                'Werkt Met Zonnepanelen',
+                'Binnen 2 Weken Geïnstalleerd',
+                'Professioneel Advies',
+                'Nooit Meer Zonder Stroom',
+            ],
+            descriptions: [
+                'Bescherm je gezin tegen stroomstoringen met een thuisbatterij van Offgridcentrum. Vraag gratis advies aan!',
+                'Automatische overschakeling bij stroomuitval. Werkt met zonnepanelen. 10 jaar garantie. Bestel nu!',
+                'Stroomstoringen worden steeds vaker. Investeer in een thuisbatterij en wees voorbereid. Offgridcentrum helpt.',
+                'Van stroomstoring naar energieonafhankelijkheid. Onze thuisbatterijen bieden zekerheid wanneer het net uitvalt.',
+            ],
+        };
+    }
+
     /**
      * Genereer keywords voor een storing in een bepaalde stad/provincie.
      */
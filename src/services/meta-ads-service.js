@@ -1,5 +1,7 @@
 import logger from '../utils/logger.js';
-import { getCityFromOutage, getProvinceFromOutage } from '../utils/postcode-utils.js';
+import { getCityFromOutage, getProvinceFromOutage, parsePostcodes } from '../utils/postcode-utils.js';
+import { getOutageCenter, getTargetRadiusKm } from '../utils/geometry.js';
+import { getCampaignEndTime } from '../utils/campaign-duration.js';
 
 /**
  * MetaAdsService — Automatische Meta/Facebook Ads campagne-aanmaak bij stroomstoringen.
@@ -66,7 +68,8 @@ class MetaAdsService {
     /**
      * Maak een volledige Meta Ads campagne aan voor een storing.
      * @param {object} outage – verrijkte storingsdata
-     * @param {object} [options] – optionele overrides (budget, radius, duration)
+     * @param {object} [options] – optionele overrides (budget, radius, duration, copy uit buildAdCopy)
+     *   en endTime (ISO; standaard via utils/campaign-duration.js)
      * @returns {object|null} Campagnedata of null bij fout
      */
     async createCampaign(outage, options = {}) {
@@ -81,10 +84,12 @@ class MetaAdsService {
 
         const city = getCityFromOutage(outage);
         const budget = options.customBudget || outage._severity.metaBudget;
-        const radiusKm = options.customRadius || outage._severity.radiusKm;
-        const durationHours = options.customDuration || parseInt(process.env.CAMPAIGN_DURATION_HOURS || '72', 10);
+        const radiusKm = options.customRadius || getTargetRadiusKm(outage, outage._severity.radiusKm);
+        const endTime = new Date(options.endTime || getCampaignEndTime(outage, { customDuration: options.customDuration }).endTime);
+        const copy = options.copy || this.buildAdCopy(outage);
 
-        const campaignName = `[Storing] ${city} - ${new Date().toISOString().split('T')[0]}`;
+        const isPlanned = outage.kind === 'planned';
+        const campaignName = `[${isPlanned ? 'Gepland' : 'Storing'}] ${city} - ${new Date().toISOString().split('T')[0]}`;
 
         try {
             // 1. Maak Campaign aan
@@ -99,34 +104,7 @@ class MetaAdsService {
             logger.info(`Meta Ads: Campaign aangemaakt — ${campaignName} (ID: ${campaignId})`);
 
             // 2. Maak Ad Set aan met targeting
-            const coords = outage.location?.features?.geometry?.coordinates || [0, 0];
-            const endTime = new Date(Date.now() + durationHours * 60 * 60 * 1000);
-
-            const targeting = {
-                geo_locations: {
-                    custom_locations: [
-                        {
-                            latitude: coords[0],
-                            longitude: coords[1],
-                            radius: radiusKm,
-                            distance_unit: 'kilometer',
-                        },
-                    ],
-                },
-                age_min: 25,
-                age_max: 65,
-                locales: [25], // Nederlands
-                interests: [
-                    { id: '6003384285438', name: 'Solar energy' },
-                    { id: '6003397425735', name: 'Home improvement' },
-                    { id: '6003349442805', name: 'Renewable energy' },
-                    { id: '6003507258557', name: 'Sustainability' },
-                    { id: '6003233490265', name: 'Environmentalism' },
-                ],
-                publisher_platforms: ['facebook', 'instagram'],
-                facebook_positions: ['feed'],
-                instagram_positions: ['stream', 'story'],
-            };
+            const targeting = this._buildTargeting(outage, radiusKm);
 
             const adSet = await this.adAccount.createAdSet([], {
                 name: `AdSet - Stroomstoring ${city}`,
@@ -145,26 +123,7 @@ class MetaAdsService {
             logger.info(`Meta Ads: Ad Set aangemaakt — radius ${radiusKm}km rond ${city} (€${budget}/dag)`);
 
             // 3. Maak Ad Creative
-            const adCreative = await this.adAccount.createAdCreative([], {
-                name: `Creative - Stroomstoring ${city}`,
-                object_story_spec: {
-                    page_id: this.pageId,
-                    link_data: {
-                        link: this.landingPageUrl,
-                        message: this._generateAdBody(city, outage),
-                        name: `🔋 Stroomstoring in ${city}? Nooit meer!`,
-                        description:
-                            'Bescherm je huis tegen stroomstoringen met een thuisbatterij van Offgridcentrum.',
-                        call_to_action: {
-                            type: 'LEARN_MORE',
-                            value: { link: this.landingPageUrl },
-                        },
-                    },
-                },
-            });
-
-            const creativeId = adCreative.id;
-            logger.info(`Meta Ads: Ad Creative aangemaakt`);
+            const creativeId = await this._createCreative(city, copy);
 
             // 4. Maak Ad aan
             const ad = await this.adAccount.createAd([], {
@@ -204,11 +163,12 @@ class MetaAdsService {
     async _createSimulatedCampaign(outage, options = {}) {
         const city = getCityFromOutage(outage);
         const budget = options.customBudget || outage._severity.metaBudget;
-        const radiusKm = options.customRadius || outage._severity.radiusKm;
+        const radiusKm = options.customRadius || getTargetRadiusKm(outage, outage._severity.radiusKm);
+        const geoLocations = this._buildGeoLocations(outage, radiusKm);
         const campaignId = `META_SIM_${Math.floor(Math.random() * 1000000)}`;
-        const campaignName = `[SIMULATIE] Storing ${city} - ${new Date().toISOString().split('T')[0]}`;
+        const campaignName = `[SIMULATIE] ${outage.kind === 'planned' ? 'Gepland' : 'Storing'} ${city} - ${new Date().toISOString().split('T')[0]}`;
 
-        logger.info(`🧪 GESTIMULEERD: Meta Ads campaign — ${campaignName} (€${budget}, ${radiusKm}km)`);
+        logger.info(`🧪 GESTIMULEERD: Meta Ads campaign — ${campaignName} (€${budget}, ${radiusKm}km, ${JSON.stringify(geoLocations)})`);
 
         return {
             campaignId,
@@ -224,6 +184,113 @@ class MetaAdsService {
         };
     }
 
+    /**
+     * Pas een lopende campagne aan (escalatie of nieuwe verwachte eindtijd): dagbudget,
+     * locatie en eindtijd van de ad set, en de advertentieteksten. Alleen meegegeven
+     * onderdelen worden gewijzigd.
+     * @param {object} campaign – geregistreerde campagnedata (uit createCampaign)
+     * @param {object} outage – verrijkte storing of incident (voor locatie en teksten)
+     * @param {object} changes
+     * @param {number} [changes.budget] – nieuw dagbudget in €
+     * @param {number} [changes.radiusKm] – nieuwe radius
+     * @param {object} [changes.copy] – nieuwe teksten (zie buildAdCopy)
+     * @param {string} [changes.endTime] – nieuwe eindtijd (ISO)
+     * @returns {Promise<object>} bijgewerkte velden voor de campagnedata
+     * @throws {Error} als het platform een wijziging weigert; err.updated bevat de velden die al zijn doorgevoerd
+     */
+    async updateCampaign(campaign, outage, { budget, radiusKm, copy, endTime } = {}) {
+        if (!this.enabled) throw new Error('Meta Ads niet geconfigureerd');
+
+        if (this.simulationMode) {
+            logger.info(
+                `🧪 GESTIMULEERD: Meta Ads campagne bijgewerkt — ${campaign.campaignName}` +
+                `${budget ? ` (€${budget}/dag)` : ''}${radiusKm ? ` (${radiusKm}km)` : ''}${copy ? ' (nieuwe creative)' : ''}` +
+                `${endTime ? ` (tot ${endTime})` : ''}`
+            );
+            return {
+                ...(budget && { budget }),
+                ...(radiusKm && { radiusKm }),
+                ...(copy && { creativeId: `CRT_${campaign.campaignId}_${Date.now()}` }),
+            };
+        }
+
+        // Ad set en creative worden na elkaar bijgewerkt; mislukt de creative, dan staat
+        // in err.updated wat al wel live is (bijv. het nieuwe budget)
+        const updated = {};
+        try {
+            const adSetChanges = {};
+            if (budget) adSetChanges.daily_budget = Math.round(budget * 100);
+            // De targeting gaat in zijn geheel mee; alleen de locatie verandert
+            if (radiusKm) adSetChanges.targeting = this._buildTargeting(outage, radiusKm);
+            if (endTime) adSetChanges.end_time = new Date(endTime).toISOString();
+            if (Object.keys(adSetChanges).length > 0) {
+                await new this.AdSet(campaign.adSetId).update([], adSetChanges);
+                Object.assign(updated, budget && { budget }, radiusKm && { radiusKm });
+                logger.info(`Meta Ads: Ad Set bijgewerkt — ${campaign.campaignName}${budget ? ` €${budget}/dag` : ''}${radiusKm ? ` ${radiusKm}km` : ''}${endTime ? ` tot ${adSetChanges.end_time}` : ''}`);
+            }
+
+            // Een creative is niet aan te passen: nieuwe maken en de advertentie erop zetten
+            if (copy) {
+                const creativeId = await this._createCreative(getCityFromOutage(outage), copy);
+                await new this.Ad(campaign.adId).update([], { creative: { creative_id: creativeId } });
+                updated.creativeId = creativeId;
+                logger.info(`Meta Ads: Advertentie omgezet naar nieuwe creative (${campaign.campaignName})`);
+            }
+        } catch (err) {
+            err.updated = updated;
+            throw err;
+        }
+
+        return updated;
+    }
+
+    /**
+     * Targeting van een ad set: locatie rond de storing plus de vaste doelgroep.
+     */
+    _buildTargeting(outage, radiusKm) {
+        return {
+            geo_locations: this._buildGeoLocations(outage, radiusKm),
+            age_min: 25,
+            age_max: 65,
+            locales: [25], // Nederlands
+            interests: [
+                { id: '6003384285438', name: 'Solar energy' },
+                { id: '6003397425735', name: 'Home improvement' },
+                { id: '6003349442805', name: 'Renewable energy' },
+                { id: '6003507258557', name: 'Sustainability' },
+                { id: '6003233490265', name: 'Environmentalism' },
+            ],
+            publisher_platforms: ['facebook', 'instagram'],
+            facebook_positions: ['feed'],
+            instagram_positions: ['stream', 'story'],
+        };
+    }
+
+    /**
+     * Maak een Ad Creative met de gegeven teksten.
+     * @returns {Promise<string>} creative-id
+     */
+    async _createCreative(city, copy) {
+        const adCreative = await this.adAccount.createAdCreative([], {
+            name: `Creative - Stroomstoring ${city}`,
+            object_story_spec: {
+                page_id: this.pageId,
+                link_data: {
+                    link: this.landingPageUrl,
+                    message: copy.message,
+                    name: copy.title,
+                    description: copy.description,
+                    call_to_action: {
+                        type: 'LEARN_MORE',
+                        value: { link: this.landingPageUrl },
+                    },
+                },
+            },
+        });
+        logger.info(`Meta Ads: Ad Creative aangemaakt`);
+        return adCreative.id;
+    }
+
     /**
      * Pauzeer een Meta Ads campagne.
      */
@@ -248,16 +315,78 @@ class MetaAdsService {
         }
     }
 
+    /**
+     * Geo-targeting voor een ad set: een radius rond het middelpunt van de storing,
+     * of de getroffen PC4-gebieden als er geen coördinaten zijn.
+     */
+    _buildGeoLocations(outage, radiusKm) {
+        const center = getOutageCenter(outage);
+        if (center) {
+            return {
+                custom_locations: [
+                    {
+                        latitude: center.lat,
+                        longitude: center.lng,
+                        radius: radiusKm,
+                        distance_unit: 'kilometer',
+                    },
+                ],
+            };
+        }
+
+        const pc4s = [...new Set(
+            parsePostcodes(outage.location?.features?.properties?.postalCode).map((pc) => pc.substring(0, 4))
+        )];
+        if (pc4s.length === 0) {
+            throw new Error(`Geen coördinaten of postcodes voor storing ${outage.id} — kan niet targeten`);
+        }
+        logger.warn(`Meta Ads: geen coördinaten voor storing ${outage.id}, target op postcodes ${pc4s.join(', ')}`);
+        return { zips: pc4s.map((pc4) => ({ key: `NL:${pc4}` })) };
+    }
+
+    /**
+     * Teksten van de advertentie voor een storing.
+     * @param {object} outage – verrijkte storingsdata
+     * @returns {{ title: string, message: string, description: string }}
+     */
+    buildAdCopy(outage) {
+        const city = getCityFromOutage(outage);
+        return {
+            title: outage.kind === 'planned'
+                ? `🔋 Stroom eraf in ${city}? Blijf gewoon aan!`
+                : `🔋 Stroomstoring in ${city}? Nooit meer!`,
+            message: this._generateAdBody(city, outage),
+            description: 'Bescherm je huis tegen stroomstoringen met een thuisbatterij van Offgridcentrum.',
+        };
+    }
+
     /**
      * Genereer de advertentietekst voor een storing.
      */
     _generateAdBody(city, outage) {
         const households = outage.impact?.households || 0;
-        const householdText = households > 0 ? `${households.toLocaleString('nl-NL')} huishoudens getroffen. ` : '';
+        // Bandbreedtes en tabelschattingen zijn geen exacte aantallen
+        const isExact = outage.impact?.estimateMethod === 'source-count';
+        const householdText = households > 0
+            ? `${isExact ? '' : 'Naar schatting '}${households.toLocaleString('nl-NL')} huishoudens getroffen. `
+            : '';
+
+        let intro = `⚡ Weer een stroomstoring in ${city}! ${householdText}` +
+            `Stroomstoringen worden steeds vaker in Nederland.`;
+        // Gepland onderhoud: aankondigen vóór het werk begint
+        if (outage.kind === 'planned') {
+            const begin = new Date(outage.period?.begin);
+            const when = Number.isNaN(begin.getTime())
+                ? 'binnenkort'
+                : `op ${begin.toLocaleString('nl-NL', {
+                    timeZone: 'Europe/Amsterdam', weekday: 'long', day: 'numeric', month: 'long', hour: '2-digit', minute: '2-digit',
+                })}`;
+            intro = `🔧 Gepland onderhoud in ${city}: de stroom gaat ${when} tijdelijk uit. ${householdText}` +
+                `Met een thuisbatterij merk je er niets van.`;
+        }
 
         return (
-            `⚡ Weer een stroomstoring in ${city}! ${householdText}` +
-            `Stroomstoringen worden steeds vaker in Nederland.\n\n` +
+            `${intro}\n\n` +
             `Bescherm je huis met een thuisbatterij van Offgridcentrum:\n` +
             `✅ Automatische overschakeling bij stroomuitval\n` +
             `✅ Werkt perfect met zonnepanelen\n` +
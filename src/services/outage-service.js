@@ -1,62 +1,88 @@
+import { EventEmitter } from 'events';
 import logger from '../utils/logger.js';
 import { getCityFromOutage, getProvinceFromOutage } from '../utils/postcode-utils.js';
 import { save, load } from '../utils/persistence.js';
+import { isSameDisruption } from '../utils/outage-identity.js';
+import { formatHouseholds } from '../utils/impact-estimator.js';
+import { classifyCause, isCauseEligible } from '../utils/cause-classifier.js';
+import { diffOutages } from '../utils/outage-diff.js';
+import { evaluateSeverity } from '../utils/severity-rules.js';
+import { clusterOutages, buildIncidentOutage } from '../utils/incident-clustering.js';
+import { getCampaignEndTime } from '../utils/campaign-duration.js';
 
 /**
  * OutageService — Storingsdetectie, classificatie en state management
  *
  * Houdt de staat van alle bekende storingen bij, detecteert nieuwe/opgeloste
  * storingen en bepaalt de campagne-parameters (budget, radius) op basis van ernst.
+ *
+ * Levenscyclus (_lifecycle), om flapperen door onvolledige polls te voorkomen:
+ *   pending            → gezien, maar nog geen OUTAGE_CONFIRM_POLLS keer (nog niet actief)
+ *   active             → bevestigde storing
+ *   suspected_resolved → ontbreekt in de laatste poll(s); na RESOLVE_CONFIRM_POLLS
+ *                        gemiste polls opgelost, bij terugkeer weer active
+ * Een storing die de bron expliciet als beëindigd meldt (in de actieve feed of in
+ * de opgeloste storingen, zie ScraperService.fetchResolvedOutages), is direct opgelost
+ * met de eindtijd van de netbeheerder als _resolvedAt en _resolutionSource 'dso'.
+ * Een storing die alleen lang genoeg ontbreekt krijgt _resolutionSource 'missing'.
+ *
+ * Wijzigingen aan een actieve storing worden vergeleken met de vorige versie
+ * (utils/outage-diff.js). Elk gevonden verschil wordt als getypeerd event
+ * uitgezonden (bijv. 'outage_expanded', 'eta_changed', 'severity_changed'),
+ * met { outage, previous, event }; 'outage_changed' volgt één keer per storing
+ * met alle events. Zo kan andere logica erop reageren zonder processOutages te kennen.
+ *
+ * Na processOutages groepeert updateIncidents naburige storingen tot incidenten
+ * (utils/incident-clustering.js). Campagnes horen bij een incident: het id van een
+ * incident is het id van de storing waarmee het begon en blijft stabiel zolang er
+ * fragmenten overlappen met het vorige incident.
  */
 
-// Severity classificatie
-const SEVERITY = {
-    MINOR: 'minor',     // < 1.000 huishoudens
-    MAJOR: 'major',     // 1.000 - 3.000 huishoudens
-    CRITICAL: 'critical', // > 3.000 huishoudens
+export const LIFECYCLE = {
+    PENDING: 'pending',
+    ACTIVE: 'active',
+    SUSPECTED_RESOLVED: 'suspected_resolved',
 };
 
-// Budget en radius per severity
-const SEVERITY_CONFIG = {
-    [SEVERITY.MINOR]: {
-        googleBudget: 15,  // €/dag
-        metaBudget: 12,    // €/dag
-        radiusKm: 5,
-        label: 'Klein',
-    },
-    [SEVERITY.MAJOR]: {
-        googleBudget: 35,
-        metaBudget: 30,
-        radiusKm: 10,
-        label: 'Groot',
-    },
-    [SEVERITY.CRITICAL]: {
-        googleBudget: 60,
-        metaBudget: 50,
-        radiusKm: 15,
-        label: 'Kritiek',
-    },
-};
+// Statussen waarmee een bron een storing als beëindigd meldt
+const RESOLVED_STATUSES = ['opgelost', 'resolved', 'closed', 'afgehandeld', 'beëindigd'];
+
+class OutageService extends EventEmitter {
+    /**
+     * @param {object} [options]
+     * @param {import('./budget-service.js').default} [options.budgetService] – grootboek dat campagnes volgt
+     */
+    constructor({ budgetService = null } = {}) {
+        super();
+
+        this.budgetService = budgetService;
 
-class OutageService {
-    constructor() {
         // State: Map<outageId, outageRecord>
         this.activeOutages = new Map();
+        // Nog niet bevestigde storingen: Map<outageId, outageRecord>
+        this.pendingOutages = new Map();
         // Opgeloste storingen (bewaar voor 24 uur voor dashboard)
         this.resolvedOutages = new Map();
-        // Campagne-koppelingen: Map<outageId, { google: {}, meta: {} }>
+        // Campagne-koppelingen: Map<incidentId, { google: {}, meta: {} }> (los storing: incidentId = outageId)
         this.campaigns = new Map();
+        // Incidenten: Map<incidentId, samengestelde storing met _incident: { outageIds, createdAt }>
+        this.incidents = new Map();
         // Event log (max 200 entries)
         this.eventLog = [];
 
-        this.campaignDurationHours = parseInt(process.env.CAMPAIGN_DURATION_HOURS || '72', 10);
         this.maxDailyBudgetGoogle = parseFloat(process.env.MAX_DAILY_BUDGET_GOOGLE || '150');
         this.maxDailyBudgetMeta = parseFloat(process.env.MAX_DAILY_BUDGET_META || '150');
-        this.totalMaxDailyBudgetGoogle = parseFloat(process.env.TOTAL_MAX_DAILY_BUDGET_GOOGLE || '500');
-        this.totalMaxDailyBudgetMeta = parseFloat(process.env.TOTAL_MAX_DAILY_BUDGET_META || '500');
+
+        // Bevestigingsvensters (in polls)
+        this.confirmPolls = Math.max(1, parseInt(process.env.OUTAGE_CONFIRM_POLLS || '2', 10));
+        this.resolveConfirmPolls = Math.max(1, parseInt(process.env.RESOLVE_CONFIRM_POLLS || '3', 10));
 
         // Laad opgeslagen state
         this._loadState();
+        // Oudere state zonder incidenten: direct groeperen, zodat campagnes vóór de eerste poll werken
+        if (this.incidents.size === 0 && this.activeOutages.size > 0) {
+            this.updateIncidents();
+        }
 
         logger.info('OutageService geïnitialiseerd');
     }
@@ -83,19 +109,29 @@ class OutageService {
      */
     _loadState() {
         const savedActive = load('active_outages', []);
+        const savedPending = load('pending_outages', []);
         const savedResolved = load('resolved_outages', []);
         const savedCampaigns = load('campaigns', []);
         this.eventLog = load('event_log', []);
 
         for (const o of savedActive) {
+            // Oudere state kent geen _sourceIds: het opgeslagen id is dan het bron-id
+            if (!o._sourceIds) o._sourceIds = [o.id];
+            if (!o._lifecycle) o._lifecycle = LIFECYCLE.ACTIVE;
             this.activeOutages.set(o.id, o);
         }
+        for (const o of savedPending) {
+            this.pendingOutages.set(o.id, o);
+        }
         for (const o of savedResolved) {
             this.resolvedOutages.set(o.id, o);
         }
         for (const c of savedCampaigns) {
             this.campaigns.set(c.outageId, c.platforms);
         }
+        for (const incident of load('incidents', [])) {
+            this.incidents.set(incident.id, incident);
+        }
 
         if (savedActive.length > 0 || savedCampaigns.length > 0 || this.eventLog.length > 0) {
             logger.info(`State geladen: ${savedActive.length} actieve storingen, ${savedCampaigns.length} campagnes, ${this.eventLog.length} logs`);
@@ -107,8 +143,10 @@ class OutageService {
      */
     _saveState() {
         save('active_outages', Array.from(this.activeOutages.values()));
+        save('pending_outages', Array.from(this.pendingOutages.values()));
         save('resolved_outages', Array.from(this.resolvedOutages.values()));
         save('event_log', this.eventLog);
+        save('incidents', Array.from(this.incidents.values()));
 
         const campaignData = [];
         for (const [outageId, platforms] of this.campaigns) {
@@ -120,54 +158,147 @@ class OutageService {
     /**
      * Verwerk nieuwe storingsdata van de scraper.
      * @param {object[]} freshOutages – genormaliseerde storingen
-     * @returns {{ newOutages: object[], resolvedOutages: object[], updatedOutages: object[] }}
+     * @param {object[]|null} [reportedResolved] – recent opgeloste storingen volgens de bron (null = onbekend)
+     * @param {object} [options]
+     * @param {boolean} [options.complete] – false bij een onvolledige lijst (paginabudget bereikt):
+     *   ontbrekende storingen tellen dan niet als gemist
+     * @returns {{ newOutages: object[], resolvedOutages: object[], updatedOutages: object[],
+     *             suspectedOutages: object[], reappearedOutages: object[],
+     *             changes: { outage: object, events: object[] }[] }}
      */
-    processOutages(freshOutages) {
-        const freshIds = new Set(freshOutages.map((o) => o.id));
+    processOutages(freshOutages, reportedResolved = null, { complete = true } = {}) {
+        freshOutages = this._resolveIdentities(freshOutages);
         const newOutages = [];
         const updatedOutages = [];
         const resolvedOutagesList = [];
+        const suspectedOutages = [];
+        const reappearedOutages = [];
+        const changes = [];
+        const now = new Date().toISOString();
+
+        // 0. Door de bron bevestigde oplossingen gaan voor alles
+        const confirmedResolved = this._matchReportedResolved(reportedResolved || []);
+        for (const [id, report] of confirmedResolved) {
+            const pending = this.pendingOutages.get(id);
+            if (pending) {
+                this.pendingOutages.delete(id);
+                continue;
+            }
+            const outage = this.activeOutages.get(id);
+            const updated = { ...outage, period: { ...outage.period, end: report.period?.end || outage.period?.end || '' } };
+            this._resolve(updated, 'dso', this._endTimeOf(report) || now);
+            resolvedOutagesList.push(updated);
+        }
+        freshOutages = freshOutages.filter((o) => !confirmedResolved.has(o.id));
+        const freshIds = new Set(freshOutages.map((o) => o.id));
 
         // 1. Detecteer NIEUWE en BIJGEWERKTE storingen
         for (const outage of freshOutages) {
             const existing = this.activeOutages.get(outage.id);
 
             if (!existing) {
+                // Expliciet beëindigd voordat we hem bevestigd hadden: niet meer relevant
+                if (this._isReportedResolved(outage)) {
+                    this.pendingOutages.delete(outage.id);
+                    continue;
+                }
+
+                const pending = this.pendingOutages.get(outage.id);
+                const seenPolls = (pending?._seenPolls || 0) + 1;
+                if (seenPolls < this.confirmPolls) {
+                    this.pendingOutages.set(outage.id, {
+                        ...outage,
+                        _lifecycle: LIFECYCLE.PENDING,
+                        _seenPolls: seenPolls,
+                        _missedPolls: 0,
+                        _firstSeen: pending?._firstSeen || outage._firstSeen,
+                    });
+                    logger.debug(`Storing ${outage.id} nog niet bevestigd (${seenPolls}/${this.confirmPolls} polls)`);
+                    continue;
+                }
+
                 // Nieuwe storing!
-                const enriched = this._enrichOutage(outage);
+                this.pendingOutages.delete(outage.id);
+                const enriched = this._enrichOutage({
+                    ...outage,
+                    _firstSeen: pending?._firstSeen || outage._firstSeen,
+                    _confirmedAt: now,
+                    _lifecycle: LIFECYCLE.ACTIVE,
+                    _missedPolls: 0,
+                });
                 this.activeOutages.set(outage.id, enriched);
+                // Een eerder opgeloste storing die terugkomt is weer actief
+                this.resolvedOutages.delete(outage.id);
                 newOutages.push(enriched);
                 logger.info(
                     `🆕 Nieuwe storing: ${enriched.id} in ${getCityFromOutage(enriched)} ` +
-                    `(${enriched._severity.label}, ${enriched.impact.households} huishoudens)`
+                    `(${enriched._severity.label}, ${formatHouseholds(enriched.impact) || 0} huishoudens via ${enriched.impact.estimateMethod})`
                 );
             } else {
-                // Bestaande storing — update
-                const updated = {
+                // Bestaande storing — opnieuw verrijken (stad, postcodes en oorzaak kunnen wijzigen)
+                const updated = this._enrichOutage({
                     ...existing,
                     ...outage,
                     _firstSeen: existing._firstSeen,
-                    _severity: this._classifySeverity(outage),
-                    _lastUpdated: new Date().toISOString(),
-                };
+                    _lifecycle: LIFECYCLE.ACTIVE,
+                    _missedPolls: 0,
+                    _suspectedSince: null,
+                    _lastUpdated: now,
+                });
+                // Campagne-einde alleen opnieuw berekenen als de verwachte eindtijd verandert
+                if ((existing.period?.expectedEnd || '') === (updated.period?.expectedEnd || '')) {
+                    updated._campaignEndTime = existing._campaignEndTime;
+                }
                 this.activeOutages.set(outage.id, updated);
 
-                // Check of status is gewijzigd
-                if (existing.status !== outage.status) {
+                if (existing._lifecycle === LIFECYCLE.SUSPECTED_RESOLVED) {
+                    reappearedOutages.push(updated);
+                    logger.info(`↩️  Storing ${outage.id} is weer zichtbaar — toch niet opgelost`);
+                }
+
+                if (this._isReportedResolved(outage)) {
+                    this._resolve(updated, 'dso', this._endTimeOf(outage) || now);
+                    resolvedOutagesList.push(updated);
+                    continue;
+                }
+
+                // Wat is er inhoudelijk veranderd?
+                const events = diffOutages(existing, updated);
+                if (events.length > 0) {
                     updatedOutages.push(updated);
-                    logger.info(`🔄 Storing bijgewerkt: ${outage.id} — status: ${existing.status} → ${outage.status}`);
+                    changes.push({ outage: updated, previous: existing, events });
+                    logger.info(`🔄 Storing bijgewerkt: ${outage.id} — ${events.map((e) => e.type).join(', ')}`);
                 }
             }
         }
 
-        // 2. Detecteer OPGELOSTE storingen (in onze state maar niet meer in verse data)
+        // 2. Detecteer OPGELOSTE storingen (in onze state maar niet meer in verse data).
+        // Bij een onvolledige lijst zegt ontbreken niets: overslaan
         for (const [id, outage] of this.activeOutages) {
-            if (!freshIds.has(id)) {
-                outage._resolvedAt = new Date().toISOString();
-                this.resolvedOutages.set(id, outage);
-                this.activeOutages.delete(id);
+            if (freshIds.has(id) || !complete) continue;
+
+            outage._missedPolls = (outage._missedPolls || 0) + 1;
+            if (outage._missedPolls >= this.resolveConfirmPolls) {
+                this._resolve(outage, 'missing', now);
                 resolvedOutagesList.push(outage);
-                logger.info(`✅ Storing opgelost: ${id} in ${getCityFromOutage(outage)}`);
+            } else if (outage._lifecycle !== LIFECYCLE.SUSPECTED_RESOLVED) {
+                outage._lifecycle = LIFECYCLE.SUSPECTED_RESOLVED;
+                outage._suspectedSince = now;
+                suspectedOutages.push(outage);
+                logger.info(
+                    `❔ Storing mogelijk opgelost: ${id} in ${getCityFromOutage(outage)} ` +
+                    `(${outage._missedPolls}/${this.resolveConfirmPolls} polls gemist)`
+                );
+            }
+        }
+
+        // Onbevestigde storingen die wegvallen worden vergeten
+        for (const [id, outage] of this.pendingOutages) {
+            if (freshIds.has(id) || !complete) continue;
+            outage._missedPolls = (outage._missedPolls || 0) + 1;
+            if (outage._missedPolls >= this.resolveConfirmPolls) {
+                this.pendingOutages.delete(id);
+                logger.debug(`Onbevestigde storing ${id} vergeten`);
             }
         }
 
@@ -179,7 +310,224 @@ class OutageService {
             }
         }
 
-        return { newOutages, resolvedOutages: resolvedOutagesList, updatedOutages };
+        // Na het bijwerken van de state, zodat listeners een consistente state zien
+        for (const { outage, previous, events } of changes) {
+            for (const event of events) {
+                this.emit(event.type, { outage, previous, event });
+            }
+            this.emit('outage_changed', { outage, previous, events });
+        }
+
+        return {
+            newOutages,
+            resolvedOutages: resolvedOutagesList,
+            updatedOutages,
+            suspectedOutages,
+            reappearedOutages,
+            changes: changes.map(({ outage, events }) => ({ outage, events })),
+        };
+    }
+
+    // ──────────────────────────
+    //  Incidenten
+    // ──────────────────────────
+
+    /**
+     * Groepeer de actieve storingen opnieuw tot incidenten (na processOutages).
+     *
+     * Een nieuw gevormde groep neemt het id over van een vorig incident waarmee hij
+     * fragmenten deelt; bij meerdere kandidaten gaat een incident met actieve campagnes
+     * voor, daarna het oudste. Vorige incidenten die opgaan in een ander incident zijn
+     * "absorbed"; incidenten zonder actieve fragmenten meer zijn "ended".
+     * @returns {{ incidents: object[], merged: { incident: object, absorbed: string[] }[], ended: object[] }}
+     */
+    updateIncidents() {
+        const previous = this.incidents;
+        const previousByOutage = new Map();
+        for (const incident of previous.values()) {
+            for (const outageId of incident._incident.outageIds) previousByOutage.set(outageId, incident.id);
+        }
+
+        const hasActiveCampaign = (id) => {
+            const platforms = this.campaigns.get(id);
+            return Boolean(platforms && Object.values(platforms).some((c) => c?.status === 'active'));
+        };
+        const rank = (id) => [hasActiveCampaign(id) ? 0 : 1, previous.get(id)._incident.createdAt];
+
+        // Groepen met de meeste bekende fragmenten kiezen eerst een id; de groep met de
+        // oprichtende storing van een incident houdt dat id (belangrijk bij een splitsing)
+        const groups = clusterOutages(this.getActiveOutages())
+            .map((members) => ({
+                members,
+                candidates: [...new Set(members.map((o) => previousByOutage.get(o.id)).filter(Boolean))]
+                    .sort((a, b) => {
+                        const [ca, ta] = rank(a);
+                        const [cb, tb] = rank(b);
+                        return ca - cb || String(ta).localeCompare(String(tb));
+                    }),
+                known: members.filter((o) => previousByOutage.has(o.id)).length,
+            }))
+            .sort((a, b) => b.known - a.known);
+
+        const claimed = new Set();
+        for (const group of groups) {
+            const memberIds = new Set(group.members.map((o) => o.id));
+            group.id = group.candidates.find((candidate) => memberIds.has(candidate) && !claimed.has(candidate));
+            if (group.id) claimed.add(group.id);
+        }
+        for (const group of groups.filter((g) => !g.id)) {
+            group.id = group.candidates.find((candidate) => !claimed.has(candidate));
+            if (!group.id) {
+                const base = group.members[0].id;
+                group.id = base;
+                for (let n = 2; claimed.has(group.id) || previous.has(group.id); n++) group.id = `${base}-${n}`;
+            }
+            claimed.add(group.id);
+        }
+
+        const next = new Map();
+        const merged = [];
+        const now = new Date().toISOString();
+
+        for (const { id, members, candidates } of groups) {
+            const incident = this._enrichOutage(buildIncidentOutage(id, members));
+            incident._incident = {
+                outageIds: members.map((o) => o.id),
+                createdAt: previous.get(id)?._incident.createdAt || now,
+                updatedAt: now,
+            };
+            next.set(id, incident);
+            for (const outage of members) outage._incidentId = id;
+
+            if (candidates.length > 1) {
+                merged.push({ incident, absorbed: candidates.filter((c) => c !== id) });
+            }
+        }
+
+        // Opgegaan in een ander incident telt niet als beëindigd
+        const absorbed = new Set(merged.flatMap((m) => m.absorbed).filter((id) => !claimed.has(id)));
+        for (const m of merged) m.absorbed = m.absorbed.filter((id) => absorbed.has(id));
+        const ended = Array.from(previous.values()).filter((i) => !claimed.has(i.id) && !absorbed.has(i.id));
+
+        this.incidents = next;
+
+        for (const { incident, absorbed: ids } of merged.filter((m) => m.absorbed.length > 0)) {
+            logger.info(`🧩 Incident ${incident.id} samengevoegd met ${ids.join(', ')} (${incident._incident.outageIds.length} storingen)`);
+        }
+
+        return {
+            incidents: Array.from(next.values()),
+            merged: merged.filter((m) => m.absorbed.length > 0),
+            ended,
+        };
+    }
+
+    /**
+     * Incident op incident-id of op het id van een van zijn storingen.
+     * @param {string} id
+     * @returns {object|null} samengestelde storing
+     */
+    getIncident(id) {
+        if (this.incidents.has(id)) return this.incidents.get(id);
+        const incidentId = this.activeOutages.get(id)?._incidentId;
+        return (incidentId && this.incidents.get(incidentId)) || null;
+    }
+
+    /**
+     * Alle incidenten als array (voor dashboard).
+     */
+    getIncidents() {
+        return Array.from(this.incidents.values());
+    }
+
+    /**
+     * Meldt de bron zelf dat de storing voorbij is (eindtijd in het verleden of een eindstatus)?
+     */
+    _isReportedResolved(outage) {
+        const end = new Date(outage.period?.end || '').getTime();
+        if (!Number.isNaN(end) && end <= Date.now()) return true;
+        return RESOLVED_STATUSES.includes(String(outage.status || '').toLowerCase());
+    }
+
+    /**
+     * Koppel door de bron gemelde oplossingen aan bekende (actieve of onbevestigde) storingen.
+     * @param {object[]} reportedResolved – gededupliceerde opgeloste storingen
+     * @returns {Map<string, object>} id van de bekende storing → melding
+     */
+    _matchReportedResolved(reportedResolved) {
+        const matches = new Map();
+        const known = [...this.activeOutages.values(), ...this.pendingOutages.values()];
+
+        for (const report of reportedResolved) {
+            const existing = this.activeOutages.get(report.id)
+                || this.pendingOutages.get(report.id)
+                || known.find((o) => isSameDisruption(o, report));
+            if (existing && !matches.has(existing.id)) {
+                matches.set(existing.id, report);
+            }
+        }
+        return matches;
+    }
+
+    /**
+     * Eindtijd volgens de netbeheerder, als die geldig is en niet in de toekomst ligt.
+     * @returns {string|null} ISO timestamp
+     */
+    _endTimeOf(outage) {
+        const end = new Date(outage.period?.end || '');
+        if (Number.isNaN(end.getTime()) || end.getTime() > Date.now()) return null;
+        return end.toISOString();
+    }
+
+    /**
+     * Verplaats een actieve storing naar de opgeloste storingen.
+     * @param {object} outage
+     * @param {'dso'|'missing'} source – gemeld door de netbeheerder of te lang niet gezien
+     * @param {string} resolvedAt – ISO timestamp (bij 'dso' de eindtijd van de netbeheerder)
+     */
+    _resolve(outage, source, resolvedAt) {
+        outage._resolvedAt = resolvedAt;
+        outage._resolutionSource = source;
+        outage._lifecycle = null;
+        this.resolvedOutages.set(outage.id, outage);
+        this.activeOutages.delete(outage.id);
+        logger.info(
+            `✅ Storing opgelost: ${outage.id} in ${getCityFromOutage(outage)} ` +
+            `(${source === 'dso' ? `gemeld door netbeheerder, einde ${resolvedAt}` : `${outage._missedPolls} polls niet gezien`})`
+        );
+    }
+
+    /**
+     * Koppel verse storingen aan bekende actieve storingen, zodat het id stabiel
+     * blijft als de inhoud verandert (groei van het postcodegebied) of de bron wisselt.
+     * @param {object[]} freshOutages – gededupliceerde storingen met inhoudelijk id
+     * @returns {object[]} storingen met het id van de bekende storing waar van toepassing
+     */
+    _resolveIdentities(freshOutages) {
+        const claimed = new Map();
+
+        // Onbevestigde storingen tellen mee, zodat hun teller doorloopt
+        const known = [...this.activeOutages.values(), ...this.pendingOutages.values()];
+
+        for (const outage of freshOutages) {
+            let existing = this.activeOutages.get(outage.id) || this.pendingOutages.get(outage.id);
+            if (!existing) {
+                existing = known.find((o) => isSameDisruption(o, outage));
+            }
+            const id = existing ? existing.id : outage.id;
+            const sourceIds = [...new Set([...(existing?._sourceIds || []), ...(outage._sourceIds || [])])];
+            const resolved = { ...outage, id, _sourceIds: sourceIds };
+
+            // Twee verse records die op dezelfde bekende storing uitkomen: bewaar de eerste
+            if (claimed.has(id)) {
+                const first = claimed.get(id);
+                first._sourceIds = [...new Set([...first._sourceIds, ...sourceIds])];
+                continue;
+            }
+            claimed.set(id, resolved);
+        }
+
+        return Array.from(claimed.values());
     }
 
     /**
@@ -190,101 +538,98 @@ class OutageService {
     }
 
     /**
-     * Classificeer de ernst van een storing op basis van getroffen huishoudens.
+     * Classificeer de ernst van een storing met de ernstregels (utils/severity-rules.js).
+     * Budgetten worden begrensd op MAX_DAILY_BUDGET_GOOGLE/META.
      */
     _classifySeverity(outage) {
-        const households = outage.impact?.households || 0;
-        let severity;
-
-        // Aangepaste drempels voor betere nauwkeurigheid
-        if (households >= 3000) {
-            severity = SEVERITY.CRITICAL;
-        } else if (households >= 50) {
-            severity = SEVERITY.MAJOR;
-        } else {
-            severity = SEVERITY.MINOR; // < 50 huishoudens is nu Klein
-        }
+        const severity = evaluateSeverity(outage);
+        severity.googleBudget = Math.min(severity.googleBudget, this.maxDailyBudgetGoogle);
+        severity.metaBudget = Math.min(severity.metaBudget, this.maxDailyBudgetMeta);
+        return severity;
+    }
 
-        return {
-            level: severity,
-            ...SEVERITY_CONFIG[severity],
-        };
+    /**
+     * Verrijk een storing buiten de levenscyclus om (bijv. geplande onderbrekingen).
+     * @param {object} outage – genormaliseerde storing
+     * @returns {object}
+     */
+    enrichOutage(outage) {
+        return this._enrichOutage(outage);
     }
 
     /**
      * Verrijk een storing met severity, stad, provincie, etc.
      */
     _enrichOutage(outage) {
-        const severity = this._classifySeverity(outage);
+        // Oorzaak eerst: ernstregels kunnen erop matchen
+        const cause = classifyCause(outage);
+        const severity = this._classifySeverity({ ...outage, _cause: cause });
         const city = getCityFromOutage(outage);
         const province = getProvinceFromOutage(outage);
         const postcode = outage?.location?.features?.properties?.postalCode || '';
 
-        // Cap budgets aan maximum
-        severity.googleBudget = Math.min(severity.googleBudget, this.maxDailyBudgetGoogle);
-        severity.metaBudget = Math.min(severity.metaBudget, this.maxDailyBudgetMeta);
-
         return {
             ...outage,
             _severity: severity,
             _city: city,
             _province: province,
             _postcode: postcode,
-            _campaignEndTime: new Date(
-                Date.now() + this.campaignDurationHours * 60 * 60 * 1000
-            ).toISOString(),
+            _cause: cause,
+            // Sommige oorzaken (bijv. graafschade) zijn geen goede aanleiding voor een advertentie
+            _campaignEligible: isCauseEligible(cause),
+            _campaignEndTime: getCampaignEndTime(outage).endTime,
         };
     }
 
     /**
      * Registreer een campagne-koppeling voor een storing.
+     * @param {string} outageId
+     * @param {'google'|'meta'} platform
+     * @param {object} campaignData
+     * @param {object} [overrides]
+     * @param {number} [overrides.budget] – dagbudget (standaard het budget waarmee het platform de campagne aanmaakte)
+     * @param {string} [overrides.expiresAt] – einde (ingeplande campagnes)
+     * @param {object} [overrides.duration] – uitkomst van getCampaignEndTime als er geen expiresAt is
+     *   (standaard berekend uit de verwachte eindtijd van de storing)
+     * @param {boolean} [overrides.scheduled]
+     * @param {string} [overrides.reservationId] – budgetreservering die hiermee vastgelegd wordt
+     * @param {boolean} [overrides.customCopy] – teksten zijn door het team gekozen (niet verversen bij escalatie)
      */
-    registerCampaign(outageId, platform, campaignData) {
+    registerCampaign(outageId, platform, campaignData, overrides = {}) {
         if (!this.campaigns.has(outageId)) {
             this.campaigns.set(outageId, { google: null, meta: null });
         }
 
-        const outage = this.activeOutages.get(outageId);
-        const budget = outage?._severity?.[`${platform}Budget`] || 0;
+        const outage = this.incidents.get(outageId) || this.activeOutages.get(outageId);
+        const budget = overrides.budget ?? campaignData.budget ?? outage?._severity?.[`${platform}Budget`] ?? 0;
+        const duration = overrides.expiresAt ? null : (overrides.duration || getCampaignEndTime(outage));
 
-        this.campaigns.get(outageId)[platform] = {
+        const campaign = {
             ...campaignData,
             budget,
             createdAt: new Date().toISOString(),
-            expiresAt: new Date(
-                Date.now() + this.campaignDurationHours * 60 * 60 * 1000
-            ).toISOString(),
+            expiresAt: overrides.expiresAt || duration.endTime,
+            // Waarop de eindtijd gebaseerd is; bij een nieuwe verwachte eindtijd wordt hij herberekend
+            duration: duration && { rule: duration.rule, expectedEnd: duration.expectedEnd, bounded: duration.bounded },
+            scheduled: Boolean(overrides.scheduled),
+            customCopy: Boolean(overrides.customCopy),
+            // Ernst waarvoor de campagne is ingesteld; bij een hoger niveau wordt hij opgeschaald
+            severity: outage?._severity?.level || null,
             status: 'active',
         };
-    }
-
-    /**
-     * Controleer of er nog budget is voor een nieuwe campagne op een bepaald platform.
-     */
-    canCreateNewCampaign(platform, requestedBudget) {
-        const now = Date.now();
-        const oneDayAgo = now - 24 * 60 * 60 * 1000;
-
-        let totalSpent = 0;
-        const maxTotalBudget = platform === 'google' ? this.totalMaxDailyBudgetGoogle : this.totalMaxDailyBudgetMeta;
+        this.campaigns.get(outageId)[platform] = campaign;
 
-        for (const [outageId, platforms] of this.campaigns) {
-            const campaign = platforms[platform];
-            // Getal is "budget" dat we bij registerCampaign hebben opgeslagen
-            if (campaign && campaign.status === 'active' && new Date(campaign.createdAt).getTime() > oneDayAgo) {
-                totalSpent += campaign.budget || 0;
-            }
-        }
-
-        const canAfford = (totalSpent + requestedBudget) <= maxTotalBudget;
-        if (!canAfford) {
-            logger.warn(`💰 Budget limiet bereikt voor ${platform}: verbruikt €${totalSpent}, gevraagd €${requestedBudget}, limiet €${maxTotalBudget}`);
+        if (overrides.reservationId) {
+            this.budgetService?.commit(overrides.reservationId, {
+                campaignId: campaign.campaignId,
+                budget,
+                expiresAt: campaign.expiresAt,
+            });
         }
-        return canAfford;
     }
 
     /**
-     * Geeft alle campagnes terug die verlopen zijn (ouder dan CAMPAIGN_DURATION_HOURS).
+     * Geeft alle campagnes terug die verlopen zijn (voorbij hun expiresAt).
      */
     getExpiredCampaigns() {
         const now = Date.now();
@@ -305,12 +650,28 @@ class OutageService {
         return expired;
     }
 
+    /**
+     * Werk de gegevens van een geregistreerde campagne bij (bijv. na escalatie).
+     * @param {string} outageId
+     * @param {'google'|'meta'} platform
+     * @param {object} fields
+     */
+    updateCampaign(outageId, platform, fields) {
+        const campaign = this.campaigns.get(outageId)?.[platform];
+        if (campaign) {
+            Object.assign(campaign, fields, { updatedAt: new Date().toISOString() });
+        }
+    }
+
     /**
      * Markeer een campagne als gepauzeerd.
      */
     markCampaignPaused(outageId, platform) {
         const campaigns = this.campaigns.get(outageId);
         if (campaigns && campaigns[platform]) {
+            if (campaigns[platform].status === 'active') {
+                this.budgetService?.stop(platform, campaigns[platform].campaignId);
+            }
             campaigns[platform].status = 'paused';
         }
     }
@@ -328,10 +689,14 @@ class OutageService {
     getAllCampaigns() {
         const result = [];
         for (const [outageId, platforms] of this.campaigns) {
-            const outage = this.activeOutages.get(outageId) || this.resolvedOutages.get(outageId);
+            const outage = this.incidents.get(outageId)
+                || this.activeOutages.get(outageId)
+                || this.resolvedOutages.get(outageId);
             result.push({
                 outageId,
-                city: outage ? getCityFromOutage(outage) : 'Onbekend',
+                city: outage
+                    ? getCityFromOutage(outage)
+                    : (platforms.google?.city || platforms.meta?.city || 'Onbekend'),
                 google: platforms.google,
                 meta: platforms.meta,
             });
@@ -349,9 +714,15 @@ class OutageService {
             if (platforms.meta?.status === 'active') activeCampaigns++;
         }
 
+        const suspectedResolved = Array.from(this.activeOutages.values())
+            .filter((o) => o._lifecycle === LIFECYCLE.SUSPECTED_RESOLVED).length;
+
         return {
             activeOutages: this.activeOutages.size,
+            pendingOutages: this.pendingOutages.size,
+            suspectedResolved,
             resolvedOutages: this.resolvedOutages.size,
+            incidents: this.incidents.size,
             totalCampaigns: this.campaigns.size,
             activeCampaigns,
         };
@@ -370,7 +741,13 @@ class OutageService {
     getResolvedOutages() {
         return Array.from(this.resolvedOutages.values());
     }
+
+    /**
+     * Nog niet bevestigde storingen (zie OUTAGE_CONFIRM_POLLS).
+     */
+    getPendingOutages() {
+        return Array.from(this.pendingOutages.values());
+    }
 }
 
-export { SEVERITY, SEVERITY_CONFIG };
 export default OutageService;
@@ -0,0 +1,315 @@
+import logger from '../utils/logger.js';
+import { save, load } from '../utils/persistence.js';
+import { isSameDisruption } from '../utils/outage-identity.js';
+
+/**
+ * PlannedWorkService — Geplande onderbrekingen en vooraf ingeplande campagnes
+ *
+ * Netbeheerders kondigen gepland onderhoud dagen van tevoren aan. Die records
+ * (kind: 'planned') lopen niet door de storingslevenscyclus van OutageService,
+ * maar worden hier bijgehouden tot het werk voorbij is.
+ *
+ * Per geplande onderbreking kan een campagne worden ingepland:
+ *   startAt = begin − leadHours   (PLANNED_CAMPAIGN_LEAD_HOURS)
+ *   stopAt  = einde + trailHours  (PLANNED_CAMPAIGN_TRAIL_HOURS)
+ * Schedule-statussen: scheduled → running → completed, of cancelled.
+ */
+
+// Aanname voor de duur als de netbeheerder geen eindtijd opgeeft
+const DEFAULT_WORK_HOURS = 4;
+
+export const SCHEDULE_STATUS = {
+    SCHEDULED: 'scheduled',
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    CANCELLED: 'cancelled',
+};
+
+class PlannedWorkService {
+    /**
+     * @param {object} [options]
+     * @param {(outage: object) => object} [options.enrich] – verrijkt een storing met severity, stad, etc.
+     */
+    constructor({ enrich = (outage) => outage } = {}) {
+        this.enrich = enrich;
+
+        // Map<outageId, plannedOutage>
+        this.plannedOutages = new Map();
+        // Map<outageId, schedule>
+        this.schedules = new Map();
+
+        this.leadHours = parseFloat(process.env.PLANNED_CAMPAIGN_LEAD_HOURS || '24');
+        this.trailHours = parseFloat(process.env.PLANNED_CAMPAIGN_TRAIL_HOURS || '2');
+        this.missThreshold = Math.max(1, parseInt(process.env.RESOLVE_CONFIRM_POLLS || '3', 10));
+
+        this._loadState();
+    }
+
+    _loadState() {
+        for (const o of load('planned_outages', [])) {
+            this.plannedOutages.set(o.id, o);
+        }
+        for (const s of load('planned_schedules', [])) {
+            this.schedules.set(s.outageId, s);
+        }
+    }
+
+    /**
+     * Sla geplande onderbrekingen en schedules op naar disk.
+     */
+    persist() {
+        save('planned_outages', Array.from(this.plannedOutages.values()));
+        save('planned_schedules', Array.from(this.schedules.values()));
+    }
+
+    // ──────────────────────────
+    //  Geplande onderbrekingen
+    // ──────────────────────────
+
+    /**
+     * Verwerk de geplande onderbrekingen uit een poll.
+     * @param {object[]} planned – genormaliseerde records met kind 'planned'
+     * @param {object} [options]
+     * @param {boolean} [options.complete] – false bij een onvolledige lijst: niets vergeten
+     * @returns {{ added: object[], changed: object[], removed: object[] }}
+     */
+    processPlanned(planned, { complete = true } = {}) {
+        const added = [];
+        const changed = [];
+        const removed = [];
+        const seen = new Set();
+        const now = new Date().toISOString();
+
+        for (const outage of planned) {
+            const existing = this.plannedOutages.get(outage.id)
+                || Array.from(this.plannedOutages.values()).find((o) => isSameDisruption(o, outage));
+            const id = existing ? existing.id : outage.id;
+            seen.add(id);
+
+            const enriched = this.enrich({
+                ...outage,
+                id,
+                _sourceIds: [...new Set([...(existing?._sourceIds || []), ...(outage._sourceIds || [])])],
+                _firstSeen: existing?._firstSeen || outage._firstSeen,
+                _lastUpdated: now,
+                _missedPolls: 0,
+            });
+            this.plannedOutages.set(id, enriched);
+
+            if (!existing) {
+                added.push(enriched);
+                logger.info(`🗓️  Geplande onderbreking: ${id} in ${enriched._city || 'Onbekend'} op ${enriched.period?.begin}`);
+            } else if (
+                existing.period?.begin !== enriched.period?.begin ||
+                this._endOf(existing) !== this._endOf(enriched)
+            ) {
+                changed.push(enriched);
+                this._reschedule(id);
+                logger.info(`🗓️  Geplande onderbreking ${id} verschoven naar ${enriched.period?.begin}`);
+            }
+        }
+
+        // Niet meer aangekondigd: na een paar polls vergeten (werk voorbij of geannuleerd)
+        for (const [id, outage] of this.plannedOutages) {
+            if (seen.has(id) || !complete) continue;
+            outage._missedPolls = (outage._missedPolls || 0) + 1;
+            if (outage._missedPolls >= this.missThreshold) {
+                this.plannedOutages.delete(id);
+                removed.push(outage);
+                const schedule = this.schedules.get(id);
+                if (schedule?.status === SCHEDULE_STATUS.SCHEDULED) {
+                    schedule.status = SCHEDULE_STATUS.CANCELLED;
+                    schedule.cancelReason = 'onderbreking niet meer aangekondigd';
+                    outage._scheduleCancelled = true;
+                }
+                logger.info(`🗓️  Geplande onderbreking ${id} niet meer aangekondigd — verwijderd`);
+            }
+        }
+
+        return { added, changed, removed };
+    }
+
+    /**
+     * Komende en lopende geplande onderbrekingen, vroegste eerst, met hun schedule.
+     */
+    getUpcoming() {
+        const now = Date.now();
+        return Array.from(this.plannedOutages.values())
+            .filter((o) => new Date(this._endOf(o)).getTime() > now)
+            .sort((a, b) => new Date(a.period?.begin) - new Date(b.period?.begin))
+            .map((o) => ({ ...o, _schedule: this.schedules.get(o.id) || null }));
+    }
+
+    /**
+     * Einde van het werk: eindtijd, verwachte eindtijd of begin + DEFAULT_WORK_HOURS.
+     * @returns {string} ISO timestamp
+     */
+    _endOf(outage) {
+        const end = new Date(outage.period?.end || outage.period?.expectedEnd || '');
+        if (!Number.isNaN(end.getTime())) return end.toISOString();
+        const begin = new Date(outage.period?.begin).getTime();
+        return new Date(begin + DEFAULT_WORK_HOURS * 60 * 60 * 1000).toISOString();
+    }
+
+    // ──────────────────────────
+    //  Schedules
+    // ──────────────────────────
+
+    /**
+     * Plan campagnes in voor een geplande onderbreking.
+     * @param {string} outageId
+     * @param {object} [options]
+     * @param {string[]} [options.platforms] – standaard ['google', 'meta']
+     * @param {number} [options.leadHours] – uren vóór het begin starten
+     * @param {number} [options.trailHours] – uren na het einde stoppen
+     * @param {number} [options.customBudget]
+     * @param {number} [options.customRadius]
+     * @param {boolean} [options.ignoreCooldown] – ook starten als het gebied in een afkoelperiode valt
+     * @returns {object} schedule
+     */
+    schedule(outageId, options = {}) {
+        const outage = this.plannedOutages.get(outageId);
+        if (!outage) {
+            throw new Error('Geplande onderbreking niet gevonden');
+        }
+
+        const existing = this.schedules.get(outageId);
+        if (existing?.status === SCHEDULE_STATUS.RUNNING) {
+            throw new Error('Campagne loopt al');
+        }
+
+        const schedule = {
+            outageId,
+            platforms: options.platforms?.length ? options.platforms : ['google', 'meta'],
+            leadHours: Number.isFinite(options.leadHours) ? options.leadHours : this.leadHours,
+            trailHours: Number.isFinite(options.trailHours) ? options.trailHours : this.trailHours,
+            customBudget: options.customBudget || null,
+            customRadius: options.customRadius || null,
+            ignoreCooldown: Boolean(options.ignoreCooldown),
+            status: SCHEDULE_STATUS.SCHEDULED,
+            createdAt: new Date().toISOString(),
+            campaigns: {},
+        };
+        this._computeWindow(schedule, outage);
+
+        if (new Date(schedule.stopAt).getTime() <= Date.now()) {
+            throw new Error('Onderbreking is al voorbij');
+        }
+
+        this.schedules.set(outageId, schedule);
+        logger.info(`🗓️  Campagne ingepland voor ${outageId}: ${schedule.startAt} → ${schedule.stopAt} (${schedule.platforms.join(', ')})`);
+        return schedule;
+    }
+
+    /**
+     * Annuleer een ingeplande campagne (alleen vóór de start).
+     * @param {string} outageId
+     * @returns {object} schedule
+     */
+    cancel(outageId) {
+        const schedule = this.schedules.get(outageId);
+        if (!schedule || schedule.status !== SCHEDULE_STATUS.SCHEDULED) {
+            throw new Error('Geen ingeplande campagne om te annuleren');
+        }
+        schedule.status = SCHEDULE_STATUS.CANCELLED;
+        schedule.cancelReason = 'handmatig geannuleerd';
+        return schedule;
+    }
+
+    _computeWindow(schedule, outage) {
+        const begin = new Date(outage.period?.begin).getTime();
+        const end = new Date(this._endOf(outage)).getTime();
+        schedule.workBegin = new Date(begin).toISOString();
+        schedule.workEnd = new Date(end).toISOString();
+        schedule.startAt = new Date(begin - schedule.leadHours * 60 * 60 * 1000).toISOString();
+        schedule.stopAt = new Date(end + schedule.trailHours * 60 * 60 * 1000).toISOString();
+    }
+
+    /**
+     * Pas het venster aan als de netbeheerder het werk verschuift.
+     */
+    _reschedule(outageId) {
+        const schedule = this.schedules.get(outageId);
+        if (!schedule || ![SCHEDULE_STATUS.SCHEDULED, SCHEDULE_STATUS.RUNNING].includes(schedule.status)) return;
+        this._computeWindow(schedule, this.plannedOutages.get(outageId));
+    }
+
+    /**
+     * Schedules die nu moeten starten.
+     * @returns {{ schedule: object, outage: object }[]}
+     */
+    getDueStarts() {
+        const now = Date.now();
+        return Array.from(this.schedules.values())
+            .filter((s) => s.status === SCHEDULE_STATUS.SCHEDULED && new Date(s.startAt).getTime() <= now)
+            .map((schedule) => ({ schedule, outage: this.plannedOutages.get(schedule.outageId) }))
+            .filter(({ outage }) => outage);
+    }
+
+    /**
+     * Lopende schedules die nu moeten stoppen.
+     * @returns {object[]}
+     */
+    getDueStops() {
+        const now = Date.now();
+        return Array.from(this.schedules.values())
+            .filter((s) => s.status === SCHEDULE_STATUS.RUNNING && new Date(s.stopAt).getTime() <= now);
+    }
+
+    /**
+     * Registreer de gestarte campagnes van een schedule.
+     * @param {string} outageId
+     * @param {object} campaigns – { google?: campaign, meta?: campaign }
+     */
+    markStarted(outageId, campaigns) {
+        const schedule = this.schedules.get(outageId);
+        schedule.status = SCHEDULE_STATUS.RUNNING;
+        schedule.startedAt = new Date().toISOString();
+        schedule.campaigns = campaigns;
+    }
+
+    /**
+     * Sla een schedule over op het startmoment (bijv. afkoelperiode); er start niets.
+     * @param {string} outageId
+     * @param {string} reason
+     */
+    markSkipped(outageId, reason) {
+        const schedule = this.schedules.get(outageId);
+        schedule.status = SCHEDULE_STATUS.CANCELLED;
+        schedule.cancelReason = reason;
+    }
+
+    /**
+     * Markeer een schedule als afgerond (campagnes gestopt).
+     * @param {string} outageId
+     */
+    markCompleted(outageId) {
+        const schedule = this.schedules.get(outageId);
+        schedule.status = SCHEDULE_STATUS.COMPLETED;
+        schedule.completedAt = new Date().toISOString();
+    }
+
+    /**
+     * Ruim afgeronde en geannuleerde schedules op na 7 dagen.
+     */
+    cleanup() {
+        const cutoff = Date.now() - 7 * 24 * 60 * 60 * 1000;
+        for (const [id, schedule] of this.schedules) {
+            const done = [SCHEDULE_STATUS.COMPLETED, SCHEDULE_STATUS.CANCELLED].includes(schedule.status);
+            if (done && new Date(schedule.stopAt).getTime() < cutoff) {
+                this.schedules.delete(id);
+            }
+        }
+    }
+
+    getStats() {
+        const schedules = Array.from(this.schedules.values());
+        return {
+            plannedOutages: this.plannedOutages.size,
+            scheduled: schedules.filter((s) => s.status === SCHEDULE_STATUS.SCHEDULED).length,
+            running: schedules.filter((s) => s.status === SCHEDULE_STATUS.RUNNING).length,
+        };
+    }
+}
+
+export default PlannedWorkService;
@@ -0,0 +1,139 @@
+import crypto from 'crypto';
+import logger from '../utils/logger.js';
+import { save, load } from '../utils/persistence.js';
+
+/**
+ * QuarantineService — Opslag voor afgekeurde storingsrecords
+ *
+ * Records die de schema-validatie niet doorstaan (of bij normalisatie falen)
+ * komen hier terecht in plaats van als "nieuwe storing" in de state.
+ * Hetzelfde record wordt niet dubbel opgeslagen: bij herhaling wordt alleen
+ * lastSeen en occurrences bijgewerkt.
+ */
+
+const MAX_ENTRIES = 500;
+
+class QuarantineService {
+    constructor() {
+        // Map<fingerprint, entry>
+        this.entries = new Map();
+        this.totals = { accepted: 0, rejected: 0 };
+        this.lastPoll = null;
+
+        this._loadState();
+    }
+
+    _loadState() {
+        const saved = load('quarantine', null);
+        if (!saved) return;
+
+        for (const entry of saved.entries || []) {
+            this.entries.set(entry.fingerprint, entry);
+        }
+        this.totals = { ...this.totals, ...(saved.totals || {}) };
+        this.lastPoll = saved.lastPoll || null;
+    }
+
+    /**
+     * Sla de quarantaine op naar disk.
+     */
+    persist() {
+        save('quarantine', {
+            entries: Array.from(this.entries.values()),
+            totals: this.totals,
+            lastPoll: this.lastPoll,
+        });
+    }
+
+    /**
+     * Zet een afgekeurd record in quarantaine.
+     * @param {string} source – naam van de bron-adapter
+     * @param {any} raw – ruw record
+     * @param {string[]} errors – validatiefouten
+     * @returns {object} quarantaine-entry
+     */
+    add(source, raw, errors) {
+        const fingerprint = crypto
+            .createHash('sha1')
+            .update(`${source}:${JSON.stringify(raw)}`)
+            .digest('hex')
+            .substring(0, 16);
+        const now = new Date().toISOString();
+
+        const existing = this.entries.get(fingerprint);
+        if (existing) {
+            existing.lastSeen = now;
+            existing.occurrences++;
+            existing.errors = errors;
+            return existing;
+        }
+
+        const entry = {
+            fingerprint,
+            source,
+            recordId: raw?.id ?? raw?._id ?? null,
+            errors,
+            firstSeen: now,
+            lastSeen: now,
+            occurrences: 1,
+            raw,
+        };
+        this.entries.set(fingerprint, entry);
+        logger.warn(`🚫 Record in quarantaine (${source}${entry.recordId ? `, id ${entry.recordId}` : ''}): ${errors.join('; ')}`);
+
+        // Houd de quarantaine begrensd: verwijder de oudste entries
+        if (this.entries.size > MAX_ENTRIES) {
+            const oldest = Array.from(this.entries.values())
+                .sort((a, b) => new Date(a.lastSeen) - new Date(b.lastSeen))
+                .slice(0, this.entries.size - MAX_ENTRIES);
+            oldest.forEach((e) => this.entries.delete(e.fingerprint));
+        }
+
+        return entry;
+    }
+
+    /**
+     * Registreer de tellingen van één poll.
+     * @param {{ accepted: number, rejected: number }} counts
+     */
+    recordPoll({ accepted, rejected }) {
+        this.totals.accepted += accepted;
+        this.totals.rejected += rejected;
+        this.lastPoll = { at: new Date().toISOString(), accepted, rejected };
+    }
+
+    /**
+     * Quarantaine-entries, nieuwste eerst.
+     * @param {{ limit?: number, source?: string }} [options]
+     */
+    getEntries({ limit = 100, source } = {}) {
+        return Array.from(this.entries.values())
+            .filter((e) => !source || e.source === source)
+            .sort((a, b) => new Date(b.lastSeen) - new Date(a.lastSeen))
+            .slice(0, limit);
+    }
+
+    /**
+     * Leeg de quarantaine (tellingen blijven behouden).
+     * @returns {number} aantal verwijderde entries
+     */
+    clear() {
+        const count = this.entries.size;
+        this.entries.clear();
+        return count;
+    }
+
+    /**
+     * Tellingen voor /api/status.
+     */
+    getStats() {
+        return {
+            accepted: this.totals.accepted,
+            rejected: this.totals.rejected,
+            quarantined: this.entries.size,
+            lastPoll: this.lastPoll,
+        };
+    }
+}
+
+export default QuarantineService;
@@ -1,36 +1,70 @@
-import axios from 'axios';
 import logger from '../utils/logger.js';
+import { createSources } from './sources/index.js';
+import { appendFrame, getRecordingFile } from '../utils/feed-recording.js';
+import { dedupeOutages } from '../utils/outage-identity.js';
+import { getOutageCoverage } from '../utils/outage-endpoints.js';
 
 /**
- * ScraperService — Haalt storingsdata op uit energieonderbrekingen.nl
+ * ScraperService — Haalt storingsdata op via de geconfigureerde bron-adapters
  *
- * Ondersteunt 3 modi:
- *   api     → Auth0 OAuth2 M2M → GET /api/v2/disruptions
- *   scrape  → Playwright headless browser, onderschept XHR-responses
- *   hybrid  → API eerst, daarna scrape als fallback
+ * Bronnen (zie services/sources):
+ *   public-api → directe publieke API van energieonderbrekingen.nl
+ *   auth0-api  → Auth0 OAuth2 M2M → GET /api/v2/disruptions
+ *   playwright → Playwright headless browser, onderschept XHR-responses
+ *
+ * Strategieën (OUTAGE_SOURCE_STRATEGY):
+ *   failover → bronnen in volgorde, stop bij de eerste bruikbare (standaard)
+ *   merge    → alle bronnen ophalen en resultaten samenvoegen
+ *
+ * Met RECORD_FEEDS=true wordt elke ruwe payload opgeslagen (zie utils/feed-recording.js),
+ * zodat een poll later via REPLAY_FILE opnieuw afgespeeld kan worden.
+ *
+ * Elk ruw record wordt eerst gevalideerd; afgekeurde records gaan naar de
+ * QuarantineService in plaats van in de resultaten.
+ *
+ * fetchResolvedOutages() haalt daarnaast recent opgeloste storingen op (resolved=yes),
+ * zodat een oplossing bevestigd kan worden in plaats van afgeleid uit "niet gezien".
+ *
+ * De SourceHealthService houdt per bron de gezondheid bij. Een bron met een
+ * open circuit breaker wordt overgeslagen, zodat de volgende bron het overneemt.
+ *
+ * Stopt een gepagineerde bron bij zijn veiligheidsbudget (OUTAGE_MAX_PAGES), dan
+ * is de lijst onvolledig: lastFetch.complete is dan false en storingen die
+ * ontbreken mogen niet als opgelost gelden.
  */
 class ScraperService {
-    constructor() {
+    /**
+     * @param {object} [options]
+     * @param {import('./quarantine-service.js').default} [options.quarantineService]
+     * @param {import('./source-health-service.js').default} [options.healthService]
+     */
+    constructor({ quarantineService = null, healthService = null } = {}) {
+        this.quarantine = quarantineService;
+        this.health = healthService;
         this.mode = process.env.DATA_SOURCE_MODE || 'scrape';
-        this.apiBaseUrl = 'https://energieonderbrekingen.nl/api/v2';
-        this.publicApiUrl = 'https://energieonderbrekingen.nl/api/disruptions';
-        this.authUrl = process.env.OUTAGE_AUTH_URL || 'https://energieonderbrekingen.eu.auth0.com/oauth/token';
-        this.clientId = process.env.OUTAGE_API_CLIENT_ID;
-        this.clientSecret = process.env.OUTAGE_API_CLIENT_SECRET;
-        this.audience = process.env.OUTAGE_API_AUDIENCE || 'https://energieonderbrekingen.nl/api/v2';
-
-        // Token cache
-        this._accessToken = null;
-        this._tokenExpiresAt = 0;
-
-        // Playwright browser instance (lazy init)
-        this._browser = null;
+        this.strategy = process.env.OUTAGE_SOURCE_STRATEGY === 'merge' ? 'merge' : 'failover';
+        this.sources = createSources();
 
         // Retry configuratie
         this.maxRetries = 3;
         this.retryBaseDelayMs = 2000;
 
-        logger.info(`ScraperService geïnitialiseerd in modus: ${this.mode}`);
+        // Resultaat van de laatste fetch (welke bron leverde wat)
+        this.lastFetch = null;
+        this.lastResolvedFetch = null;
+
+        // Recent opgeloste storingen ophalen (FETCH_RESOLVED=false schakelt uit)
+        this.fetchResolvedEnabled = process.env.FETCH_RESOLVED !== 'false';
+        this.resolvedLookbackHours = parseFloat(process.env.RESOLVED_LOOKBACK_HOURS || '24');
+
+        // Opnamemodus (niet tijdens een replay)
+        this.recording = process.env.RECORD_FEEDS === 'true' && !process.env.REPLAY_FILE;
+        this._frameSeq = 0;
+
+        logger.info(
+            `ScraperService geïnitialiseerd — bronnen: ${this.sources.map((s) => `${s.name}:${s.fallback}`).join(', ') || 'geen'} ` +
+            `(strategie: ${this.strategy})`
+        );
     }
 
     // ──────────────────────────────────────
@@ -58,431 +92,301 @@ class ScraperService {
     //  Publieke methode — haal storingen op
     // ──────────────────────────────────────
 
+    /**
+     * Haal storingen op via de bron-adapters.
+     * Elke storing krijgt een inhoudelijk id (zie utils/outage-identity.js); records
+     * van dezelfde onderbreking uit verschillende bronnen worden samengevoegd.
+     * _sourceAdapters en _sourceIds vermelden welke bronnen en bron-ids bijdroegen.
+     * @returns {Promise<object[]|null>} null = fout, [] = geen storingen
+     */
     async fetchOutages() {
-        try {
-            switch (this.mode) {
-                case 'api':
-                    return await this._withRetry(() => this._fetchViaApi(), 'API');
-
-                case 'scrape': {
-                    // Probeer eerst directe API (sneller), val terug op Playwright
-                    const directResult = await this._fetchDirectApi();
-                    if (directResult && directResult.length > 0) return directResult;
-                    logger.warn('Directe API leverde geen data, val terug op Playwright scraping');
-                    return await this._withRetry(() => this._fetchViaScraping(), 'Scraper');
-                }
-
-                case 'hybrid':
-                    return await this._fetchHybrid();
-
-                default:
-                    logger.warn(`Onbekende DATA_SOURCE_MODE: ${this.mode}, val terug op scraping`);
-                    return await this._fetchViaScraping();
+        const attempts = [];
+        const outages = [];
+        let anySucceeded = false;
+
+        for (const source of this.sources) {
+            const attempt = await this._runSource(source);
+            attempts.push(attempt);
+
+            if (attempt.status === 'skipped') continue;
+            if (attempt.status === 'circuit_open') {
+                logger.info(`Bron ${source.name} overgeslagen (circuit breaker open tot ${attempt.retryAt})`);
+                continue;
+            }
+            if (attempt.status === 'error') {
+                logger.warn(`Bron ${source.name} mislukt, volgende bron proberen`);
+                continue;
             }
-        } catch (error) {
-            logger.error('Fout bij ophalen storingsdata (alle pogingen mislukt):', error);
-            return null; // null = fout, [] = geen storingen
-        }
-    }
-
-    // ──────────────────────────────
-    //  Directe publieke API (geen auth)
-    // ──────────────────────────────
-
-    async _fetchDirectApi() {
-        try {
-            const allDisruptions = [];
-            const pageSize = 100;
-            let offset = 0;
-            let hasMore = true;
-
-            while (hasMore) {
-                const params = new URLSearchParams({
-                    limit: pageSize.toString(),
-                    offset: offset.toString(),
-                    resolved: 'no',
-                });
-                // Voeg DSO filters toe
-                ['Enexis', 'Liander', 'Stedin'].forEach(dso => params.append('dso[]', dso));
-                ['electricity', 'gas'].forEach(net => params.append('network[]', net));
-
-                const url = `${this.publicApiUrl}?${params.toString()}`;
-                logger.debug(`Directe API: ophalen pagina offset=${offset}...`);
-
-                const response = await axios.get(url, {
-                    headers: {
-                        Accept: 'application/json',
-                        'User-Agent': 'OffgridStoringsTracker/1.0',
-                    },
-                    timeout: 15000,
-                });
-
-                const data = response.data;
-                const items = Array.isArray(data)
-                    ? data
-                    : data?.disruptions || data?.data || data?.items || data?.disruptionOccurrences || [];
 
-                allDisruptions.push(...items);
+            anySucceeded = true;
+            outages.push(...attempt.outages);
 
-                // Stop als we minder dan pageSize ontvangen (= laatste pagina)
-                if (items.length < pageSize) {
-                    hasMore = false;
-                } else {
-                    offset += pageSize;
-                    // Veiligheidsgrens: max 500 storingen
-                    if (offset >= 500) {
-                        logger.warn('Directe API: veiligheidsgrens van 500 bereikt');
-                        hasMore = false;
-                    }
-                }
+            if (this.strategy === 'merge') continue;
+            if (attempt.status === 'empty' && source.fallback === 'empty') {
+                logger.warn(`Bron ${source.name} leverde geen data, volgende bron proberen`);
+                continue;
             }
-
-            logger.info(`Directe API: ${allDisruptions.length} storingen opgehaald (alle pagina\'s)`);
-            return allDisruptions.map(d => this._normalizeOutage(d));
-        } catch (error) {
-            logger.warn(`Directe API mislukt: ${error.message}`);
-            return null;
+            break;
         }
-    }
-
-    // ──────────────────────────
-    //  Modus 1 — Auth0 API
-    // ──────────────────────────
 
-    async _fetchViaApi() {
-        if (!this.clientId || !this.clientSecret) {
-            logger.warn('OUTAGE_API_CLIENT_ID/SECRET niet geconfigureerd — kan API niet gebruiken');
-            return [];
+        const deduped = dedupeOutages(outages);
+        if (deduped.length < outages.length) {
+            logger.info(`Deduplicatie: ${outages.length} records → ${deduped.length} unieke storingen`);
         }
 
-        const token = await this._getAccessToken();
-        if (!token) return [];
-
-        try {
-            const response = await axios.get(`${this.apiBaseUrl}/disruptions`, {
-                headers: {
-                    Authorization: `Bearer ${token}`,
-                    Accept: 'application/json',
-                },
-                timeout: 15000,
-            });
-
-            const data = response.data;
-            const disruptions = Array.isArray(data) ? data : data?.disruptions || data?.data || [];
-
-            logger.info(`API: ${disruptions.length} storingen opgehaald`);
-            return disruptions.map((d) => this._normalizeOutage(d));
-        } catch (error) {
-            logger.error(`API-fout bij ophalen storingen: ${error.message}`);
-            return [];
+        const truncated = attempts.filter((a) => a.truncated && ['ok', 'empty'].includes(a.status)).map((a) => a.source);
+        if (truncated.length > 0) {
+            logger.warn(`Onvolledige poll: paginabudget bereikt bij ${truncated.join(', ')}`);
         }
-    }
 
-    async _getAccessToken() {
-        // Gebruik cached token als deze nog geldig is (met 60s marge)
-        if (this._accessToken && Date.now() < this._tokenExpiresAt - 60_000) {
-            return this._accessToken;
+        this.lastFetch = {
+            at: new Date().toISOString(),
+            strategy: this.strategy,
+            // false: een bron leverde niet alle pagina's (ontbrekende storingen zijn niet opgelost)
+            complete: truncated.length === 0,
+            truncatedSources: truncated,
+            sources: [...new Set(deduped.flatMap((o) => o._sourceAdapters))],
+            duplicatesMerged: outages.length - deduped.length,
+            byDso: this._countByDso(deduped),
+            attempts: attempts.map(({ outages: _o, rawItems: _r, ...rest }) => rest),
+        };
+
+        if (this.recording) {
+            this._recordFrame(attempts);
         }
 
-        try {
-            const response = await axios.post(this.authUrl, {
-                client_id: this.clientId,
-                client_secret: this.clientSecret,
-                audience: this.audience,
-                grant_type: 'client_credentials',
-            }, {
-                headers: { 'Content-Type': 'application/json' },
-                timeout: 10000,
+        if (this.quarantine) {
+            this.quarantine.recordPoll({
+                accepted: attempts.reduce((sum, a) => sum + a.accepted, 0),
+                rejected: attempts.reduce((sum, a) => sum + a.rejected, 0),
             });
+            this.quarantine.persist();
+        }
 
-            this._accessToken = response.data.access_token;
-            // Token geldig voor expires_in seconden (standaard ~36000 = 10 uur)
-            const expiresIn = response.data.expires_in || 36000;
-            this._tokenExpiresAt = Date.now() + expiresIn * 1000;
+        this.health?.persist();
 
-            logger.info(`Auth0 token verkregen, geldig voor ${Math.round(expiresIn / 3600)} uur`);
-            return this._accessToken;
-        } catch (error) {
-            logger.error(`Fout bij verkrijgen Auth0 token: ${error.message}`);
-            this._accessToken = null;
+        if (!anySucceeded) {
+            logger.error('Fout bij ophalen storingsdata (alle bronnen mislukt)');
             return null;
         }
+        return deduped;
     }
 
-    // ──────────────────────────────────────
-    //  Modus 2 — Playwright Scraping
-    // ──────────────────────────────────────
-
-    async _fetchViaScraping() {
-        let browser = null;
-        let context = null;
-        let page = null;
-
-        try {
-            // Dynamische import (playwright is een devDependency)
-            const { chromium } = await import('playwright');
-
-            const interceptedData = [];
-
-            browser = await chromium.launch({
-                headless: true,
-                args: ['--no-sandbox', '--disable-setuid-sandbox'],
-            });
-
-            context = await browser.newContext({
-                userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-            });
-
-            page = await context.newPage();
+    /**
+     * Aantal storingen per netbeheerder. Geconfigureerde netbeheerders zonder storingen staan er met 0 in,
+     * zodat een netbeheerder die nooit iets levert opvalt.
+     * @param {object[]} outages
+     * @returns {Object<string, number>}
+     */
+    _countByDso(outages) {
+        const counts = Object.fromEntries(getOutageCoverage().dsos.map((dso) => [dso, 0]));
+        for (const outage of outages) {
+            const organisation = outage.source?.organisation || 'Onbekend';
+            // Hoofdletters kunnen per bron verschillen ("RENDO" vs "Rendo")
+            const key = Object.keys(counts).find((dso) => dso.toLowerCase() === organisation.toLowerCase()) || organisation;
+            counts[key] = (counts[key] || 0) + 1;
+        }
+        return counts;
+    }
 
-            // Onderschep XHR/fetch responses die storingsdata bevatten
-            page.on('response', async (response) => {
-                try {
-                    const url = response.url();
-                    const contentType = response.headers()['content-type'] || '';
-
-                    // Log alle API-achtige calls voor debug
-                    if (url.includes('/api/')) {
-                        logger.debug(`API Call onderschept: ${url} (Status: ${response.status()}, Type: ${contentType})`);
-                    }
-
-                    if (
-                        (url.includes('/api/') && (url.includes('disruption') || url.includes('storing') || url.includes('onderbreking'))) &&
-                        response.status() === 200 &&
-                        contentType.includes('application/json')
-                    ) {
-                        const json = await response.json();
-                        interceptedData.push(json);
-                        logger.info(`✅ Data onderschept van: ${url}`);
-                    }
-                } catch (e) {
-                    // Negeer parse-fouten bij niet-JSON responses
-                }
-            });
+    /**
+     * Haal recent opgeloste storingen op bij de eerste bron die dat ondersteunt.
+     * Records krijgen dezelfde inhoudelijke identiteit als actieve storingen, zodat
+     * OutageService ze aan bekende storingen kan koppelen.
+     * @returns {Promise<object[]|null>} null = niet beschikbaar (uitgeschakeld, niet ondersteund of fout)
+     */
+    async fetchResolvedOutages() {
+        if (!this.fetchResolvedEnabled) return null;
 
-            const targetUrl = 'https://energieonderbrekingen.nl/onderbrekingen';
-            logger.info(`Scraper: navigeren naar ${targetUrl}...`);
-            await page.goto(targetUrl, {
-                waitUntil: 'networkidle',
-                timeout: 45000,
-            });
+        const cutoff = Date.now() - this.resolvedLookbackHours * 60 * 60 * 1000;
 
-            // Wacht extra op data-laden
-            await page.waitForTimeout(8000);
+        for (const source of this.sources) {
+            if (!source.isConfigured()) continue;
+            if (source.circuitBreaker && this.health?.isOpen(source.name)) continue;
 
-            // Probeer ook de DOM te parsen als fallback
-            let domOutages = [];
+            let rawItems;
             try {
-                domOutages = await page.evaluate(() => {
-                    // Zoek specifiek naar elementen in de lijst op /onderbrekingen
-                    const cards = document.querySelectorAll('[class*="disruption"], [class*="outage"], [class*="storing"], [class*="ListItem"], article');
-                    return Array.from(cards).map((card) => ({
-                        text: card.textContent?.trim(),
-                        html: card.innerHTML,
-                    }));
-                });
-            } catch (e) {
-                logger.debug(`DOM parsing waarschuwing: ${e.message}`);
-                // DOM parsing mislukt — geen probleem als XHR data is onderschept
+                rawItems = await source.fetchResolved();
+            } catch (error) {
+                logger.warn(`${source.label}: opgeloste storingen ophalen mislukt — ${error.message}`);
+                continue;
             }
+            if (rawItems === null) continue;
+
+            const outages = rawItems
+                .map((raw, index) => this._acceptRecord(source, raw, index))
+                .filter(Boolean)
+                // Alleen storingen die recent zijn beëindigd
+                .filter((o) => {
+                    const end = new Date(o.period?.end || '').getTime();
+                    return Number.isNaN(end) || end >= cutoff;
+                });
+            const deduped = dedupeOutages(outages);
 
-            // Verwerk onderschepte data
-            let disruptions = [];
-            for (const data of interceptedData) {
-                // Soms komt de data direct als array, soms in een disruptions/data/items veld
-                const items = Array.isArray(data)
-                    ? data
-                    : data?.disruptions || data?.data || data?.items || data?.disruptionOccurrences || [];
-
-                if (Array.isArray(items)) {
-                    disruptions.push(...items);
-                } else if (typeof data === 'object' && data !== null) {
-                    // Misschien is het een enkel object?
-                    if (data.id || data._id) disruptions.push(data);
-                }
+            this.lastResolvedFetch = { at: new Date().toISOString(), source: source.name, count: deduped.length };
+            if (this.recording) {
+                this._recordResolvedFrame(source.name, rawItems);
             }
+            return deduped;
+        }
 
-            if (disruptions.length > 0) {
-                logger.info(`Scraper: ${disruptions.length} incidenten onderschept via XHR`);
-                return disruptions.map((d) => this._normalizeOutage(d));
-            }
+        return null;
+    }
 
-            if (domOutages.length > 0) {
-                // Filter alleen relevante DOM elementen (die iets van text bevatten)
-                const relevantDom = domOutages.filter(d => d.text && d.text.length > 20);
-                if (relevantDom.length > 0) {
-                    logger.info(`Scraper: ${relevantDom.length} elementen gevonden in DOM via fallback`);
-                    return relevantDom.map((d, i) => this._normalizeFromDom(d, i));
-                }
-            }
+    /**
+     * Voer één bron-adapter uit, valideer en normaliseer het resultaat.
+     */
+    async _runSource(source) {
+        const startTime = Date.now();
+        const attempt = {
+            source: source.name,
+            status: 'ok',
+            count: 0,
+            accepted: 0,
+            rejected: 0,
+            durationMs: 0,
+            error: null,
+            truncated: false,
+            pagination: null,
+            outages: [],
+            rawItems: null,
+        };
 
-            logger.warn('Scraper: geen storingsdata gevonden. Controleer of de URL of selectors nog kloppen.');
-            return [];
-        } catch (error) {
-            logger.error(`Scraping-fout: ${error.message}`);
+        if (!source.isConfigured()) {
+            logger.debug(`Bron ${source.name} niet geconfigureerd — overgeslagen`);
+            attempt.status = 'skipped';
+            return attempt;
+        }
 
-            // Als Playwright niet geïnstalleerd is, geef duidelijke melding
-            if (error.message.includes('Cannot find module') || error.message.includes('playwright')) {
-                logger.error(
-                    'Playwright is niet geïnstalleerd. Run: npx playwright install chromium'
-                );
-            }
-            return [];
-        } finally {
-            try {
-                if (page) await page.close();
-                if (context) await context.close();
-                if (browser) await browser.close();
-            } catch {
-                // Negeer afsluiting-fouten
-            }
+        const tracked = this.health !== null && source.circuitBreaker;
+        const availability = tracked ? this.health.checkAvailability(source.name) : { allowed: true, probe: false };
+        if (!availability.allowed) {
+            attempt.status = 'circuit_open';
+            attempt.retryAt = availability.retryAt;
+            return attempt;
         }
-    }
 
-    // ──────────────────────────
-    //  Modus 3 — Hybrid
-    // ──────────────────────────
+        try {
+            // Een probe na een open breaker krijgt geen retries
+            const rawItems = source.retry && !availability.probe
+                ? await this._withRetry(() => source.fetch(), source.label)
+                : await source.fetch();
+
+            attempt.rawItems = rawItems;
+            // Gepagineerde bronnen leggen het verloop van deze fetch vast in lastPagination
+            const pagination = source.lastPagination;
+            if (pagination && new Date(pagination.at).getTime() >= startTime) {
+                attempt.pagination = { pages: pagination.pages, total: pagination.total, truncated: pagination.truncated };
+                attempt.truncated = pagination.truncated;
+            }
+            rawItems.forEach((raw, index) => {
+                const outage = this._acceptRecord(source, raw, index);
+                if (outage) {
+                    attempt.outages.push(outage);
+                    attempt.accepted++;
+                } else {
+                    attempt.rejected++;
+                }
+            });
+            attempt.count = attempt.outages.length;
+            // Alleen afgekeurde records telt als "leeg" (fallback-regel 'empty')
+            attempt.status = attempt.count > 0 ? 'ok' : 'empty';
+        } catch (error) {
+            logger.warn(`${source.label} mislukt: ${error.message}`);
+            attempt.status = 'error';
+            attempt.error = error.message;
+        }
 
-    async _fetchHybrid() {
-        // Probeer API eerst
-        if (this.clientId && this.clientSecret) {
-            const apiResult = await this._fetchViaApi();
-            if (apiResult.length > 0) return apiResult;
-            logger.warn('Hybrid: API leverde geen data, val terug op scraping');
+        attempt.durationMs = Date.now() - startTime;
+
+        if (tracked && attempt.status === 'error') {
+            this.health.recordFailure(source.name, { durationMs: attempt.durationMs, error: attempt.error });
+        } else if (tracked) {
+            this.health.recordSuccess(source.name, {
+                durationMs: attempt.durationMs,
+                items: attempt.rawItems.length,
+                bytes: Buffer.byteLength(JSON.stringify(attempt.rawItems)),
+                accepted: attempt.accepted,
+                pagination: attempt.pagination,
+            });
         }
 
-        return await this._fetchViaScraping();
+        return attempt;
     }
 
-    // ──────────────────────────
-    //  Data normalisatie
-    // ──────────────────────────
+    /**
+     * Valideer en normaliseer één ruw record. Afgekeurde records gaan in quarantaine.
+     * @returns {object|null} genormaliseerde storing, of null als het record is afgekeurd
+     */
+    _acceptRecord(source, raw, index) {
+        const { valid, errors } = source.validate(raw);
+        if (!valid) {
+            this.quarantine?.add(source.name, raw, errors);
+            return null;
+        }
 
-    _normalizeOutage(raw) {
         try {
-            // Het verwachte datamodel volgt het energieonderbrekingen.nl schema
-            return {
-                id: raw.id || raw._id || `generated-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
-                source: {
-                    organisation: raw.source?.organisation || raw.netbeheerder || 'Onbekend',
-                    timestamp: raw.source?.timestamp || raw.updatedAt || new Date().toISOString(),
-                },
-                network: {
-                    type: raw.network?.type || raw.energieType || 'electricity',
-                },
-                period: {
-                    begin: raw.period?.begin || raw.startTime || raw.begin || '',
-                    end: raw.period?.end || raw.endTime || raw.end || '',
-                    expectedEnd: raw.period?.expectedEnd || raw.expectedEnd || '',
-                },
-                impact: (() => {
-                    const pcString = raw.location?.features?.properties?.postalCode || raw.postcode || raw.postalCode || '';
-                    const pcCount = pcString.split(';').filter(Boolean).length;
-
-                    // Nieuwe logica: 5 huishoudens per postcode voor hogere nauwkeurigheid
-                    const calculatedHouseholds = pcCount > 0 ? pcCount * 5 : (raw.impact?.households || raw.aantalGetroffen || raw.households || 0);
-
-                    return {
-                        households: calculatedHouseholds,
-                        max: raw.impact?.max || false,
-                        min: raw.impact?.min || false,
-                    };
-                })(),
-                _affectedLabel: raw._private_?.Affected || '',
-                location: {
-                    features: {
-                        geometry: {
-                            coordinates: this._extractCoordinates(raw),
-                            type: 'Point',
-                        },
-                        properties: {
-                            city: raw.location?.features?.properties?.city || raw.stad || raw.city || '',
-                            postalCode: raw.location?.features?.properties?.postalCode || raw.postcode || raw.postalCode || '',
-                            street: raw.location?.features?.properties?.street || raw.straat || raw.street || '',
-                        },
-                    },
-                },
-                cause: raw.cause || raw.oorzaak || '',
-                status: raw.status || 'onbekend',
-                message: raw.message || raw.bericht || '',
-                // Interne tracking velden
-                _firstSeen: new Date().toISOString(),
-                _lastUpdated: new Date().toISOString(),
-                _raw: raw,
-            };
+            return { ...source.normalize(raw, index), _sourceAdapter: source.name };
         } catch (error) {
-            logger.warn(`Normalisatiefout voor storing: ${error.message}`);
-            return {
-                id: `parse-error-${Date.now()}`,
-                source: { organisation: 'Onbekend', timestamp: new Date().toISOString() },
-                network: { type: 'electricity' },
-                period: { begin: '', end: '', expectedEnd: '' },
-                impact: { households: 0 },
-                location: {
-                    features: {
-                        geometry: { coordinates: [0, 0], type: 'Point' },
-                        properties: { city: '', postalCode: '', street: '' },
-                    },
-                },
-                cause: '',
-                status: 'onbekend',
-                message: '',
-                _firstSeen: new Date().toISOString(),
-                _lastUpdated: new Date().toISOString(),
-                _raw: raw,
-            };
+            this.quarantine?.add(source.name, raw, [`normalisatiefout: ${error.message}`]);
+            return null;
         }
     }
 
-    _normalizeFromDom(domData, index) {
-        // Probeer basale info uit DOM-tekst te extraheren
-        const text = domData.text || '';
-        const postcodeMatch = text.match(/\b\d{4}\s?[A-Z]{2}\b/g);
-        const cityMatch = text.match(/(?:in|te)\s+([A-Z][a-z]+(?:\s[A-Z][a-z]+)?)/);
-        const householdMatch = text.match(/(\d+(?:\.\d+)?)\s*(?:huishoudens|adressen|aansluitingen)/i);
+    /**
+     * Schrijf de ruwe payloads van één fetch weg als opname-frame.
+     */
+    _recordFrame(attempts) {
+        this._frameSeq++;
+        appendFrame(getRecordingFile(), {
+            seq: this._frameSeq,
+            recordedAt: new Date().toISOString(),
+            strategy: this.strategy,
+            attempts: this.lastFetch.attempts,
+            payloads: attempts
+                .filter((a) => a.rawItems !== null)
+                .map((a) => ({ source: a.source, items: a.rawItems })),
+        });
+    }
 
-        return {
-            id: `dom-${Date.now()}-${index}`,
-            source: { organisation: 'Onbekend (DOM)', timestamp: new Date().toISOString() },
-            network: { type: 'electricity' },
-            period: { begin: '', end: '', expectedEnd: '' },
-            impact: {
-                households: householdMatch ? parseInt(householdMatch[1].replace('.', ''), 10) : 0,
-            },
-            location: {
-                features: {
-                    geometry: { coordinates: [0, 0], type: 'Point' },
-                    properties: {
-                        city: cityMatch ? cityMatch[1] : '',
-                        postalCode: postcodeMatch ? postcodeMatch.join(';') : '',
-                        street: '',
-                    },
-                },
-            },
-            cause: '',
-            status: 'actief',
-            message: text.substring(0, 200),
-            _firstSeen: new Date().toISOString(),
-            _lastUpdated: new Date().toISOString(),
-            _raw: domData,
-        };
+    /**
+     * Schrijf opgeloste storingen weg als apart frame met het seq van de bijbehorende poll.
+     */
+    _recordResolvedFrame(source, items) {
+        appendFrame(getRecordingFile(), {
+            seq: this._frameSeq,
+            kind: 'resolved',
+            recordedAt: new Date().toISOString(),
+            payloads: [{ source, items }],
+        });
     }
 
-    _extractCoordinates(raw) {
-        // Probeer coördinaten uit diverse mogelijke structuren te halen
-        if (raw.location?.features?.geometry?.coordinates) {
-            return raw.location.features.geometry.coordinates;
-        }
-        if (raw.geometry?.coordinates) {
-            return raw.geometry.coordinates;
-        }
-        if (raw.lat && raw.lng) {
-            return [raw.lat, raw.lng];
-        }
-        if (raw.latitude && raw.longitude) {
-            return [raw.latitude, raw.longitude];
-        }
-        return [0, 0];
+    /**
+     * De replay-bron, als er een opname wordt afgespeeld.
+     * @returns {import('./sources/replay-source.js').default|null}
+     */
+    getReplaySource() {
+        return this.sources.find((s) => s.name === 'replay' && s.isConfigured()) || null;
+    }
+
+    /**
+     * Overzicht van de bronconfiguratie en de laatste fetch (voor /api/status).
+     */
+    getSourceInfo() {
+        return {
+            strategy: this.strategy,
+            configured: this.sources.map((s) => ({
+                name: s.name,
+                label: s.label,
+                fallback: s.fallback,
+                available: s.isConfigured(),
+                status: s.getStatus(),
+            })),
+            lastFetch: this.lastFetch,
+            lastResolvedFetch: this.lastResolvedFetch,
+            health: this.health?.getHealth() ?? [],
+            recording: this.recording,
+        };
     }
 
     // ──────────────────────────
@@ -490,13 +394,14 @@ class ScraperService {
     // ──────────────────────────
 
     async close() {
-        if (this._browser) {
-            try {
-                await this._browser.close();
-            } catch {
-                // Negeer
+        for (const source of this.sources) {
+            if (typeof source.close === 'function') {
+                try {
+                    await source.close();
+                } catch {
+                    // Negeer
+                }
             }
-            this._browser = null;
         }
     }
 }
@@ -0,0 +1,213 @@
+import logger from '../utils/logger.js';
+import { save, load } from '../utils/persistence.js';
+
+/**
+ * SourceHealthService — Gezondheid per bron-adapter en circuit breaker
+ *
+ * Houdt per bron succesratio, latency, payload-grootte, het verloop van de
+ * laatste paginering en het tijdstip van de laatste bruikbare data bij. Na SOURCE_BREAKER_THRESHOLD opeenvolgende fouten
+ * gaat de circuit breaker open: de bron wordt overgeslagen (de volgende bron
+ * neemt het over) tot de cooldown verstreken is. Daarna volgt één probe zonder
+ * retries (half_open); slaagt die, dan gaat de breaker weer dicht, anders
+ * opnieuw open met een verdubbelde cooldown.
+ *
+ * Breaker-states: closed → open → half_open → closed | open
+ */
+
+// Aantal recente pogingen voor succesratio en gemiddelde latency
+const WINDOW_SIZE = 50;
+
+export const BREAKER_STATE = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half_open',
+};
+
+class SourceHealthService {
+    constructor() {
+        this.failureThreshold = parseInt(process.env.SOURCE_BREAKER_THRESHOLD, 10) || 3;
+        this.baseCooldownMs = parseInt(process.env.SOURCE_BREAKER_COOLDOWN_MS, 10) || 10 * 60 * 1000;
+        this.maxCooldownMs = parseInt(process.env.SOURCE_BREAKER_MAX_COOLDOWN_MS, 10) || 60 * 60 * 1000;
+
+        // Map<sourceName, health>
+        this.sources = new Map();
+
+        this._loadState();
+    }
+
+    _loadState() {
+        const saved = load('source-health', null);
+        if (!saved) return;
+
+        for (const health of saved.sources || []) {
+            this.sources.set(health.name, health);
+        }
+    }
+
+    /**
+     * Sla de gezondheidsstatus op naar disk.
+     */
+    persist() {
+        save('source-health', { sources: Array.from(this.sources.values()) });
+    }
+
+    _get(name) {
+        if (!this.sources.has(name)) {
+            this.sources.set(name, {
+                name,
+                breaker: BREAKER_STATE.CLOSED,
+                consecutiveFailures: 0,
+                cooldownMs: this.baseCooldownMs,
+                openedAt: null,
+                retryAt: null,
+                totals: { attempts: 0, successes: 0, failures: 0 },
+                recent: [],
+                lastLatencyMs: null,
+                lastPayload: null,
+                lastPagination: null,
+                lastSuccessAt: null,
+                lastGoodDataAt: null,
+                lastErrorAt: null,
+                lastError: null,
+            });
+        }
+        return this.sources.get(name);
+    }
+
+    /**
+     * Mag de bron deze poll gebruikt worden?
+     * Een open breaker waarvan de cooldown verstreken is, gaat naar half_open (probe).
+     * @param {string} name
+     * @returns {{ allowed: boolean, probe: boolean, retryAt: string|null }}
+     */
+    checkAvailability(name) {
+        const health = this._get(name);
+
+        if (health.breaker === BREAKER_STATE.OPEN) {
+            if (Date.now() < new Date(health.retryAt).getTime()) {
+                return { allowed: false, probe: false, retryAt: health.retryAt };
+            }
+            health.breaker = BREAKER_STATE.HALF_OPEN;
+            logger.info(`Circuit breaker ${name}: cooldown voorbij — probe`);
+        }
+
+        return { allowed: true, probe: health.breaker === BREAKER_STATE.HALF_OPEN, retryAt: null };
+    }
+
+    /**
+     * Staat de breaker van een bron open? (zonder naar half_open over te gaan)
+     * @param {string} name
+     * @returns {boolean}
+     */
+    isOpen(name) {
+        const health = this.sources.get(name);
+        return health?.breaker === BREAKER_STATE.OPEN && Date.now() < new Date(health.retryAt).getTime();
+    }
+
+    /**
+     * Registreer een geslaagde fetch.
+     * @param {string} name
+     * @param {{ durationMs: number, items: number, bytes: number, accepted: number, pagination?: object|null }} result
+     *   pagination: { pages, total, truncated } van een gepagineerde bron
+     */
+    recordSuccess(name, { durationMs, items, bytes, accepted, pagination = null }) {
+        const health = this._get(name);
+        const now = new Date().toISOString();
+
+        this._pushRecent(health, { ok: true, durationMs });
+        health.totals.successes++;
+        health.lastLatencyMs = durationMs;
+        health.lastPayload = { items, bytes, at: now };
+        if (pagination) health.lastPagination = { ...pagination, at: now };
+        health.lastSuccessAt = now;
+        if (accepted > 0) health.lastGoodDataAt = now;
+        health.consecutiveFailures = 0;
+
+        if (health.breaker !== BREAKER_STATE.CLOSED) {
+            logger.info(`✅ Circuit breaker ${name}: probe geslaagd — bron weer actief`);
+        }
+        health.breaker = BREAKER_STATE.CLOSED;
+        health.cooldownMs = this.baseCooldownMs;
+        health.openedAt = null;
+        health.retryAt = null;
+    }
+
+    /**
+     * Registreer een mislukte fetch (na eventuele retries).
+     * @param {string} name
+     * @param {{ durationMs: number, error: string }} result
+     */
+    recordFailure(name, { durationMs, error }) {
+        const health = this._get(name);
+        const now = new Date();
+
+        this._pushRecent(health, { ok: false, durationMs });
+        health.totals.failures++;
+        health.lastLatencyMs = durationMs;
+        health.lastErrorAt = now.toISOString();
+        health.lastError = error;
+        health.consecutiveFailures++;
+
+        if (health.breaker === BREAKER_STATE.HALF_OPEN) {
+            // Probe mislukt: langer wachten
+            health.cooldownMs = Math.min(health.cooldownMs * 2, this.maxCooldownMs);
+            this._open(health, now);
+        } else if (health.breaker === BREAKER_STATE.CLOSED && health.consecutiveFailures >= this.failureThreshold) {
+            this._open(health, now);
+        }
+    }
+
+    _open(health, now) {
+        health.breaker = BREAKER_STATE.OPEN;
+        health.openedAt = now.toISOString();
+        health.retryAt = new Date(now.getTime() + health.cooldownMs).toISOString();
+        logger.warn(
+            `⛔ Circuit breaker ${health.name} open na ${health.consecutiveFailures} fouten — ` +
+            `volgende probe om ${health.retryAt}`
+        );
+    }
+
+    _pushRecent(health, entry) {
+        health.totals.attempts++;
+        health.recent.push(entry);
+        if (health.recent.length > WINDOW_SIZE) {
+            health.recent.splice(0, health.recent.length - WINDOW_SIZE);
+        }
+    }
+
+    /**
+     * Zet de breaker van een bron handmatig terug naar closed.
+     * @param {string} name
+     * @returns {boolean} false als de bron onbekend is
+     */
+    reset(name) {
+        const health = this.sources.get(name);
+        if (!health) return false;
+        health.breaker = BREAKER_STATE.CLOSED;
+        health.consecutiveFailures = 0;
+        health.cooldownMs = this.baseCooldownMs;
+        health.openedAt = null;
+        health.retryAt = null;
+        return true;
+    }
+
+    /**
+     * Gezondheid per bron voor /api/status.
+     * @returns {object[]}
+     */
+    getHealth() {
+        return Array.from(this.sources.values()).map((health) => {
+            const { recent, ...rest } = health;
+            const successes = recent.filter((r) => r.ok).length;
+            return {
+                ...rest,
+                successRate: recent.length > 0 ? Math.round((successes / recent.length) * 100) / 100 : null,
+                avgLatencyMs: recent.length > 0
+                    ? Math.round(recent.reduce((sum, r) => sum + r.durationMs, 0) / recent.length)
+                    : null,
+            };
+        });
+    }
+}
+
+export default SourceHealthService;
@@ -0,0 +1,120 @@
+import axios from 'axios';
+import logger from '../../utils/logger.js';
+import { extractItems } from '../../utils/outage-normalizer.js';
+import { getOutageEndpoints, getOutageCoverage } from '../../utils/outage-endpoints.js';
+import { fetchAllPages, getTotalCount } from '../../utils/paginated-fetch.js';
+import OutageSource from './base-source.js';
+
+/**
+ * Auth0ApiSource — energieonderbrekingen.nl API v2
+ * Auth0 OAuth2 M2M (client credentials) → GET /api/v2/disruptions
+ * Gefilterd op dezelfde netbeheerders en netten als de publieke API (OUTAGE_DSOS / OUTAGE_NETWORKS),
+ * en net als die gepagineerd via limit/offset met OUTAGE_MAX_PAGES als veiligheidsbudget.
+ * fetchResolved() is beperkt tot RESOLVED_MAX_PAGES pagina's.
+ */
+class Auth0ApiSource extends OutageSource {
+    constructor(options = {}) {
+        super('auth0-api', { label: 'Auth0 API v2', retry: true, ...options });
+        const endpoints = getOutageEndpoints();
+        this.apiBaseUrl = endpoints.apiBaseUrl;
+        this.authUrl = endpoints.authUrl;
+        this.clientId = process.env.OUTAGE_API_CLIENT_ID;
+        this.clientSecret = process.env.OUTAGE_API_CLIENT_SECRET;
+        this.audience = process.env.OUTAGE_API_AUDIENCE || 'https://energieonderbrekingen.nl/api/v2';
+        const { dsos, networks, maxPages } = getOutageCoverage();
+        this.dsos = dsos;
+        this.networks = networks;
+        this.pageSize = 100;
+        this.maxPages = maxPages;
+        this.resolvedMaxPages = parseInt(process.env.RESOLVED_MAX_PAGES || '1', 10);
+
+        // Token cache
+        this._accessToken = null;
+        this._tokenExpiresAt = 0;
+    }
+
+    isConfigured() {
+        return Boolean(this.clientId && this.clientSecret);
+    }
+
+    async fetch() {
+        const result = await this._getDisruptions({}, this.maxPages);
+        this._recordPagination(result, this.maxPages);
+        logger.info(`API: ${result.items.length} storingen opgehaald (${result.pages} pagina's)`);
+        return result.items;
+    }
+
+    async fetchResolved() {
+        const { items } = await this._getDisruptions({ resolved: 'yes' }, this.resolvedMaxPages);
+        logger.debug(`API: ${items.length} opgeloste storingen opgehaald`);
+        return items;
+    }
+
+    getStatus() {
+        return {
+            dsos: this.dsos.length > 0 ? this.dsos : 'all',
+            networks: this.networks.length > 0 ? this.networks : 'all',
+            maxPages: this.maxPages,
+            lastPagination: this.lastPagination,
+        };
+    }
+
+    /**
+     * Haal pagina's op tot de laatste pagina of het paginabudget (zie utils/paginated-fetch.js).
+     * @param {object} params – extra queryparameters (bijv. resolved)
+     * @param {number} maxPages – veiligheidsbudget
+     * @returns {Promise<{ items: object[], pages: number, truncated: boolean, total: number|null }>}
+     */
+    async _getDisruptions(params, maxPages) {
+        const token = await this._getAccessToken();
+
+        return fetchAllPages(async ({ limit, offset }) => {
+            const query = new URLSearchParams({ ...params, limit: limit.toString(), offset: offset.toString() });
+            this.dsos.forEach((dso) => query.append('dso[]', dso));
+            this.networks.forEach((net) => query.append('network[]', net));
+
+            const response = await axios.get(`${this.apiBaseUrl}/disruptions`, {
+                params: query,
+                headers: {
+                    Authorization: `Bearer ${token}`,
+                    Accept: 'application/json',
+                },
+                timeout: 15000,
+            });
+
+            return { items: extractItems(response.data), total: getTotalCount(response) };
+        }, { pageSize: this.pageSize, maxPages });
+    }
+
+    async _getAccessToken() {
+        // Gebruik cached token als deze nog geldig is (met 60s marge)
+        if (this._accessToken && Date.now() < this._tokenExpiresAt - 60_000) {
+            return this._accessToken;
+        }
+
+        try {
+            const response = await axios.post(this.authUrl, {
+                client_id: this.clientId,
+                client_secret: this.clientSecret,
+                audience: this.audience,
+                grant_type: 'client_credentials',
+            }, {
+                headers: { 'Content-Type': 'application/json' },
+                timeout: 10000,
+            });
+
+            this._accessToken = response.data.access_token;
+            // Token geldig voor expires_in seconden (standaard ~36000 = 10 uur)
+            const expiresIn = response.data.expires_in || 36000;
+            this._tokenExpiresAt = Date.now() + expiresIn * 1000;
+
+            logger.info(`Auth0 token verkregen, geldig voor ${Math.round(expiresIn / 3600)} uur`);
+            return this._accessToken;
+        } catch (error) {
+            this._accessToken = null;
+            throw new Error(`Fout bij verkrijgen Auth0 token: ${error.message}`);
+        }
+    }
+}
+
+export default Auth0ApiSource;
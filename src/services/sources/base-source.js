@@ -0,0 +1,83 @@
+import logger from '../../utils/logger.js';
+import { normalizeOutage } from '../../utils/outage-normalizer.js';
+import { validateDisruption } from '../../utils/disruption-schema.js';
+
+/**
+ * OutageSource — Basisklasse voor alle storingsbronnen.
+ *
+ * Contract voor een bron-adapter:
+ *   fetch()            → ruwe records (array), gooit een Error bij een fout
+ *   fetchResolved()    → optioneel, recent opgeloste records (null = niet ondersteund)
+ *   validate(raw)      → { valid, errors } — afgekeurde records gaan in quarantaine
+ *   normalize(raw, i)  → genormaliseerde storing (intern datamodel)
+ *   isConfigured()     → false als de bron niet bruikbaar is (bijv. geen credentials)
+ *   getStatus()        → optioneel, bronspecifieke status voor /api/status
+ *   lastPagination     → optioneel, verloop van de laatste fetch() bij gepagineerde bronnen:
+ *                        { at, pages, items, total, truncated }; truncated = onvolledige lijst
+ *   close()            → optioneel, ruimt langlevende resources op (bijv. een browser)
+ *
+ * Opties (uit de bronconfiguratie):
+ *   fallback → 'error' (alleen doorvallen bij een fout) of 'empty' (ook bij 0 resultaten)
+ *   retry          → true om fetch() met exponential backoff te herhalen
+ *   circuitBreaker → false om de bron buiten de circuit breaker te houden (zie SourceHealthService)
+ */
+class OutageSource {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.label = options.label || name;
+        this.fallback = options.fallback || 'error';
+        this.retry = options.retry ?? false;
+        this.circuitBreaker = options.circuitBreaker ?? true;
+        this.lastPagination = null;
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async fetch() {
+        throw new Error(`Bron ${this.name} implementeert fetch() niet`);
+    }
+
+    /**
+     * Recent opgeloste storingen, met hun echte eindtijd.
+     * @returns {Promise<object[]|null>} null als de bron dit niet ondersteunt
+     */
+    async fetchResolved() {
+        return null;
+    }
+
+    validate(raw) {
+        return validateDisruption(raw);
+    }
+
+    normalize(raw) {
+        return normalizeOutage(raw);
+    }
+
+    /**
+     * Leg het verloop van een gepagineerde fetch vast (zie utils/paginated-fetch.js)
+     * en waarschuw als het veiligheidsbudget bereikt is.
+     * @param {{ items: object[], pages: number, total: number|null, truncated: boolean }} result
+     * @param {number} maxPages
+     */
+    _recordPagination({ items, pages, total, truncated }, maxPages) {
+        this.lastPagination = { at: new Date().toISOString(), pages, items: items.length, total, truncated };
+        if (truncated) {
+            logger.warn(
+                `${this.label}: veiligheidsbudget van ${maxPages} pagina's bereikt ` +
+                `(${items.length}${total !== null ? ` van ${total}` : ''} storingen) — verhoog OUTAGE_MAX_PAGES`
+            );
+        }
+    }
+
+    /**
+     * Bronspecifieke status voor /api/status (optioneel).
+     * @returns {object|null}
+     */
+    getStatus() {
+        return null;
+    }
+}
+
+export default OutageSource;
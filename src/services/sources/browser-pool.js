@@ -0,0 +1,203 @@
+import logger from '../../utils/logger.js';
+
+/**
+ * BrowserPool — Langlevende Chromium-instantie met een pool van browser contexts.
+ *
+ * Chromium wordt één keer gestart en hergebruikt tussen polls. Contexts worden
+ * na gebruik teruggelegd en na SCRAPE_CONTEXT_MAX_USES keer vervangen, zodat
+ * cookies/cache niet eindeloos groeien. Crasht de browser, dan wordt hij bij
+ * de volgende acquire() opnieuw gestart.
+ */
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+class BrowserPool {
+    constructor(options = {}) {
+        this.maxContexts = options.maxContexts || parseInt(process.env.SCRAPE_POOL_SIZE, 10) || 2;
+        this.maxContextUses = options.maxContextUses || parseInt(process.env.SCRAPE_CONTEXT_MAX_USES, 10) || 20;
+        this.healthCheckIntervalMs = options.healthCheckIntervalMs
+            || parseInt(process.env.SCRAPE_HEALTH_CHECK_MS, 10) || 5 * 60 * 1000;
+
+        this._browser = null;
+        this._launching = null;
+        this._idle = [];
+        this._inUse = new Set();
+        this._waiters = [];
+        this._lastHealthCheck = 0;
+
+        this.stats = { launches: 0, crashes: 0, contextsCreated: 0, lastLaunchAt: null, lastError: null };
+    }
+
+    // ──────────────────────────
+    //  Browser lifecycle
+    // ──────────────────────────
+
+    async _launch() {
+        // Dynamische import (playwright is een devDependency)
+        const { chromium } = await import('playwright');
+
+        const browser = await chromium.launch({
+            headless: true,
+            args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage'],
+        });
+
+        browser.on('disconnected', () => {
+            if (this._browser !== browser) return;
+            this.stats.crashes++;
+            logger.warn('BrowserPool: Chromium is weggevallen — wordt bij de volgende poll herstart');
+            this._reset();
+        });
+
+        this.stats.launches++;
+        this.stats.lastLaunchAt = new Date().toISOString();
+        this._lastHealthCheck = Date.now();
+        logger.info(`BrowserPool: Chromium gestart (launch #${this.stats.launches})`);
+        return browser;
+    }
+
+    async _getBrowser() {
+        if (this._browser && !this._browser.isConnected()) {
+            this._reset();
+        }
+        if (this._browser) return this._browser;
+
+        // Voorkom dubbele launches als meerdere acquires tegelijk binnenkomen
+        if (!this._launching) {
+            this._launching = this._launch()
+                .then((browser) => {
+                    this._browser = browser;
+                    return browser;
+                })
+                .catch((err) => {
+                    this.stats.lastError = err.message;
+                    throw err;
+                })
+                .finally(() => {
+                    this._launching = null;
+                });
+        }
+        return this._launching;
+    }
+
+    /**
+     * Vergeet de huidige browser en alle contexts (na een crash of mislukte health check).
+     */
+    _reset() {
+        const browser = this._browser;
+        this._browser = null;
+        this._idle = [];
+        this._inUse.clear();
+        // Wachtende acquires kunnen nu een nieuwe browser krijgen
+        this._waiters.splice(0).forEach((resolve) => resolve());
+        if (browser) {
+            browser.close().catch(() => {});
+        }
+    }
+
+    /**
+     * Controleer of de browser nog reageert; herstart hem zo niet.
+     * Wordt automatisch uitgevoerd bij acquire() als de laatste check te lang geleden is.
+     * @returns {Promise<boolean>}
+     */
+    async healthCheck() {
+        this._lastHealthCheck = Date.now();
+        if (!this._browser) return false;
+
+        try {
+            if (!this._browser.isConnected()) throw new Error('niet verbonden');
+            await Promise.race([
+                this._browser.version(),
+                new Promise((_, reject) => setTimeout(() => reject(new Error('timeout')), 5000)),
+            ]);
+            return true;
+        } catch (err) {
+            logger.warn(`BrowserPool: health check mislukt (${err.message}) — browser wordt herstart`);
+            this.stats.lastError = `health check: ${err.message}`;
+            this._reset();
+            return false;
+        }
+    }
+
+    // ──────────────────────────
+    //  Contexts
+    // ──────────────────────────
+
+    /**
+     * Leen een browser context uit de pool. Wacht als alle contexts in gebruik zijn.
+     * @returns {Promise<import('playwright').BrowserContext>}
+     */
+    async acquire() {
+        if (this._browser && Date.now() - this._lastHealthCheck > this.healthCheckIntervalMs) {
+            await this.healthCheck();
+        }
+
+        while (this._idle.length === 0 && this._inUse.size >= this.maxContexts) {
+            await new Promise((resolve) => this._waiters.push(resolve));
+        }
+
+        const browser = await this._getBrowser();
+        let context = this._idle.pop();
+        if (!context) {
+            context = await browser.newContext({ userAgent: USER_AGENT });
+            context._poolUses = 0;
+            this.stats.contextsCreated++;
+        }
+        context._poolUses++;
+        this._inUse.add(context);
+        return context;
+    }
+
+    /**
+     * Geef een context terug aan de pool.
+     * @param {import('playwright').BrowserContext} context
+     * @param {{ discard?: boolean }} [options] – discard: context sluiten i.p.v. hergebruiken (bijv. na een fout)
+     */
+    async release(context, { discard = false } = {}) {
+        const wasTracked = this._inUse.delete(context);
+        const reusable = wasTracked && !discard && context._poolUses < this.maxContextUses
+            && this._browser?.isConnected();
+
+        if (reusable) {
+            // Open pagina's van de vorige poll opruimen
+            await Promise.all(context.pages().map((page) => page.close().catch(() => {})));
+            this._idle.push(context);
+        } else {
+            await context.close().catch(() => {});
+        }
+
+        const waiter = this._waiters.shift();
+        if (waiter) waiter();
+    }
+
+    /**
+     * Status voor /api/status.
+     */
+    getStats() {
+        return {
+            running: Boolean(this._browser?.isConnected()),
+            idleContexts: this._idle.length,
+            activeContexts: this._inUse.size,
+            maxContexts: this.maxContexts,
+            lastHealthCheck: this._lastHealthCheck ? new Date(this._lastHealthCheck).toISOString() : null,
+            ...this.stats,
+        };
+    }
+
+    /**
+     * Sluit alle contexts en de browser.
+     */
+    async close() {
+        const browser = this._browser;
+        this._browser = null;
+        const contexts = [...this._idle, ...this._inUse];
+        this._idle = [];
+        this._inUse.clear();
+        await Promise.all(contexts.map((context) => context.close().catch(() => {})));
+        if (browser) {
+            await browser.close().catch(() => {});
+            logger.info('BrowserPool: Chromium afgesloten');
+        }
+    }
+}
+
+export default BrowserPool;
@@ -0,0 +1,108 @@
+import logger from '../../utils/logger.js';
+import PublicApiSource from './public-api-source.js';
+import Auth0ApiSource from './auth0-api-source.js';
+import PlaywrightSource from './playwright-source.js';
+import ReplaySource from './replay-source.js';
+
+/**
+ * Bron-registry — koppelt bronnamen aan adapter-klassen en bepaalt
+ * welke bronnen actief zijn, in welke volgorde en met welke fallback-regel.
+ *
+ * Configuratie via OUTAGE_SOURCES, bijv.:
+ *   OUTAGE_SOURCES=public-api:empty,playwright
+ *
+ * Per bron een optionele fallback-regel na de dubbele punt:
+ *   error  → alleen naar de volgende bron bij een fout (standaard)
+ *   empty  → ook naar de volgende bron als de bron 0 storingen levert
+ *
+ * Zonder OUTAGE_SOURCES wordt de volgorde afgeleid van DATA_SOURCE_MODE.
+ * Met REPLAY_FILE is 'replay' de enige bron (afspelen van een opname).
+ */
+
+const SOURCE_TYPES = {
+    'public-api': PublicApiSource,
+    'auth0-api': Auth0ApiSource,
+    playwright: PlaywrightSource,
+    replay: ReplaySource,
+};
+
+const FALLBACK_RULES = ['error', 'empty'];
+
+// Bronvolgorde per legacy DATA_SOURCE_MODE
+const LEGACY_MODES = {
+    // Probeer eerst directe API (sneller), val terug op Playwright
+    scrape: 'public-api:empty,playwright',
+    api: 'auth0-api',
+    // API eerst, daarna scraping als fallback
+    hybrid: 'auth0-api:empty,playwright',
+};
+
+/**
+ * Registreer een extra bron-adapter (bijv. een feed van een specifieke netbeheerder).
+ * @param {string} name – bronnaam zoals gebruikt in OUTAGE_SOURCES
+ * @param {typeof import('./base-source.js').default} SourceClass
+ */
+export function registerSourceType(name, SourceClass) {
+    SOURCE_TYPES[name] = SourceClass;
+}
+
+/**
+ * Parse een bronconfiguratie-string naar een lijst van { name, fallback }.
+ * @param {string} spec – bijv. "public-api:empty,playwright"
+ * @returns {{ name: string, fallback: string }[]}
+ */
+export function parseSourceSpec(spec) {
+    return String(spec || '')
+        .split(',')
+        .map((part) => part.trim())
+        .filter(Boolean)
+        .map((part) => {
+            const [name, fallback] = part.split(':').map((s) => s.trim());
+            if (fallback && !FALLBACK_RULES.includes(fallback)) {
+                logger.warn(`Onbekende fallback-regel "${fallback}" voor bron ${name}, gebruik "error"`);
+                return { name, fallback: 'error' };
+            }
+            return { name, fallback: fallback || 'error' };
+        });
+}
+
+/**
+ * Bepaal de bronconfiguratie uit de environment.
+ * @returns {{ name: string, fallback: string }[]}
+ */
+export function resolveSourceConfig() {
+    if (process.env.REPLAY_FILE) {
+        return parseSourceSpec('replay');
+    }
+    if (process.env.OUTAGE_SOURCES) {
+        return parseSourceSpec(process.env.OUTAGE_SOURCES);
+    }
+
+    const mode = process.env.DATA_SOURCE_MODE || 'scrape';
+    if (!LEGACY_MODES[mode]) {
+        logger.warn(`Onbekende DATA_SOURCE_MODE: ${mode}, val terug op scraping`);
+        return parseSourceSpec('playwright');
+    }
+    return parseSourceSpec(LEGACY_MODES[mode]);
+}
+
+/**
+ * Maak de geconfigureerde bron-adapters aan, in volgorde.
+ * @param {{ name: string, fallback: string }[]} [config]
+ * @returns {import('./base-source.js').default[]}
+ */
+export function createSources(config = resolveSourceConfig()) {
+    const sources = [];
+    for (const { name, fallback } of config) {
+        const SourceClass = SOURCE_TYPES[name];
+        if (!SourceClass) {
+            logger.warn(`Onbekende storingsbron "${name}" in configuratie — overgeslagen`);
+            continue;
+        }
+        sources.push(new SourceClass({ fallback, sourceTypes: SOURCE_TYPES }));
+    }
+    return sources;
+}
+
+export { SOURCE_TYPES };
+export default { createSources, resolveSourceConfig, parseSourceSpec, registerSourceType };
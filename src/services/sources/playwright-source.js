@@ -0,0 +1,194 @@
+import logger from '../../utils/logger.js';
+import { extractItems, normalizeFromDom, normalizeOutage } from '../../utils/outage-normalizer.js';
+import { getOutageEndpoints } from '../../utils/outage-endpoints.js';
+import { validateDisruption, validateDomRecord } from '../../utils/disruption-schema.js';
+import OutageSource from './base-source.js';
+import BrowserPool from './browser-pool.js';
+
+// Selector voor storingskaarten in de lijst op /onderbrekingen (DOM-fallback)
+const CARD_SELECTOR = '[class*="disruption"], [class*="outage"], [class*="storing"], [class*="ListItem"], article';
+
+const WAIT_STRATEGIES = ['response', 'selector', 'networkidle', 'fixed'];
+
+/**
+ * PlaywrightSource — Headless browser scraping van energieonderbrekingen.nl
+ *
+ * Onderschept de XHR-responses van de website. Als er geen XHR-data is,
+ * valt de bron terug op het parsen van de DOM (records met kind: 'dom').
+ * Chromium draait langdurig in een BrowserPool; elke poll leent een context.
+ *
+ * Wachtstrategie (SCRAPE_WAIT_STRATEGY):
+ *   response    → wacht tot de storingsdata binnenkomt (standaard)
+ *   selector    → wacht tot SCRAPE_WAIT_SELECTOR in de DOM staat
+ *   networkidle → wacht tot er geen netwerkverkeer meer is
+ *   fixed       → wacht vast SCRAPE_WAIT_MS (oude gedrag)
+ */
+class PlaywrightSource extends OutageSource {
+    constructor(options = {}) {
+        super('playwright', { label: 'Playwright scraper', retry: true, ...options });
+        this.targetUrl = getOutageEndpoints().siteUrl;
+        this.pool = options.pool || new BrowserPool();
+
+        const strategy = (process.env.SCRAPE_WAIT_STRATEGY || 'response').toLowerCase();
+        if (!WAIT_STRATEGIES.includes(strategy)) {
+            logger.warn(`Onbekende SCRAPE_WAIT_STRATEGY "${strategy}" — 'response' wordt gebruikt`);
+        }
+        this.waitStrategy = WAIT_STRATEGIES.includes(strategy) ? strategy : 'response';
+        this.waitTimeoutMs = parseInt(process.env.SCRAPE_WAIT_TIMEOUT_MS, 10) || 15000;
+        this.waitSelector = process.env.SCRAPE_WAIT_SELECTOR || CARD_SELECTOR;
+        this.fixedWaitMs = parseInt(process.env.SCRAPE_WAIT_MS, 10) || 8000;
+        // Na de eerste response nog even wachten op vervolgpagina's
+        this.settleMs = parseInt(process.env.SCRAPE_SETTLE_MS, 10) || 1000;
+    }
+
+    async fetch() {
+        let context = null;
+        let page = null;
+        let failed = false;
+
+        try {
+            context = await this.pool.acquire();
+            page = await context.newPage();
+
+            const interceptedData = [];
+            let onData;
+            const dataReceived = new Promise((resolve) => { onData = resolve; });
+
+            // Onderschep XHR/fetch responses die storingsdata bevatten
+            page.on('response', async (response) => {
+                try {
+                    const url = response.url();
+                    const contentType = response.headers()['content-type'] || '';
+
+                    // Log alle API-achtige calls voor debug
+                    if (url.includes('/api/')) {
+                        logger.debug(`API Call onderschept: ${url} (Status: ${response.status()}, Type: ${contentType})`);
+                    }
+
+                    if (
+                        (url.includes('/api/') && (url.includes('disruption') || url.includes('storing') || url.includes('onderbreking'))) &&
+                        response.status() === 200 &&
+                        contentType.includes('application/json')
+                    ) {
+                        const json = await response.json();
+                        interceptedData.push(json);
+                        logger.info(`✅ Data onderschept van: ${url}`);
+                        onData();
+                    }
+                } catch (e) {
+                    // Negeer parse-fouten bij niet-JSON responses
+                }
+            });
+
+            logger.info(`Scraper: navigeren naar ${this.targetUrl} (wachtstrategie: ${this.waitStrategy})...`);
+            await page.goto(this.targetUrl, {
+                waitUntil: this.waitStrategy === 'networkidle' ? 'networkidle' : 'domcontentloaded',
+                timeout: 45000,
+            });
+
+            await this._waitForData(page, dataReceived);
+
+            // Probeer ook de DOM te parsen als fallback
+            let domOutages = [];
+            try {
+                domOutages = await page.evaluate((selector) => {
+                    const cards = document.querySelectorAll(selector);
+                    return Array.from(cards).map((card) => ({
+                        text: card.textContent?.trim(),
+                        html: card.innerHTML,
+                    }));
+                }, CARD_SELECTOR);
+            } catch (e) {
+                logger.debug(`DOM parsing waarschuwing: ${e.message}`);
+                // DOM parsing mislukt — geen probleem als XHR data is onderschept
+            }
+
+            // Verwerk onderschepte data
+            const disruptions = interceptedData.flatMap((data) => extractItems(data));
+
+            if (disruptions.length > 0) {
+                logger.info(`Scraper: ${disruptions.length} incidenten onderschept via XHR`);
+                return disruptions;
+            }
+
+            // Filter alleen relevante DOM elementen (die iets van text bevatten)
+            const relevantDom = domOutages.filter(d => d.text && d.text.length > 20);
+            if (relevantDom.length > 0) {
+                logger.info(`Scraper: ${relevantDom.length} elementen gevonden in DOM via fallback`);
+                return relevantDom.map((d) => ({ kind: 'dom', ...d }));
+            }
+
+            logger.warn('Scraper: geen storingsdata gevonden. Controleer of de URL of selectors nog kloppen.');
+            return [];
+        } catch (error) {
+            failed = true;
+            // Als Playwright niet geïnstalleerd is, geef duidelijke melding
+            if (error.message.includes('Cannot find module') || error.message.includes('playwright')) {
+                logger.error(
+                    'Playwright is niet geïnstalleerd. Run: npx playwright install chromium'
+                );
+            }
+            throw new Error(`Scraping-fout: ${error.message}`);
+        } finally {
+            if (page) await page.close().catch(() => {});
+            // Na een fout een verse context gebruiken
+            if (context) await this.pool.release(context, { discard: failed });
+        }
+    }
+
+    /**
+     * Wacht volgens de ingestelde strategie tot de storingsdata geladen is.
+     * Een time-out is geen fout: daarna wordt de DOM-fallback geprobeerd.
+     */
+    async _waitForData(page, dataReceived) {
+        try {
+            switch (this.waitStrategy) {
+                case 'response': {
+                    let timer;
+                    const timedOut = new Promise((resolve) => {
+                        timer = setTimeout(() => resolve(false), this.waitTimeoutMs);
+                    });
+                    const received = await Promise.race([dataReceived.then(() => true), timedOut]);
+                    clearTimeout(timer);
+                    if (received) {
+                        await page.waitForTimeout(this.settleMs);
+                    } else {
+                        logger.warn(`Scraper: geen storingsdata binnen ${this.waitTimeoutMs}ms — DOM-fallback`);
+                    }
+                    break;
+                }
+                case 'selector':
+                    await page.waitForSelector(this.waitSelector, { timeout: this.waitTimeoutMs });
+                    break;
+                case 'networkidle':
+                    // goto wacht al op networkidle
+                    break;
+                case 'fixed':
+                    await page.waitForTimeout(this.fixedWaitMs);
+                    break;
+            }
+        } catch (err) {
+            logger.warn(`Scraper: wachten op data mislukt (${err.message})`);
+        }
+    }
+
+    getStatus() {
+        return { waitStrategy: this.waitStrategy, browser: this.pool.getStats() };
+    }
+
+    async close() {
+        await this.pool.close();
+    }
+
+    validate(raw) {
+        if (raw?.kind === 'dom') return validateDomRecord(raw);
+        return validateDisruption(raw);
+    }
+
+    normalize(raw, index) {
+        if (raw.kind === 'dom') return normalizeFromDom(raw, index);
+        return normalizeOutage(raw);
+    }
+}
+
+export default PlaywrightSource;
@@ -0,0 +1,81 @@
+import axios from 'axios';
+import logger from '../../utils/logger.js';
+import { extractItems } from '../../utils/outage-normalizer.js';
+import { getOutageEndpoints, getOutageCoverage } from '../../utils/outage-endpoints.js';
+import { fetchAllPages, getTotalCount } from '../../utils/paginated-fetch.js';
+import OutageSource from './base-source.js';
+
+/**
+ * PublicApiSource — Directe publieke API van energieonderbrekingen.nl (geen auth).
+ * Haalt alle pagina's op via limit/offset, gefilterd op de netbeheerders en netten
+ * uit OUTAGE_DSOS / OUTAGE_NETWORKS. De paginering loopt door tot de laatste pagina;
+ * OUTAGE_MAX_PAGES is alleen een veiligheidsbudget. fetchResolved() vraagt dezelfde
+ * API met resolved=yes, beperkt tot RESOLVED_MAX_PAGES pagina's.
+ */
+class PublicApiSource extends OutageSource {
+    constructor(options = {}) {
+        super('public-api', { label: 'Publieke API', ...options });
+        this.url = getOutageEndpoints().publicApiUrl;
+        this.pageSize = 100;
+        const coverage = getOutageCoverage();
+        this.dsos = coverage.dsos;
+        this.networks = coverage.networks;
+        this.maxPages = coverage.maxPages;
+        this.resolvedMaxPages = parseInt(process.env.RESOLVED_MAX_PAGES || '1', 10);
+    }
+
+    async fetch() {
+        const result = await this._fetchPages('no', this.maxPages);
+        this._recordPagination(result, this.maxPages);
+        logger.info(`Directe API: ${result.items.length} storingen opgehaald (${result.pages} pagina's)`);
+        return result.items;
+    }
+
+    async fetchResolved() {
+        const { items } = await this._fetchPages('yes', this.resolvedMaxPages);
+        logger.debug(`Directe API: ${items.length} opgeloste storingen opgehaald`);
+        return items;
+    }
+
+    getStatus() {
+        return {
+            dsos: this.dsos.length > 0 ? this.dsos : 'all',
+            networks: this.networks.length > 0 ? this.networks : 'all',
+            maxPages: this.maxPages,
+            lastPagination: this.lastPagination,
+        };
+    }
+
+    /**
+     * Haal pagina's op tot de laatste pagina of het paginabudget (zie utils/paginated-fetch.js).
+     * @param {'yes'|'no'} resolved
+     * @param {number} maxPages – veiligheidsbudget
+     * @returns {Promise<{ items: object[], pages: number, truncated: boolean, total: number|null }>}
+     */
+    _fetchPages(resolved, maxPages) {
+        return fetchAllPages(async ({ limit, offset }) => {
+            const params = new URLSearchParams({
+                limit: limit.toString(),
+                offset: offset.toString(),
+                resolved,
+            });
+            this.dsos.forEach((dso) => params.append('dso[]', dso));
+            this.networks.forEach((net) => params.append('network[]', net));
+
+            const url = `${this.url}?${params.toString()}`;
+            logger.debug(`Directe API: ophalen pagina offset=${offset}...`);
+
+            const response = await axios.get(url, {
+                headers: {
+                    Accept: 'application/json',
+                    'User-Agent': 'OffgridStoringsTracker/1.0',
+                },
+                timeout: 15000,
+            });
+
+            return { items: extractItems(response.data), total: getTotalCount(response) };
+        }, { pageSize: this.pageSize, maxPages });
+    }
+}
+
+export default PublicApiSource;
@@ -0,0 +1,109 @@
+import path from 'path';
+import logger from '../../utils/logger.js';
+import { readFrames } from '../../utils/feed-recording.js';
+import { normalizeOutage } from '../../utils/outage-normalizer.js';
+import { validateDisruption } from '../../utils/disruption-schema.js';
+import OutageSource from './base-source.js';
+
+/**
+ * ReplaySource — Speelt een opname (zie utils/feed-recording.js) frame voor frame af.
+ *
+ * Elke fetch() levert de ruwe payloads van het volgende frame. Records worden
+ * genormaliseerd door de adapter die ze oorspronkelijk opleverde, zodat een
+ * replay dezelfde storingen oplevert als de originele poll. Een frame waarin
+ * alle bronnen faalden, faalt ook bij het afspelen. Frames met kind: 'resolved'
+ * (opgeloste storingen) horen bij het poll-frame met hetzelfde seq.
+ */
+class ReplaySource extends OutageSource {
+    constructor(options = {}) {
+        // Een replay moet elk frame afspelen, ook na opgenomen fouten
+        super('replay', { label: 'Replay', ...options, circuitBreaker: false });
+        this.file = process.env.REPLAY_FILE ? path.resolve(process.env.REPLAY_FILE) : null;
+        this.sourceTypes = options.sourceTypes || {};
+        const frames = this.file ? readFrames(this.file) : [];
+        this.frames = frames.filter((f) => f.kind !== 'resolved');
+        this.resolvedFrames = new Map(frames.filter((f) => f.kind === 'resolved').map((f) => [f.seq, f]));
+        this.position = 0;
+        this._delegates = {};
+
+        if (this.file) {
+            logger.info(`Replay: ${this.frames.length} frames geladen uit ${this.file}`);
+        }
+    }
+
+    isConfigured() {
+        return this.file !== null;
+    }
+
+    /**
+     * Zijn er nog frames om af te spelen?
+     */
+    hasMore() {
+        return this.position < this.frames.length;
+    }
+
+    /**
+     * Wachttijd tot het volgende frame, op basis van de opgenomen tijdstippen.
+     * @param {number} speed – 1 = realtime, 60 = 60x versneld, 0 = zo snel mogelijk
+     * @returns {number} milliseconden
+     */
+    delayUntilNext(speed = 1) {
+        if (speed <= 0 || this.position === 0 || !this.hasMore()) return 0;
+        const previous = new Date(this.frames[this.position - 1].recordedAt).getTime();
+        const next = new Date(this.frames[this.position].recordedAt).getTime();
+        return Math.max(0, (next - previous) / speed);
+    }
+
+    async fetch() {
+        if (!this.hasMore()) {
+            throw new Error('Replay voltooid — geen frames meer');
+        }
+
+        const frame = this.frames[this.position++];
+        logger.info(`Replay: frame ${this.position}/${this.frames.length} (opgenomen ${frame.recordedAt})`);
+
+        if (!frame.payloads || frame.payloads.length === 0) {
+            throw new Error(`Opgenomen poll #${frame.seq} faalde (${this._describeErrors(frame)})`);
+        }
+
+        return frame.payloads.flatMap(({ source, items }) =>
+            (items || []).map((raw) => ({ source, raw }))
+        );
+    }
+
+    async fetchResolved() {
+        const current = this.frames[this.position - 1];
+        const frame = current ? this.resolvedFrames.get(current.seq) : null;
+        if (!frame) return null;
+
+        return frame.payloads.flatMap(({ source, items }) =>
+            (items || []).map((raw) => ({ source, raw }))
+        );
+    }
+
+    validate(entry) {
+        const delegate = this._getDelegate(entry.source);
+        return delegate ? delegate.validate(entry.raw) : validateDisruption(entry.raw);
+    }
+
+    normalize(entry, index) {
+        const delegate = this._getDelegate(entry.source);
+        return delegate ? delegate.normalize(entry.raw, index) : normalizeOutage(entry.raw);
+    }
+
+    _getDelegate(name) {
+        if (!this._delegates[name] && this.sourceTypes[name] && name !== this.name) {
+            this._delegates[name] = new this.sourceTypes[name]();
+        }
+        return this._delegates[name] || null;
+    }
+
+    _describeErrors(frame) {
+        return (frame.attempts || [])
+            .filter((a) => a.error)
+            .map((a) => `${a.source}: ${a.error}`)
+            .join('; ') || 'geen bronnen';
+    }
+}
+
+export default ReplaySource;
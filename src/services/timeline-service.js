@@ -0,0 +1,105 @@
+import logger from '../utils/logger.js';
+import { save, load } from '../utils/persistence.js';
+
+/**
+ * TimelineService — Volledige tijdlijn per storing
+ *
+ * Het globale event log houdt maar 200 regels vast. Hier krijgt elke storing
+ * een eigen tijdlijn: eerst gezien, elke inhoudelijke wijziging, campagnes
+ * gestart of gepauzeerd en de oplossing. Tijdlijnen blijven OUTAGE_HISTORY_DAYS
+ * dagen na het laatste event bewaard, ook als de storing allang uit
+ * resolvedOutages verdwenen is.
+ */
+
+// Bovengrens per storing (een storing die wekenlang flappert)
+const MAX_ENTRIES_PER_OUTAGE = 500;
+
+class TimelineService {
+    constructor() {
+        this.retentionDays = parseFloat(process.env.OUTAGE_HISTORY_DAYS || '30');
+
+        // Map<outageId, { id, city, entries: object[] }>
+        this.timelines = new Map();
+
+        this._loadState();
+    }
+
+    _loadState() {
+        for (const timeline of load('outage_timelines', [])) {
+            this.timelines.set(timeline.id, timeline);
+        }
+    }
+
+    /**
+     * Sla alle tijdlijnen op naar disk (na het opruimen van verlopen tijdlijnen).
+     */
+    persist() {
+        this.cleanup();
+        save('outage_timelines', Array.from(this.timelines.values()));
+    }
+
+    /**
+     * Voeg een event toe aan de tijdlijn van een storing.
+     * @param {string} outageId
+     * @param {string} type – zelfde types als het event log (bijv. 'new_outage', 'eta_changed')
+     * @param {string} message
+     * @param {object} [data]
+     * @param {object} [options]
+     * @param {string} [options.timestamp] – afwijkend tijdstip (bijv. _firstSeen)
+     * @param {string} [options.city]
+     */
+    record(outageId, type, message, data = {}, { timestamp, city } = {}) {
+        if (!outageId) return;
+
+        if (!this.timelines.has(outageId)) {
+            this.timelines.set(outageId, { id: outageId, city: city || null, entries: [] });
+        }
+        const timeline = this.timelines.get(outageId);
+        if (city) timeline.city = city;
+
+        timeline.entries.push({
+            timestamp: timestamp || new Date().toISOString(),
+            type,
+            message,
+            data,
+        });
+
+        if (timeline.entries.length > MAX_ENTRIES_PER_OUTAGE) {
+            timeline.entries.splice(0, timeline.entries.length - MAX_ENTRIES_PER_OUTAGE);
+        }
+    }
+
+    /**
+     * Tijdlijn van één storing, oudste event eerst.
+     * @param {string} outageId
+     * @returns {{ id: string, city: string|null, entries: object[] }|null}
+     */
+    getTimeline(outageId) {
+        const timeline = this.timelines.get(outageId);
+        if (!timeline) return null;
+        return {
+            ...timeline,
+            entries: [...timeline.entries].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp)),
+        };
+    }
+
+    /**
+     * Verwijder tijdlijnen waarvan het laatste event ouder is dan de bewaartermijn.
+     */
+    cleanup() {
+        const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+        let removed = 0;
+        for (const [id, timeline] of this.timelines) {
+            const last = timeline.entries[timeline.entries.length - 1];
+            if (!last || new Date(last.timestamp).getTime() < cutoff) {
+                this.timelines.delete(id);
+                removed++;
+            }
+        }
+        if (removed > 0) {
+            logger.debug(`TimelineService: ${removed} verlopen tijdlijnen verwijderd`);
+        }
+    }
+}
+
+export default TimelineService;
@@ -0,0 +1,114 @@
+/**
+ * Looptijd van campagnes, op basis van de verwachte eindtijd van de storing.
+ *
+ * Regels, in volgorde:
+ *   custom       → handmatig gekozen looptijd (customDuration), zonder grenzen
+ *   expected-end → verwachte eindtijd (period.expectedEnd) plus de nazorgperiode
+ *   default      → geen eindtijd bekend: CAMPAIGN_DURATION_HOURS
+ *
+ * Behalve bij custom valt de looptijd altijd tussen CAMPAIGN_MIN_DURATION_HOURS
+ * en CAMPAIGN_MAX_DURATION_HOURS. Een verwachte eindtijd die al voorbij is geeft
+ * dus de minimale looptijd. Google en Meta krijgen dezelfde eindtijd; die wordt
+ * opnieuw berekend als de netbeheerder de verwachte eindtijd aanpast. De looptijd
+ * telt dan vanaf de start van de campagne (start), zodat de grenzen voor de hele
+ * looptijd gelden en niet bij elke aanpassing opnieuw vanaf nu.
+ *
+ * CAMPAIGN_AFTERCARE_HOURS: nazorg na de verwachte eindtijd (mensen oriënteren zich
+ * vaak pas op een thuisbatterij als de stroom terug is).
+ */
+
+export const DURATION_RULES = {
+    CUSTOM: 'custom',
+    EXPECTED_END: 'expected-end',
+    DEFAULT: 'default',
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Instellingen uit de omgeving (bij elke aanroep gelezen).
+ * @returns {{ defaultHours: number, aftercareHours: number, minHours: number, maxHours: number }}
+ */
+export function getDurationSettings() {
+    const hours = (name, fallback) => {
+        const value = parseFloat(process.env[name] || '');
+        return Number.isFinite(value) && value >= 0 ? value : fallback;
+    };
+    const minHours = hours('CAMPAIGN_MIN_DURATION_HOURS', 12);
+    return {
+        defaultHours: hours('CAMPAIGN_DURATION_HOURS', 72),
+        aftercareHours: hours('CAMPAIGN_AFTERCARE_HOURS', 24),
+        minHours,
+        maxHours: Math.max(minHours, hours('CAMPAIGN_MAX_DURATION_HOURS', 72)),
+    };
+}
+
+/**
+ * Eindtijd van een campagne voor een storing of incident.
+ * @param {object} outage – verrijkte storing of incident
+ * @param {object} [options]
+ * @param {number} [options.customDuration] – handmatige looptijd in uren
+ * @param {Date|string} [options.start] – start van een lopende campagne (standaard nu)
+ * @param {Date} [options.now]
+ * @returns {{ endTime: string, durationHours: number, rule: string, expectedEnd: string|null, bounded: 'min'|'max'|null }}
+ *   durationHours: looptijd vanaf start; de eindtijd ligt nooit vóór nu
+ */
+export function getCampaignEndTime(outage, { customDuration = null, start = null, now = new Date() } = {}) {
+    const settings = getDurationSettings();
+    const from = start ? new Date(start) : now;
+    const expected = new Date(outage?.period?.expectedEnd || '');
+    const expectedEnd = Number.isNaN(expected.getTime()) ? null : expected.toISOString();
+    const build = (hours, rule, bounded) => ({
+        endTime: new Date(Math.max(from.getTime() + hours * HOUR_MS, now.getTime())).toISOString(),
+        durationHours: Math.round(hours * 10) / 10,
+        rule,
+        expectedEnd,
+        bounded,
+    });
+
+    if (Number.isFinite(customDuration) && customDuration > 0) {
+        return build(customDuration, DURATION_RULES.CUSTOM, null);
+    }
+
+    const rule = expectedEnd ? DURATION_RULES.EXPECTED_END : DURATION_RULES.DEFAULT;
+    const wanted = expectedEnd
+        ? (expected.getTime() - from.getTime()) / HOUR_MS + settings.aftercareHours
+        : settings.defaultHours;
+
+    if (wanted < settings.minHours) return build(settings.minHours, rule, 'min');
+    if (wanted > settings.maxHours) return build(settings.maxHours, rule, 'max');
+    return build(wanted, rule, null);
+}
+
+/**
+ * Moet de eindtijd van een lopende campagne opnieuw berekend worden?
+ * Alleen als de verwachte eindtijd veranderd is sinds de vorige berekening,
+ * en niet bij een handmatige looptijd.
+ * @param {object} campaign – geregistreerde campagne (met duration)
+ * @param {object} outage – het incident van de campagne
+ */
+export function needsNewEndTime(campaign, outage) {
+    if (!campaign?.duration || campaign.duration.rule === DURATION_RULES.CUSTOM || campaign.scheduled) return false;
+    const current = new Date(campaign.duration.expectedEnd || '').getTime();
+    const next = new Date(outage?.period?.expectedEnd || '').getTime();
+    if (Number.isNaN(current) && Number.isNaN(next)) return false;
+    return current !== next;
+}
+
+/**
+ * Korte omschrijving voor het event log, bijv. "verwachte eindtijd + 24 uur nazorg".
+ * @param {{ rule: string, bounded: string|null }} duration
+ */
+export function describeDuration({ rule, bounded }) {
+    const { aftercareHours, minHours, maxHours } = getDurationSettings();
+    const base = {
+        [DURATION_RULES.CUSTOM]: 'handmatige looptijd',
+        [DURATION_RULES.EXPECTED_END]: `verwachte eindtijd + ${aftercareHours} uur nazorg`,
+        [DURATION_RULES.DEFAULT]: 'geen verwachte eindtijd, standaardlooptijd',
+    }[rule] || rule;
+    if (bounded === 'min') return `${base}, minimaal ${minHours} uur`;
+    if (bounded === 'max') return `${base}, maximaal ${maxHours} uur`;
+    return base;
+}
+
+export default { getCampaignEndTime, getDurationSettings, needsNewEndTime, describeDuration, DURATION_RULES };
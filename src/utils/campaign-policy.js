@@ -0,0 +1,178 @@
+import fs from 'fs';
+import path from 'path';
+import logger from './logger.js';
+import { amsterdamHour, inRange, inList, inHours, checkRule } from './rule-matching.js';
+
+/**
+ * Campagnebeleid: wat te doen met een nieuwe storing (of het incident waar hij bij hoort).
+ *
+ * Acties:
+ *   launch → campagnes direct starten
+ *   queue  → voorleggen aan het team (handmatig starten)
+ *   ignore → geen campagne
+ *
+ * Vaste uitzonderingen gaan voor de regels: gas-storingen, uitgesloten oorzaken
+ * (CAMPAIGN_EXCLUDED_CAUSES) en incidenten waarvoor al een campagne loopt worden genegeerd.
+ * Daarna wint de eerste regel waarvan alle voorwaarden kloppen; zonder passende regel: ignore.
+ *
+ * Voorwaarden (allemaal optioneel):
+ *   severities:      ['critical']          – ernstniveau (utils/severity-rules.js)
+ *   provinces:       ['Noord-Brabant']     – provincie
+ *   cities:          ['Tilburg']           – plaats
+ *   postcodes:       ['50', '5611']        – begin van minstens één getroffen postcode
+ *   hours:           { from: 22, to: 7 }   – uur van de dag in Nederland
+ *   budgetRemaining: { min: 50 }           – resterend dagbudget in €, laagste van de actieve platforms
+ *
+ * CAMPAIGN_POLICY_MODE: off (niet beslissen), dry-run (alleen loggen, standaard) of live.
+ * Eigen regels via CAMPAIGN_POLICY_FILE (JSON-array in hetzelfde formaat als DEFAULT_POLICY_RULES).
+ */
+
+export const POLICY_ACTIONS = {
+    LAUNCH: 'launch',
+    QUEUE: 'queue',
+    IGNORE: 'ignore',
+};
+
+export const POLICY_MODES = ['off', 'dry-run', 'live'];
+
+export const DEFAULT_POLICY_RULES = [
+    { name: 'kritiek-starten', when: { severities: ['critical'], budgetRemaining: { min: 1 } }, action: 'launch' },
+    { name: 'groot-voorleggen', when: { severities: ['major'] }, action: 'queue' },
+    { name: 'klein-negeren', when: {}, action: 'ignore' },
+];
+
+const CONDITIONS = ['severities', 'provinces', 'cities', 'postcodes', 'hours', 'budgetRemaining'];
+
+let policyRules = null;
+
+/**
+ * Beleidsmodus uit CAMPAIGN_POLICY_MODE (onbekende waarde → dry-run).
+ * @returns {'off'|'dry-run'|'live'}
+ */
+export function getPolicyMode() {
+    const mode = (process.env.CAMPAIGN_POLICY_MODE || 'dry-run').toLowerCase();
+    return POLICY_MODES.includes(mode) ? mode : 'dry-run';
+}
+
+/**
+ * Laad de regels: CAMPAIGN_POLICY_FILE of de standaardregels.
+ * @returns {{ rules: object[], source: string }}
+ */
+export function loadPolicyRules() {
+    if (policyRules) return policyRules;
+
+    policyRules = { rules: DEFAULT_POLICY_RULES, source: 'default' };
+    const file = process.env.CAMPAIGN_POLICY_FILE;
+    if (!file) return policyRules;
+
+    try {
+        const raw = JSON.parse(fs.readFileSync(path.resolve(file), 'utf-8'));
+        if (!Array.isArray(raw) || raw.length === 0) throw new Error('verwacht een JSON-array met minstens één regel');
+        const rules = raw.map((rule, index) => {
+            const name = rule?.name || `regel-${index + 1}`;
+            if (!Object.values(POLICY_ACTIONS).includes(rule?.action)) {
+                throw new Error(`regel "${name}": onbekende actie "${rule?.action}"`);
+            }
+            const unknown = Object.keys(rule.when || {}).filter((key) => !CONDITIONS.includes(key));
+            if (unknown.length > 0) throw new Error(`regel "${name}": onbekende voorwaarde(n) ${unknown.join(', ')}`);
+            return { ...rule, name, when: rule.when || {} };
+        });
+        policyRules = { rules, source: file };
+        logger.info(`Campagnebeleid geladen: ${rules.length} regels uit ${file}`);
+    } catch (err) {
+        logger.error(`Kan campagnebeleid niet laden (${file}): ${err.message} — standaardregels gebruikt`);
+    }
+    return policyRules;
+}
+
+/**
+ * De waarden waarop het beleid beslist.
+ * @param {object} outage – verrijkte storing of incident
+ * @param {object} [context]
+ * @param {number} [context.budgetRemaining] – resterend dagbudget in € (laagste van de actieve platforms)
+ * @param {Date} [context.now]
+ */
+export function getPolicyFacts(outage, { budgetRemaining = Infinity, now = new Date() } = {}) {
+    return {
+        severity: outage?._severity?.level || 'minor',
+        province: outage?._province || '',
+        city: outage?._city || '',
+        postcodes: String(outage?._postcode || '').split(';').map((pc) => pc.trim().toUpperCase()).filter(Boolean),
+        hour: amsterdamHour(now),
+        budgetRemaining,
+    };
+}
+
+const CHECKS = {
+    severities: (facts, expected) => ({ actual: facts.severity, ok: inList(facts.severity, expected) }),
+    provinces: (facts, expected) => ({ actual: facts.province, ok: inList(facts.province, expected) }),
+    cities: (facts, expected) => ({ actual: facts.city, ok: inList(facts.city, expected) }),
+    postcodes: (facts, expected) => ({
+        actual: facts.postcodes,
+        ok: facts.postcodes.some((pc) => expected.some((prefix) => pc.startsWith(String(prefix).toUpperCase()))),
+    }),
+    hours: (facts, expected) => ({ actual: facts.hour, ok: inHours(facts.hour, expected) }),
+    budgetRemaining: (facts, expected) => ({ actual: facts.budgetRemaining, ok: inRange(facts.budgetRemaining, expected) }),
+};
+
+/**
+ * Vaste uitzonderingen die vóór de regels gaan.
+ * @returns {string|null} reden om te negeren
+ */
+function getExemption(outage, { hasActiveCampaign = false } = {}) {
+    if (outage?.network?.type === 'gas') return 'gas-storing';
+    if (outage?._campaignEligible === false) return `oorzaak uitgesloten (${outage._cause?.label || 'onbekend'})`;
+    if (hasActiveCampaign) return 'campagne loopt al voor dit incident';
+    return null;
+}
+
+/**
+ * Beslis wat er met een storing moet gebeuren.
+ * @param {object} outage – verrijkte storing of incident
+ * @param {object} [context] – { budgetRemaining, hasActiveCampaign, now }
+ * @returns {{ action: string, rule: string|null, reason: string, mode: string, decidedAt: string }}
+ */
+export function decideCampaign(outage, context = {}) {
+    const mode = getPolicyMode();
+    const decidedAt = (context.now || new Date()).toISOString();
+
+    const exemption = getExemption(outage, context);
+    if (exemption) {
+        return { action: POLICY_ACTIONS.IGNORE, rule: null, reason: exemption, mode, decidedAt };
+    }
+
+    const facts = getPolicyFacts(outage, context);
+    const rule = loadPolicyRules().rules.find((r) => checkRule(r, facts, CHECKS).matched);
+    if (!rule) {
+        return { action: POLICY_ACTIONS.IGNORE, rule: null, reason: 'geen passende regel', mode, decidedAt };
+    }
+    return { action: rule.action, rule: rule.name, reason: `regel ${rule.name}`, mode, decidedAt };
+}
+
+/**
+ * Leg de beslissing uit, met per regel de uitkomst van elke voorwaarde.
+ * @param {object} outage
+ * @param {object} [context] – { budgetRemaining, hasActiveCampaign, now }
+ */
+export function explainPolicy(outage, context = {}) {
+    const { rules, source } = loadPolicyRules();
+    const facts = getPolicyFacts(outage, context);
+    const decision = decideCampaign(outage, context);
+    const exempt = Boolean(getExemption(outage, context));
+    const firedIndex = rules.findIndex((r) => r.name === decision.rule);
+
+    return {
+        decision,
+        facts,
+        source,
+        rules: rules.map((rule, index) => ({
+            name: rule.name,
+            action: rule.action,
+            ...checkRule(rule, facts, CHECKS),
+            fired: index === firedIndex,
+            evaluated: !exempt && (firedIndex === -1 || index <= firedIndex),
+        })),
+    };
+}
+
+export default { getPolicyMode, loadPolicyRules, getPolicyFacts, decideCampaign, explainPolicy, POLICY_ACTIONS };
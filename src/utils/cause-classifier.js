@@ -0,0 +1,133 @@
+import fs from 'fs';
+import path from 'path';
+import logger from './logger.js';
+
+/**
+ * Classificatie van de oorzaak van een storing.
+ *
+ * De vrije tekst in `cause` en `message` wordt met een set regels (trefwoorden)
+ * ingedeeld in een categorie. De eerste regel met een passend trefwoord wint;
+ * de oorzaak weegt daarbij zwaarder dan het bericht. Geplande onderbrekingen
+ * (kind: 'planned') zijn altijd 'planned'.
+ *
+ * Eigen regels via CAUSE_RULES_FILE (JSON-array in hetzelfde formaat als DEFAULT_CAUSE_RULES).
+ * Resultaat: { category, label, matched } — matched is het gevonden trefwoord of null.
+ */
+
+export const DEFAULT_CAUSE_RULES = [
+    {
+        category: 'digging',
+        label: 'Graafschade',
+        keywords: ['graaf', 'graven', 'gegraven', 'graafmachine', 'graafwerk', 'kraan', 'beschadigd door derden', 'boring', 'heiwerk'],
+    },
+    {
+        category: 'planned',
+        label: 'Gepland onderhoud',
+        keywords: ['gepland', 'onderhoud', 'werkzaamheden aan het net', 'vervanging', 'ombouw', 'aansluiting wijk'],
+    },
+    {
+        category: 'overload',
+        label: 'Overbelasting',
+        keywords: ['overbelast', 'netcongestie', 'congestie', 'te hoge belasting', 'capaciteit'],
+    },
+    {
+        category: 'weather',
+        label: 'Storm/weer',
+        keywords: ['storm', 'onweer', 'bliksem', 'blikseminslag', 'wind', 'omgewaaid', 'boom', 'hitte', 'wateroverlast', 'overstroming', 'vorst', 'ijzel'],
+    },
+    {
+        category: 'equipment',
+        label: 'Defect in het net',
+        keywords: ['kabelstoring', 'kabelfout', 'moffenstoring', 'defect', 'transformator', 'middenspanning', 'laagspanning', 'lekkage', 'kortsluiting'],
+    },
+];
+
+const UNKNOWN = { category: 'unknown', label: 'Onbekend', matched: null };
+
+let causeRules = null;
+
+/**
+ * Laad de regels: CAUSE_RULES_FILE of de standaardregels.
+ * @returns {{ category: string, label: string, keywords: string[] }[]}
+ */
+export function loadCauseRules() {
+    if (causeRules) return causeRules;
+
+    causeRules = DEFAULT_CAUSE_RULES;
+    const file = process.env.CAUSE_RULES_FILE;
+    if (!file) return causeRules;
+
+    try {
+        const raw = JSON.parse(fs.readFileSync(path.resolve(file), 'utf-8'));
+        if (!Array.isArray(raw)) throw new Error('verwacht een JSON-array met regels');
+        const rules = raw
+            .filter((rule) => rule?.category && Array.isArray(rule.keywords) && rule.keywords.length > 0)
+            .map((rule) => ({
+                category: String(rule.category),
+                label: String(rule.label || rule.category),
+                keywords: rule.keywords.map((kw) => String(kw).toLowerCase()),
+            }));
+        causeRules = rules;
+        logger.info(`Oorzaakregels geladen: ${rules.length} categorieën uit ${file}`);
+    } catch (err) {
+        logger.error(`Kan oorzaakregels niet laden (${file}): ${err.message} — standaardregels gebruikt`);
+    }
+    return causeRules;
+}
+
+function findRule(text, rules) {
+    const haystack = String(text || '').toLowerCase();
+    if (!haystack.trim()) return null;
+    for (const rule of rules) {
+        const keyword = rule.keywords.find((kw) => haystack.includes(kw));
+        if (keyword) return { category: rule.category, label: rule.label, matched: keyword };
+    }
+    return null;
+}
+
+/**
+ * Deel een storing in naar oorzaak.
+ * @param {object} outage – genormaliseerde storing
+ * @returns {{ category: string, label: string, matched: string|null }}
+ */
+export function classifyCause(outage) {
+    const rules = loadCauseRules();
+
+    if (outage?.kind === 'planned') {
+        const planned = rules.find((rule) => rule.category === 'planned');
+        return { category: 'planned', label: planned?.label || 'Gepland onderhoud', matched: null };
+    }
+
+    return findRule(outage?.cause, rules) || findRule(outage?.message, rules) || { ...UNKNOWN };
+}
+
+/**
+ * Categorieën waarvoor geen campagnes gestart worden (CAMPAIGN_EXCLUDED_CAUSES, komma-gescheiden).
+ * @returns {string[]}
+ */
+export function getExcludedCauses() {
+    const value = process.env.CAMPAIGN_EXCLUDED_CAUSES ?? 'digging';
+    return value.split(',').map((c) => c.trim()).filter(Boolean);
+}
+
+/**
+ * Mag er voor deze oorzaak geadverteerd worden?
+ * @param {{ category: string }|null} cause – resultaat van classifyCause
+ * @returns {boolean}
+ */
+export function isCauseEligible(cause) {
+    return !getExcludedCauses().includes(cause?.category);
+}
+
+/**
+ * Alle categorieën (voor filters in het dashboard).
+ * @returns {{ category: string, label: string }[]}
+ */
+export function getCauseCategories() {
+    return [
+        ...loadCauseRules().map(({ category, label }) => ({ category, label })),
+        { category: UNKNOWN.category, label: UNKNOWN.label },
+    ];
+}
+
+export default { classifyCause, loadCauseRules, getExcludedCauses, isCauseEligible, getCauseCategories };
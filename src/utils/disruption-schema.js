@@ -0,0 +1,145 @@
+/**
+ * Schema-validatie voor ruwe storingsrecords.
+ *
+ * Records die niet door de validatie komen worden niet genormaliseerd, maar
+ * in quarantaine gezet (zie services/quarantine-service.js). Zo verzinnen we
+ * geen ids of coördinaten voor records die we niet begrijpen.
+ */
+
+const NETWORK_TYPES = ['electricity', 'gas'];
+const POSTCODE_PATTERN = /^\d{4}(\s?[A-Za-z]{2})?$/;
+
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim().length > 0;
+}
+
+function isValidDate(value) {
+    return isNonEmptyString(value) && !Number.isNaN(new Date(value).getTime());
+}
+
+/**
+ * Controleer recursief of coördinaten een (geneste) array van eindige getallen zijn.
+ */
+function isCoordinateArray(value) {
+    if (!Array.isArray(value) || value.length === 0) return false;
+    if (value.every((v) => typeof v === 'number')) {
+        return value.length >= 2 && value.every(Number.isFinite) && !value.every((v) => v === 0);
+    }
+    return value.every(isCoordinateArray);
+}
+
+/**
+ * Valideer een ruw record van de publieke API, de Auth0 API of onderschepte XHR-data.
+ * Accepteert dezelfde aliassen als normalizeOutage (startTime, postcode, stad, ...).
+ * @param {any} raw – ruw storingsrecord
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateDisruption(raw) {
+    const errors = [];
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { valid: false, errors: ['record is geen object'] };
+    }
+
+    // Identiteit
+    const id = raw.id ?? raw._id;
+    if (!(isNonEmptyString(id) || (typeof id === 'number' && Number.isFinite(id)))) {
+        errors.push('id ontbreekt of is leeg');
+    }
+
+    // Periode
+    const begin = raw.period?.begin || raw.startTime || raw.begin;
+    if (!isValidDate(begin)) {
+        errors.push(`period.begin ontbreekt of is geen geldige datum (${JSON.stringify(begin ?? null)})`);
+    }
+    for (const [field, value] of [
+        ['period.end', raw.period?.end || raw.endTime || raw.end],
+        ['period.expectedEnd', raw.period?.expectedEnd || raw.expectedEnd],
+    ]) {
+        if (value && !isValidDate(value)) {
+            errors.push(`${field} is geen geldige datum (${JSON.stringify(value)})`);
+        }
+    }
+
+    // Netwerk
+    const networkType = raw.network?.type || raw.energieType;
+    if (networkType !== undefined && !NETWORK_TYPES.includes(networkType)) {
+        errors.push(`network.type "${networkType}" is onbekend`);
+    }
+
+    // Netbeheerder
+    const organisation = raw.source?.organisation ?? raw.netbeheerder;
+    if (organisation !== undefined && typeof organisation !== 'string') {
+        errors.push('source.organisation is geen tekst');
+    }
+
+    // Locatie: minimaal geldige postcodes of geldige coördinaten
+    const postalCode = raw.location?.features?.properties?.postalCode ?? raw.postcode ?? raw.postalCode;
+    const coordinates = raw.location?.features?.geometry?.coordinates
+        ?? raw.geometry?.coordinates
+        ?? (raw.lat !== undefined ? [raw.lat, raw.lng] : undefined)
+        ?? (raw.latitude !== undefined ? [raw.latitude, raw.longitude] : undefined);
+
+    let hasPostcodes = false;
+    if (postalCode !== undefined && postalCode !== '') {
+        if (typeof postalCode !== 'string') {
+            errors.push('postalCode is geen tekst');
+        } else {
+            const postcodes = postalCode.split(';').map((pc) => pc.trim()).filter(Boolean);
+            const invalid = postcodes.filter((pc) => !POSTCODE_PATTERN.test(pc));
+            if (invalid.length > 0) {
+                errors.push(`ongeldige postcode(s): ${invalid.slice(0, 5).join(', ')}`);
+            }
+            hasPostcodes = postcodes.length > 0 && invalid.length === 0;
+        }
+    }
+
+    let hasCoordinates = false;
+    if (coordinates !== undefined && coordinates !== null) {
+        if (isCoordinateArray(coordinates)) {
+            hasCoordinates = true;
+        } else {
+            errors.push(`coördinaten ongeldig (${JSON.stringify(coordinates).substring(0, 80)})`);
+        }
+    }
+
+    if (!hasPostcodes && !hasCoordinates) {
+        errors.push('geen geldige locatie (postcodes of coördinaten)');
+    }
+
+    // Vrije tekstvelden
+    for (const [field, value] of [
+        ['city', raw.location?.features?.properties?.city ?? raw.stad ?? raw.city],
+        ['street', raw.location?.features?.properties?.street ?? raw.straat ?? raw.street],
+        ['cause', raw.cause ?? raw.oorzaak],
+        ['message', raw.message ?? raw.bericht],
+    ]) {
+        if (value !== undefined && value !== null && typeof value !== 'string') {
+            errors.push(`${field} is geen tekst`);
+        }
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Valideer een DOM-record van de Playwright fallback.
+ * Zonder postcode kunnen we niet targeten, dus die is verplicht.
+ * @param {any} raw – { text, html }
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateDomRecord(raw) {
+    const errors = [];
+    const text = raw?.text || '';
+
+    if (text.length <= 20) {
+        errors.push('DOM-element bevat te weinig tekst');
+    }
+    if (!/\b\d{4}\s?[A-Z]{2}\b/.test(text)) {
+        errors.push('DOM-element bevat geen postcode');
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+export default { validateDisruption, validateDomRecord };
@@ -0,0 +1,61 @@
+import fs from 'fs';
+import path from 'path';
+import logger from './logger.js';
+import { dataPath } from './persistence.js';
+
+/**
+ * Opnames van ruwe feed-payloads (JSON Lines, één frame per regel).
+ *
+ * Een frame beschrijft één fetchOutages-aanroep:
+ *   { seq, recordedAt, strategy, attempts: [...], payloads: [{ source, items }] }
+ */
+
+/**
+ * Bepaal het opnamebestand voor vandaag: <RECORD_DIR>/feed-YYYY-MM-DD.jsonl
+ * @returns {string}
+ */
+export function getRecordingFile() {
+    const dir = process.env.RECORD_DIR
+        ? path.resolve(process.env.RECORD_DIR)
+        : dataPath('recordings');
+    const day = new Date().toISOString().split('T')[0];
+    return path.join(dir, `feed-${day}.jsonl`);
+}
+
+/**
+ * Voeg een frame toe aan een opnamebestand.
+ * @param {string} filePath – pad naar het .jsonl bestand
+ * @param {object} frame – te schrijven frame
+ */
+export function appendFrame(filePath, frame) {
+    try {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.appendFileSync(filePath, `${JSON.stringify(frame)}\n`, 'utf-8');
+        logger.debug(`Opname: frame #${frame.seq} geschreven naar ${filePath}`);
+    } catch (error) {
+        logger.error(`Opname: fout bij schrijven frame: ${error.message}`);
+    }
+}
+
+/**
+ * Lees alle frames uit een opnamebestand, gesorteerd op tijdstip.
+ * Ongeldige regels worden overgeslagen.
+ * @param {string} filePath – pad naar het .jsonl bestand
+ * @returns {object[]}
+ */
+export function readFrames(filePath) {
+    const lines = fs.readFileSync(filePath, 'utf-8').split('\n').filter(Boolean);
+    const frames = [];
+
+    lines.forEach((line, index) => {
+        try {
+            frames.push(JSON.parse(line));
+        } catch {
+            logger.warn(`Opname: regel ${index + 1} in ${filePath} is geen geldige JSON — overgeslagen`);
+        }
+    });
+
+    return frames.sort((a, b) => new Date(a.recordedAt) - new Date(b.recordedAt));
+}
+
+export default { getRecordingFile, appendFrame, readFrames };
@@ -0,0 +1,226 @@
+/**
+ * Geometrie van storingen — GeoJSON parsing, lat/lng normalisatie, centroid en omvang.
+ *
+ * Canonieke opslag is GeoJSON-volgorde: [lng, lat]. Bronnen leveren soms
+ * [lat, lng]; omdat de lat- en lng-bereiken van Nederland niet overlappen,
+ * is de volgorde per coördinaat eenduidig vast te stellen.
+ * Gebruik getOutageCenter() in plaats van coordinates[0]/[1] direct uit te lezen.
+ */
+
+// Ruime bounding box van Nederland (incl. Waddeneilanden en Zuid-Limburg)
+const NL_BOUNDS = {
+    minLat: 50.7, maxLat: 53.7,
+    minLng: 3.2, maxLng: 7.3,
+};
+
+const EARTH_RADIUS_KM = 6371;
+
+const GEOMETRY_DEPTH = {
+    Point: 1,
+    MultiPoint: 2,
+    LineString: 2,
+    Polygon: 3,
+    MultiPolygon: 4,
+};
+
+function isLat(value) {
+    return value >= NL_BOUNDS.minLat && value <= NL_BOUNDS.maxLat;
+}
+
+function isLng(value) {
+    return value >= NL_BOUNDS.minLng && value <= NL_BOUNDS.maxLng;
+}
+
+function depthOf(coordinates) {
+    let depth = 0;
+    let current = coordinates;
+    while (Array.isArray(current)) {
+        depth++;
+        current = current[0];
+    }
+    return depth;
+}
+
+/**
+ * Zet één coördinatenpaar om naar GeoJSON-volgorde [lng, lat].
+ * Bij twijfel (buiten Nederland) wordt GeoJSON-volgorde aangenomen.
+ * @param {number[]} pair – [lng, lat] of [lat, lng]
+ * @returns {number[]} [lng, lat]
+ */
+export function toLngLat(pair) {
+    const [a, b] = pair.map(Number);
+    if (isLat(a) && isLng(b)) return [b, a];
+    return [a, b];
+}
+
+function mapPositions(coordinates, depth) {
+    if (depth === 1) return toLngLat(coordinates);
+    return coordinates.map((c) => mapPositions(c, depth - 1));
+}
+
+/**
+ * Normaliseer een geometrie naar canonieke GeoJSON.
+ * Accepteert een GeoJSON geometry-object of een kale coördinaten-array.
+ * @param {object|number[]} input
+ * @returns {{ type: string, coordinates: any[] }|null}
+ */
+export function normalizeGeometry(input) {
+    if (!input) return null;
+
+    const coordinates = Array.isArray(input) ? input : input.coordinates;
+    if (!Array.isArray(coordinates) || coordinates.length === 0) return null;
+
+    const depth = depthOf(coordinates);
+    let type = Array.isArray(input) ? null : input.type;
+    if (!type || GEOMETRY_DEPTH[type] !== depth) {
+        // Type ontbreekt of klopt niet met de nesting: afleiden uit de diepte
+        type = Object.keys(GEOMETRY_DEPTH).find((t) => GEOMETRY_DEPTH[t] === depth && t !== 'LineString');
+    }
+    if (!type) return null;
+
+    const normalized = mapPositions(coordinates, depth);
+    const positions = flattenPositions(normalized, depth);
+    if (positions.length === 0 || positions.some(([lng, lat]) => !Number.isFinite(lng) || !Number.isFinite(lat))) {
+        return null;
+    }
+    if (positions.every(([lng, lat]) => lng === 0 && lat === 0)) return null;
+
+    return { type, coordinates: normalized };
+}
+
+function flattenPositions(coordinates, depth) {
+    if (depth === 1) return [coordinates];
+    return coordinates.flatMap((c) => flattenPositions(c, depth - 1));
+}
+
+/**
+ * Alle posities van een canonieke geometrie.
+ * @param {{ type: string, coordinates: any[] }} geometry
+ * @returns {number[][]} [[lng, lat], ...]
+ */
+export function getPositions(geometry) {
+    if (!geometry) return [];
+    return flattenPositions(geometry.coordinates, GEOMETRY_DEPTH[geometry.type] || depthOf(geometry.coordinates));
+}
+
+/**
+ * Afstand tussen twee punten in kilometers (haversine).
+ * @param {{ lat: number, lng: number }} a
+ * @param {{ lat: number, lng: number }} b
+ * @returns {number}
+ */
+export function haversineKm(a, b) {
+    const toRad = (deg) => (deg * Math.PI) / 180;
+    const dLat = toRad(b.lat - a.lat);
+    const dLng = toRad(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Oppervlakte en zwaartepunt van een ring in een lokale vlakke projectie (km).
+ */
+function ringAreaCentroid(ring) {
+    const refLat = ring[0][1];
+    const kmPerLng = (Math.PI / 180) * EARTH_RADIUS_KM * Math.cos((refLat * Math.PI) / 180);
+    const kmPerLat = (Math.PI / 180) * EARTH_RADIUS_KM;
+    const points = ring.map(([lng, lat]) => [lng * kmPerLng, lat * kmPerLat]);
+
+    let area2 = 0;
+    let cx = 0;
+    let cy = 0;
+    for (let i = 0; i < points.length - 1; i++) {
+        const [x0, y0] = points[i];
+        const [x1, y1] = points[i + 1];
+        const cross = x0 * y1 - x1 * y0;
+        area2 += cross;
+        cx += (x0 + x1) * cross;
+        cy += (y0 + y1) * cross;
+    }
+
+    const area = area2 / 2;
+    if (Math.abs(area) < 1e-9) return { areaKm2: 0, centroid: null };
+    return {
+        areaKm2: Math.abs(area),
+        centroid: { lat: cy / (6 * area) / kmPerLat, lng: cx / (6 * area) / kmPerLng },
+    };
+}
+
+function meanPosition(positions) {
+    const sum = positions.reduce((acc, [lng, lat]) => ({ lat: acc.lat + lat, lng: acc.lng + lng }), { lat: 0, lng: 0 });
+    return { lat: sum.lat / positions.length, lng: sum.lng / positions.length };
+}
+
+/**
+ * Centroid, bounding box, straal en oppervlakte van een canonieke geometrie.
+ * @param {{ type: string, coordinates: any[] }} geometry
+ * @returns {{ centroid: {lat: number, lng: number}, bounds: object, radiusKm: number, areaKm2: number }|null}
+ */
+export function computeExtent(geometry) {
+    const positions = getPositions(geometry);
+    if (positions.length === 0) return null;
+
+    // Polygonen: oppervlakte-gewogen zwaartepunt van de buitenringen
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+        : geometry.type === 'MultiPolygon' ? geometry.coordinates : [];
+    let areaKm2 = 0;
+    let weighted = { lat: 0, lng: 0 };
+    for (const polygon of polygons) {
+        const { areaKm2: area, centroid } = ringAreaCentroid(polygon[0]);
+        if (!centroid) continue;
+        areaKm2 += area;
+        weighted = { lat: weighted.lat + centroid.lat * area, lng: weighted.lng + centroid.lng * area };
+    }
+    const centroid = areaKm2 > 0
+        ? { lat: weighted.lat / areaKm2, lng: weighted.lng / areaKm2 }
+        : meanPosition(positions);
+
+    const lats = positions.map(([, lat]) => lat);
+    const lngs = positions.map(([lng]) => lng);
+    const radiusKm = Math.max(0, ...positions.map(([lng, lat]) => haversineKm(centroid, { lat, lng })));
+
+    return {
+        centroid: { lat: round(centroid.lat, 6), lng: round(centroid.lng, 6) },
+        bounds: {
+            minLat: Math.min(...lats), maxLat: Math.max(...lats),
+            minLng: Math.min(...lngs), maxLng: Math.max(...lngs),
+        },
+        radiusKm: round(radiusKm, 2),
+        areaKm2: round(areaKm2, 3),
+    };
+}
+
+function round(value, decimals) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Middelpunt van een storing voor geo-targeting.
+ * @param {object} outage – genormaliseerde storing
+ * @returns {{ lat: number, lng: number }|null} null als de locatie onbekend is
+ */
+export function getOutageCenter(outage) {
+    if (outage?._geo?.centroid) return outage._geo.centroid;
+    // Oudere state zonder _geo: afleiden uit de opgeslagen geometrie
+    const geometry = normalizeGeometry(outage?.location?.features?.geometry);
+    return geometry ? computeExtent(geometry).centroid : null;
+}
+
+/**
+ * Targeting-radius: minimaal de standaard-radius, maar groot genoeg om het
+ * hele storingsgebied te dekken.
+ * @param {object} outage – genormaliseerde storing
+ * @param {number} baseRadiusKm – radius uit severity of handmatige override
+ * @param {number} [maxRadiusKm=80] – maximum (Meta staat max. 80 km toe)
+ * @returns {number}
+ */
+export function getTargetRadiusKm(outage, baseRadiusKm, maxRadiusKm = 80) {
+    const extentKm = outage?._geo?.radiusKm || 0;
+    return Math.min(maxRadiusKm, Math.max(baseRadiusKm, Math.ceil(extentKm)));
+}
+
+export default {
+    toLngLat, normalizeGeometry, getPositions, haversineKm, computeExtent, getOutageCenter, getTargetRadiusKm,
+};
@@ -0,0 +1,65 @@
+/**
+ * Idempotente verzoeken per Idempotency-Key (alleen in het geheugen).
+ *
+ * Een herhaald verzoek met dezelfde sleutel en dezelfde body krijgt het eerste
+ * antwoord terug; loopt het eerste verzoek nog, dan wordt het afgewacht.
+ * Dezelfde sleutel met een andere body geeft 422. Mislukte verzoeken (5xx of
+ * een fout) worden niet bewaard en mogen opnieuw geprobeerd worden.
+ */
+
+export const IDEMPOTENCY_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Maak een opslag voor idempotente verzoeken.
+ * @param {object} [options]
+ * @param {number} [options.ttlMs] – hoe lang een sleutel onthouden wordt
+ * @returns {{ run: Function, size: () => number }}
+ */
+export function createIdempotencyStore({ ttlMs = IDEMPOTENCY_TTL_MS } = {}) {
+    const requests = new Map();
+
+    function prune() {
+        const cutoff = Date.now() - ttlMs;
+        for (const [key, entry] of requests) {
+            if (entry.createdAt < cutoff) requests.delete(key);
+        }
+    }
+
+    function forget(key, entry) {
+        if (requests.get(key) === entry) requests.delete(key);
+    }
+
+    /**
+     * Voer handler hooguit één keer uit per sleutel.
+     * @param {string} key – Idempotency-Key
+     * @param {object} payload – body van het verzoek (zonder de sleutel)
+     * @param {() => Promise<{ status: number, body: object }>} handler
+     * @returns {Promise<{ status: number, body: object, replayed: boolean }>}
+     */
+    async function run(key, payload, handler) {
+        prune();
+        const fingerprint = JSON.stringify(payload);
+        let entry = requests.get(key);
+        if (entry && entry.fingerprint !== fingerprint) {
+            return { status: 422, body: { error: 'Idempotency-Key is al gebruikt voor een ander verzoek' }, replayed: false };
+        }
+        const replayed = Boolean(entry);
+        if (!entry) {
+            entry = { fingerprint, createdAt: Date.now(), promise: handler() };
+            requests.set(key, entry);
+        }
+
+        try {
+            const { status, body } = await entry.promise;
+            if (status >= 500) forget(key, entry);
+            return { status, body, replayed };
+        } catch (err) {
+            forget(key, entry);
+            throw err;
+        }
+    }
+
+    return { run, size: () => requests.size };
+}
+
+export default { createIdempotencyStore, IDEMPOTENCY_TTL_MS };
@@ -0,0 +1,191 @@
+import fs from 'fs';
+import path from 'path';
+import logger from './logger.js';
+import { parsePostcodes } from './postcode-utils.js';
+
+/**
+ * Schatting van het aantal getroffen huishoudens.
+ *
+ * Volgorde van voorkeur:
+ *   1. dso-band       → de klasse van de netbeheerder (_private_.Affected, bijv. "< 1.000")
+ *   2. source-count   → een expliciet aantal uit de bron
+ *   3. postcode-table → postcodes × huishoudens per postcode (HOUSEHOLDS_TABLE_FILE)
+ *   4. dom-text       → een aantal uit de tekst van de DOM-fallback
+ *
+ * Resultaat: { households, householdsMin, householdsMax, estimateMethod }.
+ * households is de puntschatting (midden van de band) en wordt gebruikt voor
+ * severity en advertentieteksten. householdsMax is null bij een open band ("> 5.000").
+ */
+
+// Klassegrenzen die netbeheerders gebruiken; "< 1.000" betekent dan 500–999
+const AFFECTED_BAND_BOUNDS = [25, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+const METHOD_RANK = {
+    'dso-band': 4,
+    'source-count': 3,
+    'postcode-table': 2,
+    'dom-text': 1,
+    unknown: 0,
+};
+
+let householdTable = null;
+
+/**
+ * Parse een Nederlands getal ("1.000", "2,5") naar een integer.
+ */
+function parseDutchNumber(text) {
+    const value = Number(String(text).replace(/\./g, '').replace(',', '.'));
+    return Number.isFinite(value) ? Math.round(value) : null;
+}
+
+/**
+ * Parse een klasse van de netbeheerder naar een bereik.
+ * Ondersteunt "< 25", "> 5.000", "25 - 100", "ca. 40" en een kaal getal.
+ * @param {string} label
+ * @returns {{ min: number, max: number|null }|null} null als het label onbekend is
+ */
+export function parseAffectedBand(label) {
+    const text = String(label || '').trim().toLowerCase();
+    if (!text) return null;
+
+    const number = '(\\d[\\d.,]*)';
+    let match = text.match(new RegExp(`^(?:<|kleiner dan|minder dan)\\s*${number}`));
+    if (match) {
+        const upper = parseDutchNumber(match[1]);
+        if (!upper) return null;
+        const lower = [...AFFECTED_BAND_BOUNDS].reverse().find((bound) => bound < upper) || 1;
+        return { min: lower, max: upper - 1 };
+    }
+
+    match = text.match(new RegExp(`^(?:>|groter dan|meer dan)\\s*${number}`));
+    if (match) {
+        const lower = parseDutchNumber(match[1]);
+        return lower === null ? null : { min: lower + 1, max: null };
+    }
+
+    match = text.match(new RegExp(`^${number}\\s*(?:-|–|tot)\\s*${number}`));
+    if (match) {
+        const min = parseDutchNumber(match[1]);
+        const max = parseDutchNumber(match[2]);
+        if (min === null || max === null) return null;
+        return { min: Math.min(min, max), max: Math.max(min, max) };
+    }
+
+    match = text.match(new RegExp(`^(?:ca\\.?|circa|~)?\\s*${number}$`));
+    if (match) {
+        const value = parseDutchNumber(match[1]);
+        return value === null ? null : { min: value, max: value };
+    }
+
+    return null;
+}
+
+/**
+ * Laad de huishoudentabel (JSON) uit HOUSEHOLDS_TABLE_FILE.
+ * Sleutels zijn PC6 ("5011AA") of PC4 ("5011") met het aantal huishoudens per postcode;
+ * "default" overschrijft HOUSEHOLDS_PER_POSTCODE_DEFAULT.
+ * @returns {object}
+ */
+export function loadHouseholdTable() {
+    if (householdTable) return householdTable;
+
+    householdTable = {};
+    const file = process.env.HOUSEHOLDS_TABLE_FILE;
+    if (!file) return householdTable;
+
+    try {
+        const raw = JSON.parse(fs.readFileSync(path.resolve(file), 'utf-8'));
+        for (const [key, value] of Object.entries(raw)) {
+            const households = Number(value);
+            if (!Number.isFinite(households) || households < 0) continue;
+            householdTable[key === 'default' ? key : key.replace(/\s+/g, '').toUpperCase()] = households;
+        }
+        logger.info(`Huishoudentabel geladen: ${Object.keys(householdTable).length} postcodes uit ${file}`);
+    } catch (err) {
+        logger.error(`Kan huishoudentabel niet laden (${file}): ${err.message}`);
+    }
+    return householdTable;
+}
+
+/**
+ * Aantal huishoudens voor één postcode (PC6 → PC4 → default).
+ * @param {string} postcode
+ * @returns {number}
+ */
+export function householdsForPostcode(postcode) {
+    const table = loadHouseholdTable();
+    const pc = String(postcode).replace(/\s+/g, '').toUpperCase();
+    const fallback = table.default ?? (parseInt(process.env.HOUSEHOLDS_PER_POSTCODE_DEFAULT, 10) || 5);
+    return table[pc] ?? table[pc.substring(0, 4)] ?? fallback;
+}
+
+function fromRange(min, max, estimateMethod) {
+    return {
+        households: max === null ? min : Math.round((min + max) / 2),
+        householdsMin: min,
+        householdsMax: max,
+        estimateMethod,
+    };
+}
+
+/**
+ * Schat de impact van een storing.
+ * @param {object} input
+ * @param {string} [input.affectedLabel] – klasse van de netbeheerder
+ * @param {number} [input.households] – expliciet aantal uit de bron
+ * @param {string|string[]} [input.postcodes] – getroffen postcodes
+ * @param {number} [input.textCount] – aantal uit vrije tekst (DOM)
+ * @returns {{ households: number, householdsMin: number, householdsMax: number|null, estimateMethod: string }}
+ */
+export function estimateImpact({ affectedLabel, households, postcodes, textCount } = {}) {
+    const band = parseAffectedBand(affectedLabel);
+    if (band) return fromRange(band.min, band.max, 'dso-band');
+
+    const count = Number(households);
+    if (Number.isFinite(count) && count > 0) return fromRange(count, count, 'source-count');
+
+    const pcList = Array.isArray(postcodes) ? postcodes : parsePostcodes(postcodes);
+    if (pcList.length > 0) {
+        const total = pcList.reduce((sum, pc) => sum + householdsForPostcode(pc), 0);
+        return fromRange(total, total, 'postcode-table');
+    }
+
+    if (textCount > 0) return fromRange(textCount, textCount, 'dom-text');
+
+    return fromRange(0, 0, 'unknown');
+}
+
+/**
+ * Kies de beste impact van twee records van dezelfde storing.
+ * Bij een schatting uit de postcodetabel wordt opnieuw gerekend met de samengevoegde postcodes.
+ * @param {object} a – impact
+ * @param {object} b – impact
+ * @param {string} postcodes – samengevoegde postcodes
+ * @returns {object}
+ */
+export function mergeImpact(a, b, postcodes) {
+    const rank = (impact) => METHOD_RANK[impact?.estimateMethod] ?? 0;
+    const best = rank(b) > rank(a) ? b : a;
+    if (best?.estimateMethod === 'postcode-table') {
+        return estimateImpact({ postcodes });
+    }
+    return best || estimateImpact({ postcodes });
+}
+
+/**
+ * Leesbare weergave van de impact, bijv. "500–999", "meer dan 5.000" of "1.234".
+ * @param {object} impact
+ * @returns {string} lege string als er geen schatting is
+ */
+export function formatHouseholds(impact) {
+    if (!impact?.households) return '';
+    const fmt = (n) => n.toLocaleString('nl-NL');
+    const { householdsMin: min, householdsMax: max } = impact;
+    if (min !== undefined && max === null) return `meer dan ${fmt(min - 1)}`;
+    if (min !== undefined && max !== undefined && min !== max) return `${fmt(min)}–${fmt(max)}`;
+    return fmt(impact.households);
+}
+
+export default {
+    parseAffectedBand, loadHouseholdTable, householdsForPostcode, estimateImpact, mergeImpact, formatHouseholds,
+};
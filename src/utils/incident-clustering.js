@@ -0,0 +1,169 @@
+import { getPostcodeSet } from './outage-identity.js';
+import { getOutageCenter, haversineKm } from './geometry.js';
+import { parsePostcodes } from './postcode-utils.js';
+
+/**
+ * Groepering van naburige storingen tot incidenten.
+ *
+ * Eén netfout verschijnt vaak als meerdere aangrenzende storingen met elk een
+ * eigen id. Twee storingen horen bij hetzelfde incident als ze hetzelfde net
+ * betreffen, binnen INCIDENT_TIME_WINDOW_MINUTES van elkaar begonnen zijn en
+ * een postcode delen of hun middelpunten binnen INCIDENT_MAX_DISTANCE_KM liggen.
+ * De relatie is transitief: A–B en B–C geeft één incident A+B+C.
+ *
+ * Een incident wordt weergegeven als één samengestelde storing (buildIncidentOutage)
+ * met de opgetelde impact, zodat severity, campagnes en het dashboard er
+ * hetzelfde mee omgaan als met een losse storing.
+ */
+
+/**
+ * Instellingen uit de omgeving.
+ * @returns {{ enabled: boolean, maxDistanceKm: number, windowMinutes: number }}
+ */
+export function getClusteringOptions() {
+    return {
+        enabled: process.env.INCIDENT_CLUSTERING !== 'false',
+        maxDistanceKm: parseFloat(process.env.INCIDENT_MAX_DISTANCE_KM || '2'),
+        windowMinutes: parseFloat(process.env.INCIDENT_TIME_WINDOW_MINUTES || '60'),
+    };
+}
+
+function getBeginTime(outage) {
+    const time = new Date(outage?.period?.begin || '').getTime();
+    return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Horen twee storingen bij hetzelfde incident?
+ * @param {object} a
+ * @param {object} b
+ * @param {{ maxDistanceKm: number, windowMinutes: number }} options
+ * @returns {boolean}
+ */
+export function areNeighbours(a, b, { maxDistanceKm, windowMinutes }) {
+    if ((a.network?.type || 'electricity') !== (b.network?.type || 'electricity')) return false;
+
+    const beginA = getBeginTime(a);
+    const beginB = getBeginTime(b);
+    if (beginA !== null && beginB !== null && Math.abs(beginA - beginB) > windowMinutes * 60 * 1000) return false;
+
+    const postcodesB = new Set(getPostcodeSet(b));
+    if (getPostcodeSet(a).some((pc) => postcodesB.has(pc))) return true;
+
+    const centerA = getOutageCenter(a);
+    const centerB = getOutageCenter(b);
+    return Boolean(centerA && centerB && haversineKm(centerA, centerB) <= maxDistanceKm);
+}
+
+/**
+ * Deel storingen in groepen in (union-find over alle paren).
+ * @param {object[]} outages – actieve storingen
+ * @param {object} [options] – zie getClusteringOptions
+ * @returns {object[][]} groepen, elk gesorteerd op _firstSeen (oudste eerst)
+ */
+export function clusterOutages(outages, options = getClusteringOptions()) {
+    const sorted = [...outages].sort((a, b) =>
+        new Date(a._firstSeen || 0) - new Date(b._firstSeen || 0) || String(a.id).localeCompare(String(b.id)));
+
+    const parent = sorted.map((_, i) => i);
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+    if (options.enabled) {
+        for (let i = 0; i < sorted.length; i++) {
+            for (let j = i + 1; j < sorted.length; j++) {
+                if (find(i) !== find(j) && areNeighbours(sorted[i], sorted[j], options)) {
+                    parent[find(j)] = find(i);
+                }
+            }
+        }
+    }
+
+    const groups = new Map();
+    sorted.forEach((outage, i) => {
+        const root = find(i);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(outage);
+    });
+    return Array.from(groups.values());
+}
+
+function sumImpact(members) {
+    const impacts = members.map((o) => o.impact || {});
+    const total = (key) => impacts.reduce((sum, impact) => sum + (impact[key] || 0), 0);
+    const impact = {
+        households: total('households'),
+        estimateMethod: members.length === 1 ? impacts[0].estimateMethod : 'incident-sum',
+    };
+    // Een band alleen als elk fragment er een heeft; één open band ("> 5.000") maakt het geheel open
+    if (impacts.every((i) => i.householdsMin !== undefined)) {
+        impact.householdsMin = total('householdsMin');
+        impact.householdsMax = impacts.some((i) => i.householdsMax === null) ? null : total('householdsMax');
+    }
+    return impact;
+}
+
+function combineGeo(members) {
+    const parts = members
+        .map((o) => ({ center: getOutageCenter(o), radiusKm: o._geo?.radiusKm || 0, areaKm2: o._geo?.areaKm2 || 0 }))
+        .filter((p) => p.center);
+    if (parts.length === 0) return null;
+
+    const centroid = {
+        lat: parts.reduce((sum, p) => sum + p.center.lat, 0) / parts.length,
+        lng: parts.reduce((sum, p) => sum + p.center.lng, 0) / parts.length,
+    };
+    const radiusKm = Math.max(...parts.map((p) => haversineKm(centroid, p.center) + p.radiusKm));
+    return {
+        centroid: { lat: Math.round(centroid.lat * 1e6) / 1e6, lng: Math.round(centroid.lng * 1e6) / 1e6 },
+        radiusKm: Math.round(radiusKm * 100) / 100,
+        areaKm2: Math.round(parts.reduce((sum, p) => sum + p.areaKm2, 0) * 1000) / 1000,
+    };
+}
+
+function unionField(members, field) {
+    const values = members.flatMap((o) => parsePostcodes(o.location?.features?.properties?.[field]));
+    return [...new Set(values)].join(';');
+}
+
+/**
+ * Stel één storing samen uit de fragmenten van een incident.
+ * Basis is het fragment met de meeste huishoudens (stad, oorzaak, netbeheerder);
+ * postcodes en straten worden samengevoegd en de impact opgeteld.
+ * @param {string} id – incident-id
+ * @param {object[]} members – fragmenten (actieve storingen)
+ * @returns {object} storing-vormig object, nog niet verrijkt
+ */
+export function buildIncidentOutage(id, members) {
+    const primary = [...members].sort((a, b) => (b.impact?.households || 0) - (a.impact?.households || 0))[0];
+    const begins = members.map((o) => o.period?.begin).filter(Boolean).sort();
+    const ends = members.map((o) => o.period?.expectedEnd).filter(Boolean).sort();
+    const props = primary.location?.features?.properties || {};
+
+    return {
+        ...primary,
+        id,
+        period: {
+            ...primary.period,
+            begin: begins[0] || primary.period?.begin || '',
+            expectedEnd: ends[ends.length - 1] || '',
+        },
+        location: {
+            ...primary.location,
+            features: {
+                ...primary.location?.features,
+                properties: {
+                    ...props,
+                    postalCode: unionField(members, 'postalCode'),
+                    street: unionField(members, 'street'),
+                },
+            },
+        },
+        impact: sumImpact(members),
+        _affectedLabel: members.length === 1 ? primary._affectedLabel : '',
+        _geo: members.length === 1 ? primary._geo : combineGeo(members),
+        _firstSeen: members.map((o) => o._firstSeen).filter(Boolean).sort()[0] || primary._firstSeen,
+        _sourceIds: [...new Set(members.flatMap((o) => o._sourceIds || []))],
+    };
+}
+
+export default { getClusteringOptions, areNeighbours, clusterOutages, buildIncidentOutage };
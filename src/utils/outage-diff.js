@@ -0,0 +1,154 @@
+import { getPostcodeSet } from './outage-identity.js';
+
+/**
+ * Gestructureerde vergelijking van twee versies van dezelfde storing.
+ *
+ * Levert getypeerde events op in plaats van één "bijgewerkt"-vlag:
+ *   outage_expanded    → postcodes, straten of huishoudens erbij
+ *   outage_contracted  → postcodes, straten of huishoudens eraf
+ *   eta_changed        → verwachte eindtijd gewijzigd (of nieuw/vervallen)
+ *   severity_changed   → ander severity-niveau
+ *   status_changed     → status van de netbeheerder gewijzigd
+ *   cause_changed      → andere oorzaakcategorie
+ *
+ * Elk event: { type, changes } met per veld { from, to } of { added, removed }.
+ */
+
+export const DIFF_EVENTS = {
+    EXPANDED: 'outage_expanded',
+    CONTRACTED: 'outage_contracted',
+    ETA_CHANGED: 'eta_changed',
+    SEVERITY_CHANGED: 'severity_changed',
+    STATUS_CHANGED: 'status_changed',
+    CAUSE_CHANGED: 'cause_changed',
+};
+
+function getStreetSet(outage) {
+    const streets = String(outage?.location?.features?.properties?.street || '')
+        .split(';')
+        .map((s) => s.trim())
+        .filter(Boolean);
+    return [...new Set(streets)].sort();
+}
+
+function setDiff(before, after) {
+    const previous = new Set(before);
+    const next = new Set(after);
+    return {
+        added: after.filter((item) => !previous.has(item)),
+        removed: before.filter((item) => !next.has(item)),
+    };
+}
+
+function sameInstant(a, b) {
+    const ta = new Date(a || '').getTime();
+    const tb = new Date(b || '').getTime();
+    if (Number.isNaN(ta) && Number.isNaN(tb)) return true;
+    return ta === tb;
+}
+
+/**
+ * Vergelijk de vorige en de nieuwe versie van een storing.
+ * @param {object} previous – bekende (verrijkte) storing
+ * @param {object} next – nieuwe (verrijkte) versie
+ * @returns {{ type: string, changes: object }[]} lege lijst = niets relevants gewijzigd
+ */
+export function diffOutages(previous, next) {
+    const events = [];
+
+    // Omvang: postcodes, straten en huishoudens
+    const postcodes = setDiff(getPostcodeSet(previous), getPostcodeSet(next));
+    const streets = setDiff(getStreetSet(previous), getStreetSet(next));
+    const householdsFrom = previous.impact?.households || 0;
+    const householdsTo = next.impact?.households || 0;
+
+    const grew = postcodes.added.length > 0 || streets.added.length > 0 || householdsTo > householdsFrom;
+    const shrank = postcodes.removed.length > 0 || streets.removed.length > 0 || householdsTo < householdsFrom;
+
+    if (grew || shrank) {
+        const changes = {};
+        if (postcodes.added.length || postcodes.removed.length) changes.postcodes = postcodes;
+        if (streets.added.length || streets.removed.length) changes.streets = streets;
+        if (householdsFrom !== householdsTo) changes.households = { from: householdsFrom, to: householdsTo };
+
+        // Per saldo groter (meer huishoudens of meer postcodes erbij dan eraf) = expanded
+        const net = Math.sign(householdsTo - householdsFrom)
+            || Math.sign(postcodes.added.length - postcodes.removed.length)
+            || Math.sign(streets.added.length - streets.removed.length);
+        events.push({ type: net < 0 ? DIFF_EVENTS.CONTRACTED : DIFF_EVENTS.EXPANDED, changes });
+    }
+
+    if (!sameInstant(previous.period?.expectedEnd, next.period?.expectedEnd)) {
+        events.push({
+            type: DIFF_EVENTS.ETA_CHANGED,
+            changes: { expectedEnd: { from: previous.period?.expectedEnd || null, to: next.period?.expectedEnd || null } },
+        });
+    }
+
+    if (previous._severity?.level && next._severity?.level && previous._severity.level !== next._severity.level) {
+        events.push({
+            type: DIFF_EVENTS.SEVERITY_CHANGED,
+            changes: {
+                severity: {
+                    from: previous._severity.level,
+                    to: next._severity.level,
+                    fromLabel: previous._severity.label,
+                    toLabel: next._severity.label,
+                },
+            },
+        });
+    }
+
+    if ((previous.status || '') !== (next.status || '')) {
+        events.push({ type: DIFF_EVENTS.STATUS_CHANGED, changes: { status: { from: previous.status, to: next.status } } });
+    }
+
+    if (previous._cause?.category && next._cause?.category && previous._cause.category !== next._cause.category) {
+        events.push({
+            type: DIFF_EVENTS.CAUSE_CHANGED,
+            changes: { cause: { from: previous._cause.category, to: next._cause.category } },
+        });
+    }
+
+    return events;
+}
+
+function formatTime(iso) {
+    if (!iso) return 'onbekend';
+    return new Date(iso).toLocaleString('nl-NL', {
+        timeZone: 'Europe/Amsterdam', day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit',
+    });
+}
+
+/**
+ * Korte Nederlandse omschrijving van een event voor het event log.
+ * @param {{ type: string, changes: object }} event
+ * @returns {string} bijv. "+3 postcodes, 75 → 175 huishoudens"
+ */
+export function describeDiffEvent(event) {
+    const { changes } = event;
+    switch (event.type) {
+        case DIFF_EVENTS.EXPANDED:
+        case DIFF_EVENTS.CONTRACTED: {
+            const parts = [];
+            if (changes.postcodes?.added.length) parts.push(`+${changes.postcodes.added.length} postcodes`);
+            if (changes.postcodes?.removed.length) parts.push(`−${changes.postcodes.removed.length} postcodes`);
+            if (changes.streets?.added.length) parts.push(`+${changes.streets.added.length} straten`);
+            if (changes.streets?.removed.length) parts.push(`−${changes.streets.removed.length} straten`);
+            if (changes.households) parts.push(`${changes.households.from} → ${changes.households.to} huishoudens`);
+            return parts.join(', ');
+        }
+        case DIFF_EVENTS.ETA_CHANGED:
+            return `verwachte eindtijd ${formatTime(changes.expectedEnd.from)} → ${formatTime(changes.expectedEnd.to)}`;
+        case DIFF_EVENTS.SEVERITY_CHANGED:
+            return `ernst ${changes.severity.fromLabel || changes.severity.from} → ${changes.severity.toLabel || changes.severity.to}`;
+        case DIFF_EVENTS.STATUS_CHANGED:
+            return `status ${changes.status.from || '—'} → ${changes.status.to || '—'}`;
+        case DIFF_EVENTS.CAUSE_CHANGED:
+            return `oorzaak ${changes.cause.from} → ${changes.cause.to}`;
+        default:
+            return event.type;
+    }
+}
+
+export default { diffOutages, describeDiffEvent, DIFF_EVENTS };
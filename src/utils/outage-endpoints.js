@@ -0,0 +1,53 @@
+/**
+ * Endpoints van energieonderbrekingen.nl (of een lokale stand-in).
+ *
+ * OUTAGE_BASE_URL verplaatst alle endpoints in één keer, bijv. naar de mock-server:
+ *   OUTAGE_BASE_URL=http://localhost:4010
+ * Individuele OUTAGE_*_URL variabelen gaan daar weer boven.
+ */
+
+const DEFAULT_BASE_URL = 'https://energieonderbrekingen.nl';
+const DEFAULT_AUTH_URL = 'https://energieonderbrekingen.eu.auth0.com/oauth/token';
+
+// Alle regionale netbeheerders die op energieonderbrekingen.nl publiceren
+const DEFAULT_DSOS = ['Enexis', 'Liander', 'Stedin', 'Westland Infra', 'Coteq', 'Rendo'];
+const DEFAULT_NETWORKS = ['electricity', 'gas'];
+
+/**
+ * @returns {{ baseUrl: string, publicApiUrl: string, apiBaseUrl: string, siteUrl: string, authUrl: string }}
+ */
+export function getOutageEndpoints() {
+    const baseUrl = (process.env.OUTAGE_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    const isCustomBase = Boolean(process.env.OUTAGE_BASE_URL);
+
+    return {
+        baseUrl,
+        publicApiUrl: process.env.OUTAGE_PUBLIC_API_URL || `${baseUrl}/api/disruptions`,
+        apiBaseUrl: process.env.OUTAGE_API_BASE_URL || `${baseUrl}/api/v2`,
+        siteUrl: process.env.OUTAGE_SITE_URL || `${baseUrl}/onderbrekingen`,
+        // Auth0 draait op een eigen domein; bij een eigen base URL verwachten we /oauth/token daar
+        authUrl: process.env.OUTAGE_AUTH_URL || (isCustomBase ? `${baseUrl}/oauth/token` : DEFAULT_AUTH_URL),
+    };
+}
+
+function parseList(value, fallback) {
+    if (value === undefined || value.trim() === '') return fallback;
+    if (value.trim().toLowerCase() === 'all') return [];
+    return value.split(',').map((item) => item.trim()).filter(Boolean);
+}
+
+/**
+ * Welke netbeheerders en netten worden opgevraagd (dso[] en network[] filters).
+ * OUTAGE_DSOS / OUTAGE_NETWORKS zijn komma-gescheiden; "all" = geen filter.
+ * @returns {{ dsos: string[], networks: string[], maxPages: number }} lege lijst = geen filter
+ */
+export function getOutageCoverage() {
+    return {
+        dsos: parseList(process.env.OUTAGE_DSOS, DEFAULT_DSOS),
+        networks: parseList(process.env.OUTAGE_NETWORKS, DEFAULT_NETWORKS),
+        // Veiligheidsbudget voor de paginering van de publieke API
+        maxPages: Math.max(1, parseInt(process.env.OUTAGE_MAX_PAGES, 10) || 50),
+    };
+}
+
+export default { getOutageEndpoints, getOutageCoverage };
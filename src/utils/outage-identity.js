@@ -0,0 +1,177 @@
+import crypto from 'crypto';
+import { parsePostcodes } from './postcode-utils.js';
+import { mergeImpact } from './impact-estimator.js';
+
+/**
+ * Deterministische identiteit en deduplicatie van storingen.
+ *
+ * Bronnen gebruiken elk hun eigen ids (of geen, bij de DOM-fallback). Daarom
+ * krijgt elke storing een id op basis van de inhoud: netbeheerder, netwerk,
+ * postcodeset en begintijd. De originele bron-ids blijven bewaard in _sourceIds,
+ * zodat een storing herkend wordt als de inhoud later verandert (bijv. groei).
+ */
+
+// Begintijden binnen dit venster gelden als "gelijk" (bronnen ronden verschillend af)
+const BEGIN_TOLERANCE_MS = 5 * 60 * 1000;
+
+/**
+ * Genormaliseerde, gesorteerde postcodeset (hoofdletters, zonder spaties).
+ * @param {object} outage
+ * @returns {string[]}
+ */
+export function getPostcodeSet(outage) {
+    const postcodes = parsePostcodes(outage?.location?.features?.properties?.postalCode)
+        .map((pc) => pc.replace(/\s+/g, '').toUpperCase());
+    return [...new Set(postcodes)].sort();
+}
+
+function getBeginTime(outage) {
+    const time = new Date(outage?.period?.begin || '').getTime();
+    return Number.isNaN(time) ? null : time;
+}
+
+function getOrganisation(outage) {
+    const organisation = (outage?.source?.organisation || '').trim().toLowerCase();
+    // DOM-records kennen de netbeheerder niet
+    return organisation.startsWith('onbekend') ? '' : organisation;
+}
+
+/**
+ * Bereken de inhoudelijke identiteit van een storing.
+ * @param {object} outage – genormaliseerde storing
+ * @returns {string} bijv. "out-3f2a9c0d1b7e"
+ */
+export function computeIdentityKey(outage) {
+    const begin = getBeginTime(outage);
+    const parts = [
+        getOrganisation(outage),
+        outage?.network?.type || 'electricity',
+        getPostcodeSet(outage).join(','),
+        // Afronden op de minuut
+        begin === null ? '' : new Date(Math.floor(begin / 60000) * 60000).toISOString(),
+    ];
+
+    const hash = crypto.createHash('sha1').update(parts.join('|')).digest('hex');
+    return `out-${hash.substring(0, 12)}`;
+}
+
+/**
+ * Beschrijven twee storingen dezelfde onderbreking?
+ * Ja bij een gedeeld bron-id, of bij dezelfde netbeheerder/netwerk, een
+ * (vrijwel) gelijke begintijd en minstens één gedeelde postcode.
+ * @param {object} a
+ * @param {object} b
+ * @returns {boolean}
+ */
+export function isSameDisruption(a, b) {
+    const idsA = a._sourceIds || [];
+    const idsB = new Set(b._sourceIds || []);
+    if (idsA.some((id) => idsB.has(id))) return true;
+
+    if ((a.network?.type || 'electricity') !== (b.network?.type || 'electricity')) return false;
+
+    const orgA = getOrganisation(a);
+    const orgB = getOrganisation(b);
+    if (orgA && orgB && orgA !== orgB) return false;
+
+    const beginA = getBeginTime(a);
+    const beginB = getBeginTime(b);
+    if (beginA !== null && beginB !== null && Math.abs(beginA - beginB) > BEGIN_TOLERANCE_MS) return false;
+
+    const postcodesB = new Set(getPostcodeSet(b));
+    return getPostcodeSet(a).some((pc) => postcodesB.has(pc));
+}
+
+/**
+ * Hoeveel bruikbare informatie bevat een record? Het rijkste record wordt de basis bij samenvoegen.
+ */
+function richness(outage) {
+    let score = 0;
+    if (outage._raw?.kind !== 'dom') score += 4;
+    if (getBeginTime(outage) !== null) score += 2;
+    if (outage.location?.features?.geometry) score += 2;
+    if (outage.period?.expectedEnd) score += 1;
+    if (outage._affectedLabel) score += 1;
+    return score;
+}
+
+function unionList(a, b) {
+    return [...new Set([...parsePostcodes(a), ...parsePostcodes(b)])].join(';');
+}
+
+/**
+ * Voeg twee records van dezelfde onderbreking samen.
+ * @param {object} a
+ * @param {object} b
+ * @returns {object}
+ */
+export function mergeOutages(a, b) {
+    const [primary, secondary] = richness(b) > richness(a) ? [b, a] : [a, b];
+    const primaryProps = primary.location?.features?.properties || {};
+    const secondaryProps = secondary.location?.features?.properties || {};
+    const postalCode = unionList(primaryProps.postalCode, secondaryProps.postalCode);
+
+    return {
+        ...primary,
+        impact: mergeImpact(primary.impact, secondary.impact, postalCode),
+        _affectedLabel: primary._affectedLabel || secondary._affectedLabel || '',
+        period: {
+            ...primary.period,
+            expectedEnd: primary.period?.expectedEnd || secondary.period?.expectedEnd || '',
+        },
+        location: {
+            ...primary.location,
+            features: {
+                ...primary.location?.features,
+                geometry: primary.location?.features?.geometry || secondary.location?.features?.geometry || null,
+                properties: {
+                    ...primaryProps,
+                    city: primaryProps.city || secondaryProps.city || '',
+                    postalCode,
+                    street: unionList(primaryProps.street, secondaryProps.street),
+                },
+            },
+        },
+        _geo: primary._geo || secondary._geo || null,
+        _sourceIds: [...new Set([...(a._sourceIds || []), ...(b._sourceIds || [])])],
+        _sourceAdapters: [...new Set([...(a._sourceAdapters || []), ...(b._sourceAdapters || [])])],
+    };
+}
+
+/**
+ * Geef een storing een inhoudelijk id en bewaar het bron-id.
+ * @param {object} outage – genormaliseerde storing (id = bron-id)
+ * @returns {object}
+ */
+export function withIdentity(outage) {
+    // DOM-records hebben geen stabiel bron-id
+    const isDom = outage._raw?.kind === 'dom';
+    return {
+        ...outage,
+        id: computeIdentityKey(outage),
+        _sourceIds: isDom ? [] : [String(outage.id)],
+        _sourceAdapters: outage._sourceAdapter ? [outage._sourceAdapter] : [],
+    };
+}
+
+/**
+ * Ken identiteiten toe en voeg records van dezelfde onderbreking samen.
+ * @param {object[]} outages – genormaliseerde storingen, mogelijk van meerdere bronnen
+ * @returns {object[]} gededupliceerde storingen
+ */
+export function dedupeOutages(outages) {
+    const result = [];
+
+    for (const outage of outages.map(withIdentity)) {
+        const index = result.findIndex((existing) => existing.id === outage.id || isSameDisruption(existing, outage));
+        if (index === -1) {
+            result.push(outage);
+        } else {
+            result[index] = mergeOutages(result[index], outage);
+        }
+    }
+
+    return result;
+}
+
+export default { computeIdentityKey, isSameDisruption, mergeOutages, withIdentity, dedupeOutages, getPostcodeSet };
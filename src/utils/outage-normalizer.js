@@ -0,0 +1,158 @@
+import { normalizeGeometry, computeExtent } from './geometry.js';
+import { estimateImpact } from './impact-estimator.js';
+
+/**
+ * Normalisatie van ruwe storingsrecords naar het interne datamodel.
+ * Gedeeld door alle bron-adapters (zie services/sources).
+ */
+
+/**
+ * Haal de lijst met storingen uit een API-response.
+ * Soms komt de data direct als array, soms in een disruptions/data/items veld.
+ * @param {any} data – response body
+ * @returns {object[]}
+ */
+export function extractItems(data) {
+    if (Array.isArray(data)) return data;
+    const items = data?.disruptions || data?.data || data?.items || data?.disruptionOccurrences;
+    if (Array.isArray(items)) return items;
+    // Misschien is het een enkel object?
+    if (data && typeof data === 'object' && (data.id || data._id)) return [data];
+    return [];
+}
+
+// Waarden waarmee bronnen een geplande onderbreking (onderhoud) aanduiden
+const PLANNED_TYPES = ['planned', 'gepland', 'geplande onderbreking', 'maintenance', 'onderhoud'];
+
+/**
+ * Is dit een geplande onderbreking of een storing?
+ * @param {object} raw – ruw storingsrecord
+ * @returns {'planned'|'unplanned'}
+ */
+export function getDisruptionKind(raw) {
+    if (raw.planned === true) return 'planned';
+    const type = String(raw.type || raw.disruptionType || raw.kind || '').trim().toLowerCase();
+    return PLANNED_TYPES.includes(type) ? 'planned' : 'unplanned';
+}
+
+/**
+ * Normaliseer een ruw record volgens het energieonderbrekingen.nl schema.
+ * Verwacht een record dat door validateDisruption (utils/disruption-schema.js) is gekomen;
+ * er worden geen ids of coördinaten verzonnen.
+ * @param {object} raw – gevalideerd ruw storingsrecord
+ * @returns {object} genormaliseerde storing
+ */
+export function normalizeOutage(raw) {
+    const geometry = extractGeometry(raw);
+    const pcString = raw.location?.features?.properties?.postalCode || raw.postcode || raw.postalCode || '';
+    const affectedLabel = raw._private_?.Affected || '';
+
+    // Het verwachte datamodel volgt het energieonderbrekingen.nl schema
+    return {
+        id: String(raw.id ?? raw._id),
+        kind: getDisruptionKind(raw),
+        source: {
+            organisation: raw.source?.organisation || raw.netbeheerder || 'Onbekend',
+            timestamp: raw.source?.timestamp || raw.updatedAt || new Date().toISOString(),
+        },
+        network: {
+            type: raw.network?.type || raw.energieType || 'electricity',
+        },
+        period: {
+            begin: raw.period?.begin || raw.startTime || raw.begin || '',
+            end: raw.period?.end || raw.endTime || raw.end || '',
+            expectedEnd: raw.period?.expectedEnd || raw.expectedEnd || '',
+        },
+        impact: estimateImpact({
+            affectedLabel,
+            households: raw.impact?.households ?? raw.aantalGetroffen ?? raw.households,
+            postcodes: pcString,
+        }),
+        _affectedLabel: affectedLabel,
+        location: {
+            features: {
+                geometry,
+                properties: {
+                    city: raw.location?.features?.properties?.city || raw.stad || raw.city || '',
+                    postalCode: pcString,
+                    street: raw.location?.features?.properties?.street || raw.straat || raw.street || '',
+                },
+            },
+        },
+        cause: raw.cause || raw.oorzaak || '',
+        status: raw.status || 'onbekend',
+        message: raw.message || raw.bericht || '',
+        // Centroid, bounding box en omvang (null zonder geometrie)
+        _geo: geometry ? computeExtent(geometry) : null,
+        // Interne tracking velden
+        _firstSeen: new Date().toISOString(),
+        _lastUpdated: new Date().toISOString(),
+        _raw: raw,
+    };
+}
+
+/**
+ * Normaliseer een DOM-element (fallback van de Playwright scraper).
+ * @param {{ text: string, html: string }} domData
+ * @param {number} index – positie in de lijst
+ * @returns {object} genormaliseerde storing
+ */
+export function normalizeFromDom(domData, index) {
+    // Probeer basale info uit DOM-tekst te extraheren
+    const text = domData.text || '';
+    const postcodeMatch = text.match(/\b\d{4}\s?[A-Z]{2}\b/g);
+    const cityMatch = text.match(/(?:in|te)\s+([A-Z][a-z]+(?:\s[A-Z][a-z]+)?)/);
+    const householdMatch = text.match(/(\d+(?:\.\d+)?)\s*(?:huishoudens|adressen|aansluitingen)/i);
+
+    return {
+        id: `dom-${Date.now()}-${index}`,
+        kind: 'unplanned',
+        source: { organisation: 'Onbekend (DOM)', timestamp: new Date().toISOString() },
+        network: { type: 'electricity' },
+        period: { begin: '', end: '', expectedEnd: '' },
+        impact: estimateImpact({
+            textCount: householdMatch ? parseInt(householdMatch[1].replace('.', ''), 10) : 0,
+        }),
+        location: {
+            features: {
+                geometry: null,
+                properties: {
+                    city: cityMatch ? cityMatch[1] : '',
+                    postalCode: postcodeMatch ? postcodeMatch.join(';') : '',
+                    street: '',
+                },
+            },
+        },
+        cause: '',
+        status: 'actief',
+        message: text.substring(0, 200),
+        _geo: null,
+        _firstSeen: new Date().toISOString(),
+        _lastUpdated: new Date().toISOString(),
+        _raw: domData,
+    };
+}
+
+/**
+ * Haal de geometrie uit diverse mogelijke structuren en zet die om naar
+ * canonieke GeoJSON ([lng, lat], zie utils/geometry.js).
+ * @param {object} raw – ruw storingsrecord
+ * @returns {{ type: string, coordinates: any[] }|null} null als er geen geometrie is
+ */
+export function extractGeometry(raw) {
+    if (raw.location?.features?.geometry?.coordinates) {
+        return normalizeGeometry(raw.location.features.geometry);
+    }
+    if (raw.geometry?.coordinates) {
+        return normalizeGeometry(raw.geometry);
+    }
+    if (raw.lat && raw.lng) {
+        return normalizeGeometry({ type: 'Point', coordinates: [raw.lng, raw.lat] });
+    }
+    if (raw.latitude && raw.longitude) {
+        return normalizeGeometry({ type: 'Point', coordinates: [raw.longitude, raw.latitude] });
+    }
+    return null;
+}
+
+export default { extractItems, getDisruptionKind, normalizeOutage, normalizeFromDom, extractGeometry };
@@ -0,0 +1,51 @@
+/**
+ * Paginering via limit/offset voor de API-bronnen (publieke API en API v2).
+ *
+ * Pagina's worden opgehaald tot de laatste pagina: een onvolledige pagina, of —
+ * als de API een totaal meestuurt (X-Total-Count) — de pagina waarmee het totaal
+ * bereikt is. maxPages is alleen een veiligheidsbudget; wordt dat bereikt, dan
+ * is het resultaat truncated en de lijst dus onvolledig.
+ */
+
+/**
+ * Haal alle pagina's op.
+ * @param {(page: { limit: number, offset: number }) => Promise<{ items: object[], total: number|null }>} fetchPage
+ * @param {object} options
+ * @param {number} options.pageSize
+ * @param {number} options.maxPages – veiligheidsbudget
+ * @returns {Promise<{ items: object[], pages: number, truncated: boolean, total: number|null }>}
+ */
+export async function fetchAllPages(fetchPage, { pageSize, maxPages }) {
+    const allItems = [];
+    let offset = 0;
+    let pages = 0;
+    let total = null;
+
+    while (pages < maxPages) {
+        const page = await fetchPage({ limit: pageSize, offset });
+        allItems.push(...page.items);
+        pages++;
+        if (Number.isFinite(page.total)) total = page.total;
+
+        // Laatste pagina: minder dan pageSize ontvangen of totaal bereikt
+        const lastPage = page.items.length < pageSize || (total !== null && offset + page.items.length >= total);
+        if (lastPage) {
+            return { items: allItems, pages, truncated: false, total };
+        }
+        offset += pageSize;
+    }
+
+    return { items: allItems, pages, truncated: true, total };
+}
+
+/**
+ * Totaal uit de X-Total-Count header van een axios-response.
+ * @param {object} response
+ * @returns {number|null}
+ */
+export function getTotalCount(response) {
+    const total = parseInt(response.headers?.['x-total-count'], 10);
+    return Number.isFinite(total) ? total : null;
+}
+
+export default { fetchAllPages, getTotalCount };
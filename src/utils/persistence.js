@@ -5,13 +5,24 @@ import logger from './logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const dataDir = path.join(__dirname, '..', '..', 'data');
+const dataDir = process.env.DATA_DIR
+    ? path.resolve(process.env.DATA_DIR)
+    : path.join(__dirname, '..', '..', 'data');
 
 // Zorg dat de data directory bestaat
 if (!fs.existsSync(dataDir)) {
     fs.mkdirSync(dataDir, { recursive: true });
 }
 
+/**
+ * Geef het absolute pad binnen de data directory.
+ * @param {...string} parts - padsegmenten relatief aan data/
+ * @returns {string}
+ */
+export function dataPath(...parts) {
+    return path.join(dataDir, ...parts);
+}
+
 /**
  * Sla data op als JSON naar data/<key>.json
  * @param {string} key - bestandsnaam (zonder extensie)
@@ -53,4 +64,4 @@ export function load(key, defaultValue = null) {
     }
 }
 
-export default { save, load };
+export default { save, load, dataPath };
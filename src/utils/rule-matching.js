@@ -0,0 +1,47 @@
+/**
+ * Gedeelde voorwaarden voor declaratieve regels (ernstregels, campagnebeleid).
+ *
+ * Bereiken zijn { min, max } met max exclusief, lijsten worden hoofdletterongevoelig
+ * vergeleken en uren zijn { from, to } in Nederlandse tijd (mag over middernacht).
+ */
+
+/**
+ * Uur van de dag in Nederland (0–23).
+ * @param {Date} date
+ * @returns {number}
+ */
+export function amsterdamHour(date) {
+    return parseInt(new Intl.DateTimeFormat('nl-NL', {
+        timeZone: 'Europe/Amsterdam', hour: '2-digit', hourCycle: 'h23',
+    }).format(date), 10);
+}
+
+export function inRange(value, { min, max } = {}) {
+    return (min === undefined || value >= min) && (max === undefined || value < max);
+}
+
+export function inList(value, list) {
+    return list.map((item) => String(item).toLowerCase()).includes(String(value).toLowerCase());
+}
+
+export function inHours(hour, { from = 0, to = 24 } = {}) {
+    return from <= to ? hour >= from && hour < to : hour >= from || hour < to;
+}
+
+/**
+ * Toets alle voorwaarden van een regel.
+ * @param {{ when: object }} rule
+ * @param {object} facts
+ * @param {Object<string, (facts: object, expected: any) => { actual: any, ok: boolean }>} checks
+ * @returns {{ matched: boolean, conditions: { field: string, expected: any, actual: any, ok: boolean }[] }}
+ */
+export function checkRule(rule, facts, checks) {
+    const conditions = Object.entries(rule.when || {}).map(([field, expected]) => ({
+        field,
+        expected,
+        ...checks[field](facts, expected),
+    }));
+    return { matched: conditions.every((c) => c.ok), conditions };
+}
+
+export default { amsterdamHour, inRange, inList, inHours, checkRule };
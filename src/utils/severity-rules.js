@@ -0,0 +1,189 @@
+import fs from 'fs';
+import path from 'path';
+import logger from './logger.js';
+import { amsterdamHour, inRange, inList, inHours, checkRule as checkConditions } from './rule-matching.js';
+
+/**
+ * Regelgebaseerde ernst-classificatie van storingen.
+ *
+ * Een regelset bestaat uit niveaus (budget, radius en label per ernst) en een
+ * geordende lijst regels. De eerste regel waarvan alle voorwaarden kloppen wint;
+ * een regel zonder voorwaarden is een vangnet. Een regel kan budgetten en radius
+ * van zijn niveau overschrijven.
+ *
+ * Voorwaarden (allemaal optioneel):
+ *   households:      { min, max }      – geschatte huishoudens (max exclusief)
+ *   networkTypes:    ['electricity']   – netwerk
+ *   dsos:            ['Enexis']        – netbeheerder (hoofdletterongevoelig)
+ *   causes:          ['weather']       – oorzaakcategorie (utils/cause-classifier.js)
+ *   durationMinutes: { min, max }      – minuten sinds het begin van de storing
+ *   hours:           { from, to }      – uur van de dag in Nederland (to exclusief, mag over middernacht)
+ *   kinds:           ['planned']       – 'planned' of 'unplanned'
+ *
+ * Eigen regelset via SEVERITY_RULES_FILE (JSON: { levels, rules }); zonder `levels`
+ * gelden de standaardniveaus. Niveaus staan van licht naar zwaar (zie getSeverityRank).
+ */
+
+export const DEFAULT_SEVERITY_LEVELS = {
+    minor: { label: 'Klein', googleBudget: 15, metaBudget: 12, radiusKm: 5 },
+    major: { label: 'Groot', googleBudget: 35, metaBudget: 30, radiusKm: 10 },
+    critical: { label: 'Kritiek', googleBudget: 60, metaBudget: 50, radiusKm: 15 },
+};
+
+export const DEFAULT_SEVERITY_RULES = [
+    { name: 'kritiek-vanaf-3000', when: { households: { min: 3000 } }, severity: 'critical' },
+    { name: 'groot-vanaf-50', when: { households: { min: 50 } }, severity: 'major' },
+    { name: 'klein', when: {}, severity: 'minor' },
+];
+
+const CONDITIONS = ['households', 'networkTypes', 'dsos', 'causes', 'durationMinutes', 'hours', 'kinds'];
+const OVERRIDES = ['googleBudget', 'metaBudget', 'radiusKm', 'label'];
+
+let ruleSet = null;
+
+/**
+ * Controleer een regelset; gooit een Error met de eerste fout.
+ * @param {{ levels?: object, rules: object[] }} raw
+ * @returns {{ levels: object, rules: object[] }}
+ */
+export function validateRuleSet(raw) {
+    if (!raw || !Array.isArray(raw.rules) || raw.rules.length === 0) {
+        throw new Error('verwacht { "rules": [...] } met minstens één regel');
+    }
+    const levels = raw.levels || DEFAULT_SEVERITY_LEVELS;
+    for (const [level, config] of Object.entries(levels)) {
+        for (const key of ['googleBudget', 'metaBudget', 'radiusKm']) {
+            if (!Number.isFinite(config?.[key])) throw new Error(`niveau "${level}": ${key} ontbreekt of is geen getal`);
+        }
+    }
+
+    const rules = raw.rules.map((rule, index) => {
+        const name = rule?.name || `regel-${index + 1}`;
+        if (!levels[rule?.severity]) throw new Error(`regel "${name}": onbekend niveau "${rule?.severity}"`);
+        const unknown = Object.keys(rule.when || {}).filter((key) => !CONDITIONS.includes(key));
+        if (unknown.length > 0) throw new Error(`regel "${name}": onbekende voorwaarde(n) ${unknown.join(', ')}`);
+        return { ...rule, name, when: rule.when || {} };
+    });
+
+    return { levels, rules };
+}
+
+/**
+ * Laad de regelset: SEVERITY_RULES_FILE of de standaardregels.
+ * @returns {{ levels: object, rules: object[], source: string }}
+ */
+export function loadSeverityRules() {
+    if (ruleSet) return ruleSet;
+
+    ruleSet = { levels: DEFAULT_SEVERITY_LEVELS, rules: DEFAULT_SEVERITY_RULES, source: 'default' };
+    const file = process.env.SEVERITY_RULES_FILE;
+    if (!file) return ruleSet;
+
+    try {
+        const raw = JSON.parse(fs.readFileSync(path.resolve(file), 'utf-8'));
+        ruleSet = { ...validateRuleSet(raw), source: file };
+        logger.info(`Ernstregels geladen: ${ruleSet.rules.length} regels uit ${file}`);
+    } catch (err) {
+        logger.error(`Kan ernstregels niet laden (${file}): ${err.message} — standaardregels gebruikt`);
+    }
+    return ruleSet;
+}
+
+/**
+ * De waarden van een storing waarop regels matchen.
+ * @param {object} outage – genormaliseerde storing (met _cause als die al bepaald is)
+ * @param {Date} [now]
+ */
+export function getSeverityFacts(outage, now = new Date()) {
+    const begin = new Date(outage?.period?.begin || '').getTime();
+    return {
+        households: outage?.impact?.households || 0,
+        networkType: outage?.network?.type || 'electricity',
+        dso: outage?.source?.organisation || '',
+        cause: outage?._cause?.category || 'unknown',
+        durationMinutes: Number.isNaN(begin) ? 0 : Math.max(0, Math.round((now.getTime() - begin) / 60000)),
+        hour: amsterdamHour(now),
+        kind: outage?.kind || 'unplanned',
+    };
+}
+
+const CHECKS = {
+    households: (facts, expected) => ({ actual: facts.households, ok: inRange(facts.households, expected) }),
+    networkTypes: (facts, expected) => ({ actual: facts.networkType, ok: inList(facts.networkType, expected) }),
+    dsos: (facts, expected) => ({ actual: facts.dso, ok: inList(facts.dso, expected) }),
+    causes: (facts, expected) => ({ actual: facts.cause, ok: inList(facts.cause, expected) }),
+    durationMinutes: (facts, expected) => ({ actual: facts.durationMinutes, ok: inRange(facts.durationMinutes, expected) }),
+    hours: (facts, expected) => ({ actual: facts.hour, ok: inHours(facts.hour, expected) }),
+    kinds: (facts, expected) => ({ actual: facts.kind, ok: inList(facts.kind, expected) }),
+};
+
+function checkRule(rule, facts) {
+    return checkConditions(rule, facts, CHECKS);
+}
+
+function toSeverity(rule, index, levels) {
+    const overrides = Object.fromEntries(OVERRIDES.filter((key) => rule[key] !== undefined).map((key) => [key, rule[key]]));
+    return {
+        level: rule.severity,
+        ...levels[rule.severity],
+        label: levels[rule.severity].label || rule.severity,
+        ...overrides,
+        rule: rule.name,
+        ruleIndex: index,
+    };
+}
+
+/**
+ * Bepaal de ernst van een storing.
+ * @param {object} outage
+ * @param {Date} [now]
+ * @returns {{ level: string, label: string, googleBudget: number, metaBudget: number, radiusKm: number, rule: string, ruleIndex: number }}
+ */
+export function evaluateSeverity(outage, now = new Date()) {
+    const { levels, rules } = loadSeverityRules();
+    const facts = getSeverityFacts(outage, now);
+    const index = rules.findIndex((rule) => checkRule(rule, facts).matched);
+    if (index === -1) {
+        // Geen vangnetregel: laagste niveau zonder regel
+        const level = Object.keys(levels)[0];
+        return { level, ...levels[level], label: levels[level].label || level, rule: null, ruleIndex: -1 };
+    }
+    return toSeverity(rules[index], index, levels);
+}
+
+/**
+ * Rangorde van een niveau: de volgorde van `levels`, lichtste eerst.
+ * @param {string} level
+ * @returns {number} 0 voor het lichtste niveau, -1 voor een onbekend niveau
+ */
+export function getSeverityRank(level) {
+    return Object.keys(loadSeverityRules().levels).indexOf(level);
+}
+
+/**
+ * Leg uit welke regel de ernst bepaalde, met per regel de uitkomst van elke voorwaarde.
+ * @param {object} outage
+ * @param {Date} [now]
+ * @returns {{ facts: object, severity: object, source: string, rules: object[] }}
+ */
+export function explainSeverity(outage, now = new Date()) {
+    const { rules, source } = loadSeverityRules();
+    const facts = getSeverityFacts(outage, now);
+    const severity = evaluateSeverity(outage, now);
+
+    return {
+        facts,
+        severity,
+        source,
+        rules: rules.map((rule, index) => ({
+            name: rule.name,
+            severity: rule.severity,
+            ...checkRule(rule, facts),
+            fired: index === severity.ruleIndex,
+            // Regels na de gekozen regel komen niet aan de beurt
+            evaluated: severity.ruleIndex === -1 || index <= severity.ruleIndex,
+        })),
+    };
+}
+
+export default { loadSeverityRules, validateRuleSet, evaluateSeverity, explainSeverity, getSeverityFacts, getSeverityRank };
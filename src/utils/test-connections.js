@@ -9,6 +9,7 @@
 
 import 'dotenv/config';
 import axios from 'axios';
+import { getOutageEndpoints } from './outage-endpoints.js';
 
 const PASS = '✅';
 const FAIL = '❌';
@@ -16,6 +17,7 @@ const SKIP = '⏭️ ';
 
 async function testOutageApi() {
     const mode = process.env.DATA_SOURCE_MODE || 'scrape';
+    const endpoints = getOutageEndpoints();
     console.log(`\n📡 Storingsdata (modus: ${mode})`);
     console.log('─'.repeat(40));
 
@@ -29,8 +31,7 @@ async function testOutageApi() {
         }
 
         try {
-            const authUrl = process.env.OUTAGE_AUTH_URL || 'https://energieonderbrekingen.eu.auth0.com/oauth/token';
-            const response = await axios.post(authUrl, {
+            const response = await axios.post(endpoints.authUrl, {
                 client_id: clientId,
                 client_secret: clientSecret,
                 audience: process.env.OUTAGE_API_AUDIENCE || 'https://energieonderbrekingen.nl/api/v2',
@@ -44,7 +45,7 @@ async function testOutageApi() {
                 // Test de API endpoint
                 try {
                     const apiResponse = await axios.get(
-                        'https://energieonderbrekingen.nl/api/v2/disruptions',
+                        `${endpoints.apiBaseUrl}/disruptions`,
                         {
                             headers: { Authorization: `Bearer ${response.data.access_token}` },
                             timeout: 10000,
@@ -62,13 +63,13 @@ async function testOutageApi() {
 
     if (mode === 'scrape' || mode === 'hybrid') {
         try {
-            const response = await axios.get('https://energieonderbrekingen.nl', {
+            const response = await axios.get(endpoints.baseUrl, {
                 timeout: 10000,
                 validateStatus: () => true,
             });
-            console.log(`${PASS} energieonderbrekingen.nl bereikbaar (status: ${response.status})`);
+            console.log(`${PASS} ${endpoints.baseUrl} bereikbaar (status: ${response.status})`);
         } catch (error) {
-            console.log(`${FAIL} energieonderbrekingen.nl niet bereikbaar: ${error.message}`);
+            console.log(`${FAIL} ${endpoints.baseUrl} niet bereikbaar: ${error.message}`);
         }
 
         try {
@@ -0,0 +1,56 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Voorstellen in een lege tijdelijke map, vóór het laden van de service
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'approval-test-'));
+const { default: ApprovalService } = await import('../src/services/approval-service.js');
+
+const incident = { id: 'inc-1', _city: 'Tilburg', _severity: { level: 'small', label: 'Klein' }, impact: { households: 800 } };
+let approvals;
+let approval;
+
+beforeEach(() => {
+    approvals = new ApprovalService();
+    approval = approvals.propose(incident, {
+        platforms: ['google', 'meta'],
+        budgets: { google: 15, meta: 12 },
+        radiusKm: 5,
+        durationHours: 34,
+        copy: {
+            google: { headlines: ['Stroomstoring in Tilburg'], descriptions: ['Vraag gratis advies aan!'] },
+            meta: { title: 'Stroomstoring', message: 'Weer een stroomstoring in Tilburg', description: 'Thuisbatterij' },
+        },
+    });
+});
+
+test('teksten worden per platform als aangepast vastgelegd', () => {
+    approvals.update(approval.id, { copy: { meta: { title: 'Nooit meer zonder stroom' } } }, 'Sanne');
+
+    assert.deepEqual(approval.edits.map((edit) => edit.fields), [['copy.meta']]);
+    assert.equal(approval.edits[0].by, 'Sanne');
+    assert.equal(approval.proposal.copy.meta.title, 'Nooit meer zonder stroom');
+    assert.equal(approval.proposal.copy.meta.message, 'Weer een stroomstoring in Tilburg', 'velden worden samengevoegd');
+});
+
+test('alleen velden die echt veranderen tellen als aangepast', () => {
+    approvals.update(approval.id, {
+        durationHours: 34,
+        copy: { google: { headlines: ['Stroomstoring in Tilburg'] } },
+    });
+    assert.deepEqual(approval.edits, []);
+
+    approvals.update(approval.id, { durationHours: 48, radiusKm: 5 });
+    assert.deepEqual(approval.edits.map((edit) => edit.fields), [['durationHours']]);
+});
+
+test('ongeldige teksten worden geweigerd', () => {
+    assert.throws(
+        () => approvals.update(approval.id, { copy: { google: { headlines: ['Een kop die veel te lang is voor Google Ads'] } } }),
+        /copy\.google\.headlines/,
+    );
+    assert.throws(() => approvals.update(approval.id, { copy: { tiktok: {} } }), /copy: verwacht/);
+    assert.deepEqual(approval.edits, []);
+});
@@ -0,0 +1,105 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Grootboek in een lege tijdelijke map, vóór het laden van de service
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'budget-test-'));
+process.env.TOTAL_MAX_DAILY_BUDGET_GOOGLE = '100';
+process.env.TOTAL_MAX_DAILY_BUDGET_META = '50';
+const { default: BudgetService } = await import('../src/services/budget-service.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+let budget;
+
+beforeEach(() => {
+    budget = new BudgetService();
+});
+
+test('reserveren binnen de daglimiet', () => {
+    const first = budget.reserve('google', 60, { outageId: 'out-1' });
+    assert.equal(first.status, 'reserved');
+    assert.equal(first.outageId, 'out-1');
+    assert.equal(budget.getRemaining('google'), 40);
+
+    assert.equal(budget.reserve('google', 50), null, 'boven de limiet');
+    assert.ok(budget.reserve('google', 40), 'precies tot de limiet');
+    assert.equal(budget.getRemaining('google'), 0);
+    assert.equal(budget.getRemaining('meta'), 50, 'platforms los van elkaar');
+});
+
+test('vastleggen met het werkelijke budget en de einddatum', () => {
+    const reservation = budget.reserve('google', 30);
+    budget.commit(reservation.id, { campaignId: 'c-1', budget: 25, expiresAt: new Date(Date.now() + 2 * DAY_MS).toISOString() });
+
+    const entry = budget.entries.get(reservation.id);
+    assert.equal(entry.status, 'committed');
+    assert.equal(entry.campaignId, 'c-1');
+    assert.equal(entry.amount, 25);
+    assert.ok(entry.endDay > entry.startDay);
+    assert.deepEqual(budget.getUsage('google'), { committed: 25, reserved: 0 });
+
+    // Een tweede commit of een release verandert niets meer
+    budget.release(reservation.id);
+    assert.equal(budget.entries.get(reservation.id).status, 'committed');
+});
+
+test('vrijgeven geeft het budget terug', () => {
+    const reservation = budget.reserve('meta', 50);
+    assert.equal(budget.getRemaining('meta'), 0);
+
+    budget.release(reservation.id);
+    assert.equal(budget.entries.get(reservation.id).status, 'released');
+    assert.equal(budget.getRemaining('meta'), 50);
+
+    budget.commit(reservation.id, { campaignId: 'c-1' });
+    assert.equal(budget.entries.get(reservation.id).status, 'released', 'vrijgegeven blijft vrijgegeven');
+});
+
+test('vervallen reserveringen tellen niet mee', () => {
+    const reservation = budget.reserve('google', 80);
+    reservation.createdAt = new Date(Date.now() - 16 * 60 * 1000).toISOString();
+    assert.equal(budget.getRemaining('google'), 100);
+
+    budget.cleanup();
+    assert.equal(budget.entries.get(reservation.id).status, 'released');
+});
+
+test('aanpassen van een campagne die vandaag startte', () => {
+    const reservation = budget.reserve('google', 20);
+    budget.commit(reservation.id, { campaignId: 'c-1' });
+
+    budget.adjust('google', 'c-1', 45);
+    assert.equal(budget.entries.size, 1);
+    assert.equal(budget.getUsage('google').committed, 45);
+});
+
+test('aanpassen vanaf vandaag; eerdere dagen houden het oude bedrag', () => {
+    const campaigns = new Map([['out-1', {
+        google: {
+            campaignId: 'c-1',
+            budget: 20,
+            status: 'active',
+            createdAt: new Date(Date.now() - 2 * DAY_MS).toISOString(),
+            expiresAt: new Date(Date.now() + 2 * DAY_MS).toISOString(),
+        },
+        meta: null,
+    }]]);
+    assert.equal(budget.importCampaigns(campaigns), 1);
+
+    budget.adjust('google', 'c-1', 45);
+    const { days } = budget.getBreakdown({ days: 3, ahead: 1 });
+    assert.deepEqual(days.map((day) => day.google), [20, 20, 45, 45]);
+    assert.equal(budget.getRemaining('google'), 55);
+});
+
+test('stoppen: vandaag telt nog mee, de dagen erna niet', () => {
+    const reservation = budget.reserve('google', 30);
+    budget.commit(reservation.id, { campaignId: 'c-1', expiresAt: new Date(Date.now() + 3 * DAY_MS).toISOString() });
+
+    budget.stop('google', 'c-1');
+    const { days } = budget.getBreakdown({ days: 1, ahead: 2 });
+    assert.deepEqual(days.map((day) => day.google), [30, 0, 0]);
+    assert.ok(budget.entries.get(reservation.id).stoppedAt);
+});
@@ -0,0 +1,97 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getCampaignEndTime, needsNewEndTime, DURATION_RULES } from '../src/utils/campaign-duration.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const now = new Date('2026-10-17T12:00:00Z');
+const hoursFrom = (date, hours) => new Date(new Date(date).getTime() + hours * HOUR_MS).toISOString();
+const outageEndingAt = (expectedEnd) => ({ period: { expectedEnd } });
+
+beforeEach(() => {
+    for (const name of ['CAMPAIGN_DURATION_HOURS', 'CAMPAIGN_AFTERCARE_HOURS', 'CAMPAIGN_MIN_DURATION_HOURS', 'CAMPAIGN_MAX_DURATION_HOURS']) {
+        delete process.env[name];
+    }
+});
+
+test('verwachte eindtijd plus nazorg', () => {
+    const duration = getCampaignEndTime(outageEndingAt(hoursFrom(now, 10)), { now });
+    assert.equal(duration.rule, DURATION_RULES.EXPECTED_END);
+    assert.equal(duration.endTime, hoursFrom(now, 34));
+    assert.equal(duration.durationHours, 34);
+    assert.equal(duration.bounded, null);
+});
+
+test('zonder verwachte eindtijd de standaardlooptijd', () => {
+    const duration = getCampaignEndTime({}, { now });
+    assert.equal(duration.rule, DURATION_RULES.DEFAULT);
+    assert.equal(duration.expectedEnd, null);
+    assert.equal(duration.endTime, hoursFrom(now, 72));
+});
+
+test('begrensd op de minimale en maximale looptijd', () => {
+    const past = getCampaignEndTime(outageEndingAt(hoursFrom(now, -30)), { now });
+    assert.equal(past.bounded, 'min');
+    assert.equal(past.endTime, hoursFrom(now, 12));
+
+    const far = getCampaignEndTime(outageEndingAt(hoursFrom(now, 200)), { now });
+    assert.equal(far.bounded, 'max');
+    assert.equal(far.endTime, hoursFrom(now, 72));
+});
+
+test('grenzen komen uit de omgeving', () => {
+    process.env.CAMPAIGN_MIN_DURATION_HOURS = '6';
+    process.env.CAMPAIGN_MAX_DURATION_HOURS = '48';
+    process.env.CAMPAIGN_AFTERCARE_HOURS = '0';
+
+    assert.equal(getCampaignEndTime(outageEndingAt(hoursFrom(now, 2)), { now }).endTime, hoursFrom(now, 6));
+    assert.equal(getCampaignEndTime(outageEndingAt(hoursFrom(now, 60)), { now }).endTime, hoursFrom(now, 48));
+});
+
+test('handmatige looptijd zonder grenzen', () => {
+    const duration = getCampaignEndTime(outageEndingAt(hoursFrom(now, 10)), { customDuration: 200, now });
+    assert.equal(duration.rule, DURATION_RULES.CUSTOM);
+    assert.equal(duration.endTime, hoursFrom(now, 200));
+    assert.equal(duration.bounded, null);
+});
+
+test('herhaalde aanpassingen van de verwachte eindtijd blijven binnen de maximale looptijd', () => {
+    const start = now.toISOString();
+    let expectedEnd = hoursFrom(start, 20);
+    let duration = getCampaignEndTime(outageEndingAt(expectedEnd), { now });
+    assert.equal(duration.endTime, hoursFrom(start, 44));
+
+    // Elke 10 uur schuift de netbeheerder de verwachte eindtijd 10 uur op
+    for (let step = 1; step <= 6; step++) {
+        const later = new Date(hoursFrom(start, step * 10));
+        expectedEnd = hoursFrom(expectedEnd, 10);
+        duration = getCampaignEndTime(outageEndingAt(expectedEnd), { start, now: later });
+        assert.ok(duration.endTime <= hoursFrom(start, 72), `stap ${step}: ${duration.endTime}`);
+    }
+    assert.equal(duration.bounded, 'max');
+    assert.equal(duration.durationHours, 72);
+    assert.equal(duration.endTime, hoursFrom(start, 72));
+});
+
+test('een aanpassing geeft niet opnieuw de minimale looptijd vanaf nu', () => {
+    const start = now.toISOString();
+    const later = new Date(hoursFrom(start, 11));
+    // Storing blijkt eerder voorbij: verwachte eindtijd ligt al achter ons
+    const duration = getCampaignEndTime(outageEndingAt(hoursFrom(start, -20)), { start, now: later });
+    assert.equal(duration.bounded, 'min');
+    assert.equal(duration.endTime, hoursFrom(start, 12));
+});
+
+test('de eindtijd ligt nooit vóór nu', () => {
+    const start = now.toISOString();
+    const later = new Date(hoursFrom(start, 30));
+    const duration = getCampaignEndTime(outageEndingAt(hoursFrom(start, -20)), { start, now: later });
+    assert.equal(duration.endTime, later.toISOString());
+});
+
+test('nieuwe eindtijd alleen bij een gewijzigde verwachte eindtijd', () => {
+    const campaign = { duration: { rule: DURATION_RULES.EXPECTED_END, expectedEnd: hoursFrom(now, 10) } };
+    assert.equal(needsNewEndTime(campaign, outageEndingAt(hoursFrom(now, 10))), false);
+    assert.equal(needsNewEndTime(campaign, outageEndingAt(hoursFrom(now, 12))), true);
+    assert.equal(needsNewEndTime({ duration: { rule: DURATION_RULES.CUSTOM } }, outageEndingAt(hoursFrom(now, 12))), false);
+    assert.equal(needsNewEndTime({ ...campaign, scheduled: true }, outageEndingAt(hoursFrom(now, 12))), false);
+});
@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// State in een lege tijdelijke map, vóór het laden van de services
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'campaign-launch-test-'));
+process.env.AREA_COOLDOWN_MODE = 'off';
+process.env.TOTAL_MAX_DAILY_BUDGET_GOOGLE = '1000';
+const { default: CampaignLaunchService } = await import('../src/services/campaign-launch-service.js');
+const { default: OutageService } = await import('../src/services/outage-service.js');
+const { default: BudgetService } = await import('../src/services/budget-service.js');
+const { default: CooldownService } = await import('../src/services/cooldown-service.js');
+
+/** Nep-platform: maakt genummerde campagnes aan; pauzeren kan mislukken. */
+class FakeAdsService {
+    constructor() {
+        this.created = 0;
+        this.paused = [];
+        this.pauseFails = false;
+        this.createGate = null;
+    }
+
+    isEnabled() {
+        return true;
+    }
+
+    async createCampaign(outage) {
+        if (this.createGate) await this.createGate;
+        this.created++;
+        const campaignId = `${outage.id}-cmp-${this.created}`;
+        return { campaignId, campaignResourceName: `customers/1/campaigns/${campaignId}`, budget: 100 };
+    }
+
+    async pauseCampaign(reference) {
+        if (this.pauseFails) throw new Error('API niet bereikbaar');
+        this.paused.push(reference);
+        return true;
+    }
+}
+
+let incidents = 0;
+
+function setup() {
+    const budgetService = new BudgetService();
+    const outageService = new OutageService({ budgetService });
+    const google = new FakeAdsService();
+    const events = [];
+    const launcher = new CampaignLaunchService({
+        outageService,
+        budgetService,
+        cooldownService: new CooldownService(),
+        platforms: [{ key: 'google', name: 'Google Ads', service: google }],
+        log: (type, message) => events.push({ type, message }),
+    });
+    incidents++;
+    const incident = {
+        id: `inc-${incidents}`,
+        _city: 'Tilburg',
+        _postcode: '5011AB',
+        _severity: { level: 'large', googleBudget: 100 },
+    };
+    return { launcher, outageService, budgetService, google, events, incident };
+}
+
+const committed = (budgetService, campaignId) => Array.from(budgetService.entries.values())
+    .filter((entry) => entry.campaignId === campaignId && entry.status === 'committed');
+
+test('een tweede aanmaak voor hetzelfde incident en platform wordt overgeslagen', async () => {
+    const { launcher, google, incident } = setup();
+    let open;
+    google.createGate = new Promise((resolve) => { open = resolve; });
+
+    const first = launcher.launch(incident);
+    const second = await launcher.launch(incident);
+    assert.deepEqual(second.busy, ['google']);
+    assert.equal(second.results.google, null);
+    assert.match(second.errors[0], /wordt al aangemaakt/);
+
+    open();
+    const { results } = await first;
+    assert.equal(results.google.campaignId, `${incident.id}-cmp-1`);
+    assert.equal(google.created, 1);
+    assert.equal(launcher.locks.size, 0, 'lock vrijgegeven');
+});
+
+test('een lopende campagne komt terug onder existing', async () => {
+    const { launcher, google, incident } = setup();
+    await launcher.launch(incident);
+
+    const { results, existing, errors } = await launcher.launch(incident);
+    assert.equal(results.google, null);
+    assert.equal(existing.google.campaignId, `${incident.id}-cmp-1`);
+    assert.deepEqual(errors, ['Google Ads: Campagne loopt al voor dit incident']);
+    assert.equal(google.created, 1);
+});
+
+test('replace pauzeert eerst de lopende campagne en start dan een nieuwe', async () => {
+    const { launcher, outageService, budgetService, google, events, incident } = setup();
+    await launcher.launch(incident);
+
+    const { results, existing, errors } = await launcher.launch(incident, { replace: true });
+    assert.deepEqual(errors, []);
+    assert.equal(existing.google, null);
+    assert.equal(results.google.campaignId, `${incident.id}-cmp-2`);
+    assert.deepEqual(google.paused, [`customers/1/campaigns/${incident.id}-cmp-1`]);
+    assert.equal(outageService.getCampaignsForOutage(incident.id).google.campaignId, `${incident.id}-cmp-2`);
+    assert.ok(committed(budgetService, `${incident.id}-cmp-1`)[0].stoppedAt, 'oude campagne gestopt in het grootboek');
+
+    assert.deepEqual(events.map(({ type }) => type).slice(-2), ['campaign_paused', 'campaign_created']);
+});
+
+test('replace zonder geslaagde pauze laat de lopende campagne staan', async () => {
+    const { launcher, outageService, budgetService, google, incident } = setup();
+    await launcher.launch(incident);
+    const remaining = budgetService.getRemaining('google');
+    google.pauseFails = true;
+
+    const { results, existing, errors } = await launcher.launch(incident, { replace: true });
+    assert.equal(results.google, null);
+    assert.equal(existing.google.campaignId, `${incident.id}-cmp-1`);
+    assert.deepEqual(errors, ['Google Ads: Lopende campagne kon niet gepauzeerd worden, niet vervangen']);
+
+    assert.equal(google.created, 1, 'geen nieuwe campagne');
+    const current = outageService.getCampaignsForOutage(incident.id).google;
+    assert.equal(current.campaignId, `${incident.id}-cmp-1`);
+    assert.equal(current.status, 'active');
+    assert.equal(committed(budgetService, `${incident.id}-cmp-1`)[0].stoppedAt ?? null, null);
+    assert.equal(budgetService.getRemaining('google'), remaining, 'geen reservering genomen');
+    assert.equal(launcher.locks.size, 0);
+});
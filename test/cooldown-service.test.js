@@ -0,0 +1,78 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Register in een lege tijdelijke map, vóór het laden van de service
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'cooldown-test-'));
+const { default: CooldownService } = await import('../src/services/cooldown-service.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const outage = (id, postcodes, city = 'Tilburg') => ({ id, _postcode: postcodes, _city: city });
+
+beforeEach(() => {
+    for (const name of ['AREA_COOLDOWN_MODE', 'AREA_COOLDOWN_LEVEL', 'AREA_COOLDOWN_DAYS']) {
+        delete process.env[name];
+    }
+});
+
+test('waarschuwt in hetzelfde gebied van een ander incident', () => {
+    const cooldown = new CooldownService();
+    cooldown.record(outage('inc-1', '5011AB'), { platform: 'google', campaignId: 'c-1' });
+
+    const result = cooldown.check(outage('inc-2', '5011CD'));
+    assert.equal(result.mode, 'warn');
+    assert.equal(result.blocked, false);
+    assert.deepEqual(result.matches.map((area) => area.postcode), ['5011']);
+    assert.equal(result.lastAdvertisedAt, result.matches[0].lastAdvertisedAt);
+});
+
+test('hetzelfde incident telt niet mee', () => {
+    process.env.AREA_COOLDOWN_MODE = 'block';
+    const cooldown = new CooldownService();
+    cooldown.record(outage('inc-1', '5011AB'), { platform: 'google' });
+    cooldown.record(outage('inc-1', '5011AB'), { platform: 'meta' });
+
+    const result = cooldown.check(outage('inc-1', '5011AB'));
+    assert.equal(result.blocked, false);
+    assert.deepEqual(result.matches, []);
+    assert.deepEqual(cooldown.areas.get('5011AB').platforms, ['google', 'meta']);
+});
+
+test('blokkeert in block-modus', () => {
+    process.env.AREA_COOLDOWN_MODE = 'block';
+    const cooldown = new CooldownService();
+    cooldown.record(outage('inc-1', '5011AB'), { platform: 'google' });
+
+    assert.equal(cooldown.check(outage('inc-2', '5011AB')).blocked, true);
+    assert.equal(cooldown.check(outage('inc-2', '5012AB')).blocked, false, 'ander gebied');
+});
+
+test('pc6 vergelijkt alleen hetzelfde straatdeel', () => {
+    process.env.AREA_COOLDOWN_LEVEL = 'pc6';
+    const cooldown = new CooldownService();
+    cooldown.record(outage('inc-1', '5011AB'), { platform: 'google' });
+
+    assert.deepEqual(cooldown.check(outage('inc-2', '5011CD')).matches, []);
+    assert.deepEqual(cooldown.check(outage('inc-2', '5011 ab')).matches.map((area) => area.postcode), ['5011AB']);
+});
+
+test('buiten de afkoelperiode geen treffer', () => {
+    process.env.AREA_COOLDOWN_DAYS = '7';
+    const cooldown = new CooldownService();
+    cooldown.record(outage('inc-1', '5011AB'), { platform: 'google' });
+
+    const later = new Date(Date.now() + 8 * DAY_MS);
+    assert.deepEqual(cooldown.check(outage('inc-2', '5011AB'), { now: later }).matches, []);
+});
+
+test('off controleert niet', () => {
+    process.env.AREA_COOLDOWN_MODE = 'off';
+    const cooldown = new CooldownService();
+    cooldown.record(outage('inc-1', '5011AB'), { platform: 'google' });
+
+    const result = cooldown.check(outage('inc-2', '5011AB'));
+    assert.equal(result.blocked, false);
+    assert.deepEqual(result.matches, []);
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.SIMULATION_MODE = 'true';
+const { default: GoogleAdsService } = await import('../src/services/google-ads-service.js');
+
+const google = new GoogleAdsService();
+const outage = (households) => ({ location: { features: { properties: { city: 'Tilburg' } } }, impact: { households } });
+
+test('koppen noemen het aantal getroffen huishoudens', () => {
+    const { headlines } = google.buildAdCopy(outage(12000));
+    assert.ok(headlines.includes('12.000 Huishoudens Getroffen'));
+    assert.ok(headlines.length <= 15);
+    assert.ok(headlines.every((headline) => headline.length <= 30));
+});
+
+test('geen kop zonder aantal of als hij te lang wordt', () => {
+    for (const households of [0, 1500000]) {
+        const { headlines } = google.buildAdCopy(outage(households));
+        assert.ok(!headlines.some((headline) => headline.includes('Huishoudens')), `${households}`);
+        assert.ok(headlines.every((headline) => headline.length <= 30));
+    }
+});
+
+test('een mislukte stap meldt wat al wel is bijgewerkt', async () => {
+    const live = new GoogleAdsService();
+    live.simulationMode = false;
+    live.enabled = true;
+    const calls = [];
+    live.customer = {
+        campaignBudgets: { update: async () => calls.push('budget') },
+        campaignCriteria: {
+            remove: async () => calls.push('remove'),
+            create: async () => { throw new Error('quota bereikt'); },
+        },
+    };
+    const campaign = { campaignName: 'Test', budgetResourceName: 'b/1', campaignResourceName: 'c/1', proximityResourceName: 'p/1' };
+    const incident = { ...outage(500), _geo: { centroid: { lat: 51.5555, lng: 5.0913 } } };
+
+    const err = await live.updateCampaign(campaign, incident, { budget: 150, radiusKm: 10 }).catch((e) => e);
+    assert.equal(err.message, 'quota bereikt');
+    assert.deepEqual(calls, ['budget', 'remove']);
+    assert.deepEqual(err.updated, { budget: 150, proximityResourceName: null });
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createIdempotencyStore } from '../src/utils/idempotency.js';
+
+test('herhaald verzoek krijgt het eerste antwoord terug', async () => {
+    const store = createIdempotencyStore();
+    let calls = 0;
+    const handler = async () => ({ status: 201, body: { call: ++calls } });
+
+    const first = await store.run('key-1', { outageId: 'a' }, handler);
+    const second = await store.run('key-1', { outageId: 'a' }, handler);
+
+    assert.equal(calls, 1);
+    assert.deepEqual(first, { status: 201, body: { call: 1 }, replayed: false });
+    assert.deepEqual(second, { status: 201, body: { call: 1 }, replayed: true });
+});
+
+test('gelijktijdig herhaald verzoek wacht op het eerste', async () => {
+    const store = createIdempotencyStore();
+    let calls = 0;
+    const handler = () => new Promise((resolve) => setTimeout(() => resolve({ status: 201, body: { call: ++calls } }), 10));
+
+    const [first, second] = await Promise.all([
+        store.run('key-1', { outageId: 'a' }, handler),
+        store.run('key-1', { outageId: 'a' }, handler),
+    ]);
+
+    assert.equal(calls, 1);
+    assert.equal(first.replayed, false);
+    assert.equal(second.replayed, true);
+    assert.deepEqual(second.body, first.body);
+});
+
+test('zelfde sleutel met een andere body geeft 422', async () => {
+    const store = createIdempotencyStore();
+    let calls = 0;
+    const handler = async () => ({ status: 201, body: { call: ++calls } });
+
+    await store.run('key-1', { outageId: 'a' }, handler);
+    const mismatch = await store.run('key-1', { outageId: 'b' }, handler);
+
+    assert.equal(mismatch.status, 422);
+    assert.match(mismatch.body.error, /Idempotency-Key/);
+    assert.equal(mismatch.replayed, false);
+    assert.equal(calls, 1);
+});
+
+test('mislukte verzoeken worden niet onthouden', async () => {
+    const store = createIdempotencyStore();
+    await store.run('key-5xx', {}, async () => ({ status: 500, body: {} }));
+    await assert.rejects(store.run('key-error', {}, async () => { throw new Error('platform weg'); }), /platform weg/);
+    assert.equal(store.size(), 0);
+
+    const retry = await store.run('key-5xx', {}, async () => ({ status: 201, body: {} }));
+    assert.deepEqual(retry, { status: 201, body: {}, replayed: false });
+});
+
+test('sleutels vervallen na de ttl', async () => {
+    const store = createIdempotencyStore({ ttlMs: -1 });
+    let calls = 0;
+    const handler = async () => ({ status: 201, body: { call: ++calls } });
+
+    await store.run('key-1', {}, handler);
+    const again = await store.run('key-1', {}, handler);
+
+    assert.equal(calls, 2);
+    assert.equal(again.replayed, false);
+});
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.SIMULATION_MODE = 'true';
+const { default: MetaAdsService } = await import('../src/services/meta-ads-service.js');
+
+test('een mislukte creative meldt dat het ad set-budget al is bijgewerkt', async () => {
+    const live = new MetaAdsService();
+    live.simulationMode = false;
+    live.enabled = true;
+    const adSetChanges = [];
+    live.AdSet = class {
+        async update(_fields, changes) { adSetChanges.push(changes); }
+    };
+    live.adAccount = { createAdCreative: async () => { throw new Error('creative afgekeurd'); } };
+
+    const campaign = { campaignName: 'Test', campaignId: 'CMP_1', adSetId: 'ADS_1', adId: 'AD_1' };
+    const outage = { location: { features: { properties: { city: 'Tilburg' } } } };
+    const copy = { message: 'Stroomstoring', title: 'Thuisbatterij', description: 'Nooit meer zonder stroom' };
+
+    const err = await live.updateCampaign(campaign, outage, { budget: 80, copy }).catch((e) => e);
+    assert.equal(err.message, 'creative afgekeurd');
+    assert.deepEqual(adSetChanges, [{ daily_budget: 8000 }]);
+    assert.deepEqual(err.updated, { budget: 80 });
+});
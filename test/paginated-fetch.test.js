@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fetchAllPages, getTotalCount } from '../src/utils/paginated-fetch.js';
+
+const range = (count) => Array.from({ length: count }, (_, i) => ({ id: i }));
+
+/** Fake API met `count` items; withTotal stuurt het totaal mee zoals X-Total-Count. */
+function fakeApi(count, { withTotal = false } = {}) {
+    const calls = [];
+    const items = range(count);
+    const fetchPage = async ({ limit, offset }) => {
+        calls.push(offset);
+        return { items: items.slice(offset, offset + limit), total: withTotal ? count : null };
+    };
+    return { calls, fetchPage };
+}
+
+test('haalt pagina\'s op tot een onvolledige pagina', async () => {
+    const api = fakeApi(250);
+    const result = await fetchAllPages(api.fetchPage, { pageSize: 100, maxPages: 50 });
+    assert.equal(result.items.length, 250);
+    assert.equal(result.pages, 3);
+    assert.equal(result.truncated, false);
+    assert.deepEqual(api.calls, [0, 100, 200]);
+});
+
+test('stopt bij het totaal zonder een lege pagina op te vragen', async () => {
+    const api = fakeApi(200, { withTotal: true });
+    const result = await fetchAllPages(api.fetchPage, { pageSize: 100, maxPages: 50 });
+    assert.equal(result.items.length, 200);
+    assert.equal(result.total, 200);
+    assert.deepEqual(api.calls, [0, 100]);
+});
+
+test('veiligheidsbudget bereikt: truncated', async () => {
+    const api = fakeApi(1500, { withTotal: true });
+    const result = await fetchAllPages(api.fetchPage, { pageSize: 100, maxPages: 3 });
+    assert.equal(result.items.length, 300);
+    assert.equal(result.pages, 3);
+    assert.equal(result.truncated, true);
+    assert.equal(result.total, 1500);
+});
+
+test('totaal uit X-Total-Count', () => {
+    assert.equal(getTotalCount({ headers: { 'x-total-count': '42' } }), 42);
+    assert.equal(getTotalCount({ headers: {} }), null);
+});
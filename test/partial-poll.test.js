@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// State in een lege tijdelijke map, vóór het laden van de services
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'partial-poll-test-'));
+process.env.OUTAGE_SOURCES = 'public-api';
+process.env.OUTAGE_CONFIRM_POLLS = '1';
+process.env.RESOLVE_CONFIRM_POLLS = '1';
+const { default: ScraperService } = await import('../src/services/scraper-service.js');
+const { default: OutageService } = await import('../src/services/outage-service.js');
+const { default: OutageSource } = await import('../src/services/sources/base-source.js');
+const { default: SourceHealthService } = await import('../src/services/source-health-service.js');
+
+const raw = (id, city, postalCode, coordinates) => ({
+    id,
+    source: { organisation: 'Enexis', timestamp: '2026-10-17T08:05:00Z' },
+    network: { type: 'electricity' },
+    period: { begin: '2026-10-17T07:50:00Z', end: '', expectedEnd: '2026-10-17T11:00:00Z' },
+    location: { features: { geometry: { type: 'Point', coordinates }, properties: { city, postalCode, street: 'Markt' } } },
+    cause: 'Kabelstoring',
+    status: 'actief',
+});
+const tilburg = raw('mock-1', 'Tilburg', '5011AB', [5.0913, 51.5555]);
+const groningen = raw('mock-2', 'Groningen', '9711AA', [6.5665, 53.2194]);
+
+/** Bron die een vaste lijst teruggeeft, met of zonder bereikt paginabudget. */
+class FakePagedSource extends OutageSource {
+    constructor() {
+        super('fake-paged');
+        this.items = [];
+        this.truncated = false;
+    }
+
+    async fetch() {
+        this.lastPagination = { at: new Date().toISOString(), pages: 1, items: this.items.length, total: null, truncated: this.truncated };
+        return this.items;
+    }
+}
+
+function createScraper() {
+    const scraper = new ScraperService();
+    const source = new FakePagedSource();
+    scraper.sources = [source];
+    return { scraper, source };
+}
+
+test('een afgekapte bron maakt de poll onvolledig', async () => {
+    const { scraper, source } = createScraper();
+    source.items = [tilburg];
+
+    await scraper.fetchOutages();
+    assert.equal(scraper.lastFetch.complete, true);
+
+    source.truncated = true;
+    const outages = await scraper.fetchOutages();
+    assert.equal(outages.length, 1, 'de opgehaalde storingen worden wel geleverd');
+    assert.equal(scraper.lastFetch.complete, false);
+    assert.deepEqual(scraper.lastFetch.truncatedSources, ['fake-paged']);
+});
+
+test('een onvolledige poll markeert ontbrekende storingen niet als opgelost', async () => {
+    const { scraper, source } = createScraper();
+    const outageService = new OutageService();
+
+    source.items = [tilburg, groningen];
+    outageService.processOutages(await scraper.fetchOutages());
+    assert.equal(outageService.activeOutages.size, 2);
+
+    // Groningen valt buiten het paginabudget
+    source.items = [tilburg];
+    source.truncated = true;
+    const partial = outageService.processOutages(await scraper.fetchOutages(), null, { complete: scraper.lastFetch.complete });
+    assert.deepEqual(partial.resolvedOutages, []);
+    assert.deepEqual(partial.suspectedOutages, []);
+    assert.equal(outageService.activeOutages.size, 2);
+
+    // Een volledige poll zonder Groningen lost hem wel op
+    source.truncated = false;
+    const full = outageService.processOutages(await scraper.fetchOutages(), null, { complete: scraper.lastFetch.complete });
+    assert.equal(full.resolvedOutages.length, 1);
+    assert.equal(full.resolvedOutages[0]._city, 'Groningen');
+});
+
+test('de brongezondheid toont de laatste paginering', async () => {
+    const health = new SourceHealthService();
+    const scraper = new ScraperService({ healthService: health });
+    const source = new FakePagedSource();
+    scraper.sources = [source];
+
+    source.items = [tilburg];
+    source.truncated = true;
+    await scraper.fetchOutages();
+
+    const [entry] = health.getHealth();
+    assert.equal(entry.name, 'fake-paged');
+    assert.equal(entry.lastPagination.pages, 1);
+    assert.equal(entry.lastPagination.truncated, true);
+    assert.ok(entry.lastPagination.at);
+});